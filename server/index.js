@@ -0,0 +1,32 @@
+// Standalone market data proxy.
+//
+//   POLYGON_API_KEY=... npm run proxy
+//
+// Optional: PORT (default 8787), POLYGON_REQUESTS_PER_MINUTE (default 5),
+// PROXY_ALLOW_ORIGIN for CORS when the front-end is served from another origin,
+// MARKET_DATA_MODE (live | record | replay) and MARKET_DATA_FIXTURES (fixture directory).
+import http from 'node:http';
+import { createPolygonProxy } from './polygonProxy.js';
+
+const port = Number(process.env.PORT) || 8787;
+
+const proxy = createPolygonProxy({
+    apiKey: process.env.POLYGON_API_KEY,
+    requestsPerMinute: Number(process.env.POLYGON_REQUESTS_PER_MINUTE) || undefined,
+    allowOrigin: process.env.PROXY_ALLOW_ORIGIN || null,
+    mode: process.env.MARKET_DATA_MODE || undefined,
+    fixturesDir: process.env.MARKET_DATA_FIXTURES || undefined
+});
+
+if (!process.env.POLYGON_API_KEY && process.env.MARKET_DATA_MODE !== 'replay') {
+    console.warn('POLYGON_API_KEY is not set; data requests will fail with 401.');
+}
+
+http.createServer((req, res) => {
+    proxy(req, res, () => {
+        res.statusCode = 404;
+        res.end('Not found');
+    });
+}).listen(port, () => {
+    console.log(`Market data proxy listening on http://localhost:${port}/api`);
+});
@@ -0,0 +1,274 @@
+// Polygon.io proxy middleware.
+//
+// Keeps the API key on the server: the browser calls `/api/...` routes and the
+// proxy forwards them to Polygon with the key attached. All browsers share one
+// response cache and one rate limiter, so a page full of charts can't blow
+// through the plan's request quota on its own.
+//
+// Works as connect-style middleware `(req, res, next)`, which is what both the
+// Vite dev server and the standalone server in ./index.js expect.
+//
+// Modes:
+//   live    forward to Polygon (default)
+//   record  forward to Polygon and write successful responses to `fixturesDir`
+//   replay  serve responses from `fixturesDir` only; unmatched requests fail
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+const DEFAULT_UPSTREAM = 'https://api.polygon.io';
+const DEFAULT_MOUNT_PATH = '/api';
+const DEFAULT_CACHE_TTL = 5 * 60 * 1000;
+const DEFAULT_MAX_CACHE_ENTRIES = 500;
+const DEFAULT_REQUESTS_PER_MINUTE = 5; // Polygon free tier
+const DEFAULT_FIXTURES_DIR = 'fixtures/market-data';
+const MODES = ['live', 'record', 'replay'];
+
+// Only data endpoints are forwarded; everything else is a 404
+const ALLOWED_PREFIXES = ['/v1/', '/v2/', '/v3/'];
+
+// Short routes for the endpoints the charts use most
+const ROUTE_ALIASES = [
+    ['/aggs/', '/v2/aggs/']
+];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const todayString = () => new Date().toISOString().slice(0, 10);
+
+// Sliding-window limiter: at most `requestsPerMinute` upstream calls start in
+// any 60 second window. Callers queue in order instead of failing.
+export const createRateLimiter = ({ requestsPerMinute = DEFAULT_REQUESTS_PER_MINUTE, windowMs = 60 * 1000 } = {}) => {
+    if (!requestsPerMinute || !isFinite(requestsPerMinute)) {
+        return () => Promise.resolve();
+    }
+
+    const starts = [];
+    let queue = Promise.resolve();
+
+    const prune = () => {
+        while (starts.length > 0 && starts[0] <= Date.now() - windowMs) {
+            starts.shift();
+        }
+    };
+
+    return () => {
+        queue = queue.then(async () => {
+            prune();
+            if (starts.length >= requestsPerMinute) {
+                await sleep(starts[0] + windowMs - Date.now());
+                prune();
+            }
+            starts.push(Date.now());
+        });
+        return queue;
+    };
+};
+
+// One file per request: readable path prefix plus a hash of the query string
+export const fixtureFileName = (path, query) => {
+    const hash = createHash('sha1').update(`${path}?${query}`).digest('hex').slice(0, 12);
+    return `${path.replace(/^\//, '').replace(/[^\w.-]+/g, '_')}__${hash}.json`;
+};
+
+const sendJson = (res, status, body, headers = {}) => {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+};
+
+export const createPolygonProxy = ({
+    apiKey,
+    upstream = DEFAULT_UPSTREAM,
+    mountPath = DEFAULT_MOUNT_PATH,
+    cacheTtl = DEFAULT_CACHE_TTL,
+    maxCacheEntries = DEFAULT_MAX_CACHE_ENTRIES,
+    requestsPerMinute = DEFAULT_REQUESTS_PER_MINUTE,
+    allowOrigin = null,
+    mode = 'live',
+    fixturesDir = DEFAULT_FIXTURES_DIR,
+    fetchImpl = (...args) => fetch(...args)
+} = {}) => {
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown market data mode "${mode}". Expected one of: ${MODES.join(', ')}`);
+    }
+
+    const cache = new Map();    // cache key -> { status, body, expires }
+    const inflight = new Map(); // cache key -> Promise<{ status, body }>
+    const acquireSlot = createRateLimiter({ requestsPerMinute });
+
+    const readCache = (key) => {
+        const hit = cache.get(key);
+        if (!hit) {
+            return null;
+        }
+        if (hit.expires <= Date.now()) {
+            cache.delete(key);
+            return null;
+        }
+        return hit;
+    };
+
+    const writeCache = (key, entry, ttl) => {
+        cache.delete(key);
+        cache.set(key, { ...entry, expires: Date.now() + ttl });
+        // Map keeps insertion order, so the first key is the oldest entry
+        while (cache.size > maxCacheEntries) {
+            cache.delete(cache.keys().next().value);
+        }
+    };
+
+    // Aggregates for a range that ended before today never change
+    const ttlFor = (path) => {
+        const match = path.match(/^\/v2\/aggs\/ticker\/[^/]+\/range\/\d+\/\w+\/[^/]+\/(\d{4}-\d{2}-\d{2})$/);
+        return match && match[1] < todayString() ? 24 * 60 * 60 * 1000 : cacheTtl;
+    };
+
+    // Point Polygon's `next_url` back at this proxy and make sure no key leaks
+    const rewriteBody = (text) => {
+        try {
+            const data = JSON.parse(text);
+            if (data.next_url) {
+                const next = new URL(data.next_url);
+                next.searchParams.delete('apiKey');
+                data.next_url = `${mountPath}${next.pathname}${next.search}`;
+            }
+            return JSON.stringify(data);
+        } catch (err) {
+            return text;
+        }
+    };
+
+    // Only answers worth replaying are recorded: successes, and the 404 that
+    // says a ticker doesn't exist. A 429, 5xx or auth failure would otherwise
+    // be replayed forever.
+    const isRecordable = (path, status) =>
+        (status >= 200 && status < 300) ||
+        (status === 404 && /^\/v3\/reference\/tickers\/[^/]+$/.test(path));
+
+    const recordFixture = async (path, query, result) => {
+        let body = result.body;
+        try {
+            body = JSON.parse(result.body);
+        } catch (err) {
+            // Keep non-JSON bodies as text
+        }
+        await mkdir(fixturesDir, { recursive: true });
+        await writeFile(
+            join(fixturesDir, fixtureFileName(path, query)),
+            JSON.stringify({ request: { path, query }, status: result.status, body }, null, 2)
+        );
+    };
+
+    const replayFixture = async (path, query) => {
+        const file = join(fixturesDir, fixtureFileName(path, query));
+        let text;
+        try {
+            text = await readFile(file, 'utf8');
+        } catch (err) {
+            const message = `No recorded fixture for GET ${path}?${query} (expected ${file}). Re-run in record mode to capture it.`;
+            console.error(`[market data replay] ${message}`);
+            return {
+                status: 501,
+                body: JSON.stringify({ status: 'ERROR', error: message })
+            };
+        }
+        const fixture = JSON.parse(text);
+        return {
+            status: fixture.status,
+            body: typeof fixture.body === 'string' ? fixture.body : JSON.stringify(fixture.body)
+        };
+    };
+
+    const fetchUpstream = async (path, params, query) => {
+        if (mode === 'replay') {
+            return replayFixture(path, query);
+        }
+
+        await acquireSlot();
+        const upstreamQuery = new URLSearchParams(params);
+        upstreamQuery.set('apiKey', apiKey);
+        const response = await fetchImpl(`${upstream}${path}?${upstreamQuery}`);
+        const text = await response.text();
+        const result = {
+            status: response.status,
+            body: response.ok ? rewriteBody(text) : text,
+            // Pass Polygon's rate limit hint through so clients can back off
+            retryAfter: response.headers.get('retry-after')
+        };
+
+        if (mode === 'record' && isRecordable(path, result.status)) {
+            await recordFixture(path, query, result);
+        }
+        return result;
+    };
+
+    return async (req, res, next) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (!url.pathname.startsWith(`${mountPath}/`)) {
+            return next ? next() : sendJson(res, 404, { status: 'ERROR', error: 'Not found' });
+        }
+
+        const corsHeaders = allowOrigin ? { 'Access-Control-Allow-Origin': allowOrigin } : {};
+
+        if (req.method !== 'GET') {
+            return sendJson(res, 405, { status: 'ERROR', error: 'Only GET is supported' }, corsHeaders);
+        }
+
+        let path = url.pathname.slice(mountPath.length);
+
+        // Lets the front-end fall back to simulated data when no key is configured
+        if (path === '/status') {
+            return sendJson(res, 200, { configured: mode === 'replay' || Boolean(apiKey), mode }, corsHeaders);
+        }
+
+        ROUTE_ALIASES.forEach(([alias, target]) => {
+            if (path.startsWith(alias)) {
+                path = target + path.slice(alias.length);
+            }
+        });
+
+        if (!ALLOWED_PREFIXES.some(prefix => path.startsWith(prefix))) {
+            return sendJson(res, 404, { status: 'ERROR', error: `Unknown route ${url.pathname}` }, corsHeaders);
+        }
+
+        if (!apiKey && mode !== 'replay') {
+            return sendJson(res, 401, {
+                status: 'ERROR',
+                error: 'POLYGON_API_KEY is not configured on the market data proxy'
+            }, corsHeaders);
+        }
+
+        // Never trust or forward a key sent by the browser
+        url.searchParams.delete('apiKey');
+        url.searchParams.sort();
+        const params = Object.fromEntries(url.searchParams);
+        const query = url.searchParams.toString();
+        const cacheKey = `${path}?${query}`;
+
+        const cached = readCache(cacheKey);
+        if (cached) {
+            return sendJson(res, cached.status, cached.body, { ...corsHeaders, 'X-Cache': 'HIT' });
+        }
+
+        try {
+            let pending = inflight.get(cacheKey);
+            if (!pending) {
+                pending = fetchUpstream(path, params, query).finally(() => inflight.delete(cacheKey));
+                inflight.set(cacheKey, pending);
+            }
+
+            const result = await pending;
+            if (result.status === 200) {
+                writeCache(cacheKey, result, ttlFor(path));
+            }
+            const retryHeaders = result.retryAfter ? { 'Retry-After': result.retryAfter } : {};
+            sendJson(res, result.status, result.body, { ...corsHeaders, ...retryHeaders, 'X-Cache': 'MISS' });
+        } catch (err) {
+            console.error(`Proxy request for ${path} failed:`, err);
+            sendJson(res, 502, { status: 'ERROR', error: `Upstream request failed: ${err.message}` }, corsHeaders);
+        }
+    };
+};
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import {
     CameraController,
     EDrawMeshAs,
@@ -11,22 +11,515 @@ import {
     ResetCamera3DModifier,
     SciChart3DSurface,
     SurfaceMeshRenderableSeries3D,
+    SolidColorBrushPalette,
+    ScatterRenderableSeries3D,
+    SpherePointMarker3D,
+    XyzDataSeries3D,
     TooltipModifier3D,
     UniformGridDataSeries3D,
     Vector3,
     zeroArray2D,
     SciChartSurface
 } from "scichart";
+import {
+    isAbortError,
+    describeError,
+    requireBars,
+    buildCalendarGrid,
+    buildIntradayGrid,
+    buildMultiYearGrid,
+    fetchYearRange,
+    getExchangeTimeZone,
+    getTradingCalendar,
+    getIntradayInterval,
+    formatClockTime,
+    formatZonedDate,
+    yearOfBar,
+    createMetricAccessor,
+    formatMetricValue,
+    buildVolatilityGrid,
+    volatilityLookbackDays,
+    addDays,
+    buildImpliedVolatilityGrid,
+    sampleOptionsProvider,
+    INTRADAY_INTERVALS,
+    SURFACE_METRICS,
+    WEEKDAY_NAMES,
+    FILL_STRATEGIES,
+    FILL_STRATEGY_LABELS
+} from "../../lib/marketData";
+import { useDataProvider } from "./DataProviderContext";
+import SimulatedBadge from "./SimulatedBadge";
+import DataErrorOverlay from "./DataErrorOverlay";
+import { gradientColorAt } from "./chartColors";
+
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const DAY_COUNTS = [5, 10, 20, 60];
+const MAX_YEAR_SPAN = 20;
+const METRIC_VIEWS = ["year", "multi-year", "intraday"]; // Views with Height/Color metric selectors
+const LAYOUT_VIEWS = ["year", "compare"]; // Views on a calendar grid, with a Layout selector
+const FILL_VIEWS = ["year", "multi-year", "intraday", "compare"]; // Views with a gap Fill selector
+const GRID_LAYOUT_LABELS = { calendar: "Month × day", week: "Week × weekday" };
+
+// "Mar 15, 2024" for a YYYY-MM-DD date
+const formatDay = (day, withYear = true) => {
+    const label = `${MONTH_NAMES[Number(day.slice(5, 7)) - 1]} ${Number(day.slice(8, 10))}`;
+    return withYear ? `${label}, ${day.slice(0, 4)}` : label;
+};
+
+// Shared by the mesh, the color markers and the legend
+const GRADIENT_STOPS = [
+    { offset: 0, color: "#1E5631" },   // Dark green (low values)
+    { offset: 0.25, color: "#A2D149" }, // Light green
+    { offset: 0.5, color: "#FFFF99" },  // Yellow
+    { offset: 0.75, color: "#FF9933" }, // Orange
+    { offset: 1, color: "#CC3300" },    // Red (high values)
+];
+const NEUTRAL_MESH_COLOR = "#9CA3AF";
+
+// Overlaid tickers each get one hue, dark (low) to light (high)
+const MAX_OVERLAY_TICKERS = 4;
+const OVERLAY_OPACITY = 0.55;
+const OVERLAY_PALETTES = [
+    { color: "#3B82F6", gradientStops: [{ offset: 0, color: "#1E3A8A" }, { offset: 1, color: "#93C5FD" }] }, // Blue
+    { color: "#F97316", gradientStops: [{ offset: 0, color: "#7C2D12" }, { offset: 1, color: "#FDBA74" }] }, // Orange
+    { color: "#22C55E", gradientStops: [{ offset: 0, color: "#14532D" }, { offset: 1, color: "#86EFAC" }] }, // Green
+    { color: "#A855F7", gradientStops: [{ offset: 0, color: "#4C1D95" }, { offset: 1, color: "#D8B4FE" }] }, // Purple
+];
+
+// "msft, nvda aapl" -> ["MSFT", "NVDA", "AAPL"]
+const parseTickerList = (text) => [...new Set(text.toUpperCase().split(/[\s,]+/).filter(Boolean))];
+
+// Finite [min, max] for a grid. Price-like values (`unit` "$") keep at least a
+// $10 span so a flat stock still shows some relief.
+const surfaceRange = (grid, unit) => {
+    if (!isFinite(grid.min) || !isFinite(grid.max)) {
+        return [0, 1000];
+    }
+    const minSpan = unit === "$" ? 10 : 1e-6;
+    return [grid.min, Math.max(grid.max, grid.min + minSpan)];
+};
+
+// Surface mesh over a grid of values, x = column and z = row
+const createSurfaceMesh = (wasmContext, { name, values, minimum, maximum, colorMap, opacity = 0.9, drawMeshAs = EDrawMeshAs.SOLID_WIREFRAME }) => {
+    const dataSeries = new UniformGridDataSeries3D(wasmContext, {
+        yValues: values,
+        xStep: 1, // 1 day, weekday or time slot per step
+        zStep: 1, // 1 month, week or trading day per step
+        dataSeriesName: name,
+        xStart: 0,
+        zStart: 0
+    });
+
+    // Create surface series with financial styling
+    return new SurfaceMeshRenderableSeries3D(wasmContext, {
+        dataSeries,
+        minimum,
+        maximum,
+        opacity,
+        cellHardnessFactor: 1.0,
+        shininess: 30,
+        lightingFactor: 0.6,
+        highlight: 1.0,
+        stroke: "#444444",
+        strokeThickness: 1.0,
+        contourStroke: "#FFFFFF",
+        contourInterval: (maximum - minimum) / 10, // 10 contour lines
+        contourOffset: 0,
+        contourStrokeThickness: 1,
+        drawSkirt: false,
+        drawMeshAs,
+        meshColorPalette: colorMap
+    });
+};
+
+// Height grid plus, when color shows a different metric, a second grid of the
+// same shape for color. `buildGrid(metric)` builds one grid for a metric.
+const buildMetricGrids = (buildGrid, heightMetric, colorMetric) => {
+    const grid = buildGrid(heightMetric);
+    return { grid, colorGrid: colorMetric === heightMetric ? null : buildGrid(colorMetric) };
+};
+
+// Fields every view shares: axis title and tooltip lines for the metrics.
+// `cellTitle(row, col)` names the cell (its date, or date and time), or null
+// for cells with no date.
+const describeMetrics = ({ grid, colorGrid, heightMetric, colorMetric, cellTitle }) => ({
+    grid,
+    colorGrid,
+    heightMetric,
+    colorMetric,
+    yTitle: SURFACE_METRICS[heightMetric].axisTitle,
+    yUnit: SURFACE_METRICS[heightMetric].unit,
+    legendTitle: SURFACE_METRICS[colorMetric].axisTitle,
+    tooltip: (row, col) => {
+        const title = cellTitle(row, col);
+        if (!title) {
+            return [];
+        }
+        const lines = [title, `${SURFACE_METRICS[heightMetric].label}: ${formatMetricValue(heightMetric, grid.values[row][col])}`];
+        if (colorGrid) {
+            lines.push(`${SURFACE_METRICS[colorMetric].label}: ${formatMetricValue(colorMetric, colorGrid.values[row][col])}`);
+        }
+        return lines;
+    }
+});
+
+// One year of daily bars on a calendar grid: day of month × month, or
+// weekday × week of year
+const loadYearSurface = async ({ dataProvider, ticker, year, fill, layout, heightMetric, colorMetric, signal }) => {
+    // Fetch daily bars for the entire year from the active data provider
+    const result = await dataProvider.getAggregates({
+        ticker,
+        from: `${year}-01-01`,
+        to: `${year}-12-31`,
+        signal
+    });
+    const { bars, simulated } = await requireBars(dataProvider, result, { signal });
+    console.log(`Received ${bars.length} data points for ${ticker}`);
+
+    // Grid on the exchange's calendar; gaps are NaN (or filled) and dates like Feb 30 stay NaN
+    const { grid, colorGrid } = buildMetricGrids((metric) => buildCalendarGrid(bars, {
+        year,
+        fill,
+        layout,
+        timeZone: getExchangeTimeZone(ticker),
+        calendar: getTradingCalendar(ticker),
+        value: createMetricAccessor(bars, metric)
+    }), heightMetric, colorMetric);
+    const isWeekLayout = layout === "week";
+
+    return {
+        ...describeMetrics({
+            grid,
+            colorGrid,
+            heightMetric,
+            colorMetric,
+            cellTitle: (row, col) => (grid.dates[row][col] ? formatDay(grid.dates[row][col]) : null)
+        }),
+        simulated: Boolean(simulated),
+        seriesName: `${ticker} ${SURFACE_METRICS[heightMetric].label} Surface (${year})`,
+        xAxis: {
+            title: isWeekLayout ? "Weekday" : "Day of Month",
+            formatLabel: (dataValue) => {
+                const index = Math.round(dataValue);
+                return isWeekLayout ? WEEKDAY_NAMES[index] || "" : String(index + 1);
+            }
+        },
+        zAxis: {
+            title: isWeekLayout ? "Week of Year" : "Month",
+            formatLabel: (dataValue) => {
+                const index = Math.round(dataValue);
+                if (isWeekLayout) {
+                    return index >= 0 ? `W${index + 1}` : "";
+                }
+                return MONTH_NAMES[index] || "";
+            }
+        }
+    };
+};
+
+// Several tickers' years overlaid, each as % change since its first close of
+// the year so different price levels share one axis. Tickers that fail to
+// load are reported in `failed` as long as at least one loads.
+const loadComparisonSurface = async ({ dataProvider, tickers, year, fill, layout, signal }) => {
+    const results = await Promise.allSettled(tickers.map(symbol => loadYearSurface({
+        dataProvider,
+        ticker: symbol,
+        year,
+        fill,
+        layout,
+        heightMetric: "cumulative",
+        colorMetric: "cumulative",
+        signal
+    })));
+    const aborted = results.find(result => result.status === "rejected" && isAbortError(result.reason));
+    if (aborted) {
+        throw aborted.reason;
+    }
+
+    const layers = [];
+    const failed = [];
+    results.forEach((result, i) => {
+        const symbol = tickers[i];
+        if (result.status === "rejected") {
+            console.warn(`Could not load ${symbol} for the comparison:`, result.reason);
+            failed.push({ ticker: symbol, palette: OVERLAY_PALETTES[i], error: result.reason });
+            return;
+        }
+        const surface = result.value;
+        layers.push({
+            ticker: symbol,
+            grid: surface.grid,
+            palette: OVERLAY_PALETTES[i],
+            simulated: surface.simulated,
+            tooltip: (row, col) => {
+                const lines = surface.tooltip(row, col);
+                return lines.length > 0 ? [symbol, ...lines] : [];
+            }
+        });
+    });
+    if (layers.length === 0) {
+        throw failed[0].error;
+    }
+
+    const mins = layers.map(layer => layer.grid.min).filter(isFinite);
+    const maxes = layers.map(layer => layer.grid.max).filter(isFinite);
+    const first = results.find(result => result.status === "fulfilled").value;
+
+    return {
+        // Shared shape and range of every layer, for the axes
+        grid: {
+            ...layers[0].grid,
+            min: mins.length > 0 ? Math.min(...mins) : NaN,
+            max: maxes.length > 0 ? Math.max(...maxes) : NaN
+        },
+        colorGrid: null,
+        layers,
+        failed,
+        simulated: layers.some(layer => layer.simulated),
+        seriesName: `${tickers.join(" vs ")} (${year})`,
+        yTitle: SURFACE_METRICS.cumulative.axisTitle,
+        yUnit: SURFACE_METRICS.cumulative.unit,
+        legendTitle: "",
+        tooltip: () => [],
+        xAxis: first.xAxis,
+        zAxis: first.zAxis
+    };
+};
+
+// Minute or hour bars of the last `days` sessions: time of day × trading day
+const loadIntradaySurface = async ({ dataProvider, ticker, interval, days, fill, heightMetric, colorMetric, signal }) => {
+    const calendar = getTradingCalendar(ticker);
+    const { multiplier, timespan, label } = getIntradayInterval(interval);
+    const tradingDays = calendar.recentTradingDays(formatZonedDate(Date.now(), calendar.timeZone), days);
+
+    const result = await dataProvider.getAggregates({
+        ticker,
+        from: tradingDays[0],
+        to: tradingDays[tradingDays.length - 1],
+        multiplier,
+        timespan,
+        signal
+    });
+    const { bars, simulated } = await requireBars(dataProvider, result, { signal });
+    console.log(`Received ${bars.length} ${label} bars for ${ticker}`);
+
+    const { grid, colorGrid } = buildMetricGrids((metric) => buildIntradayGrid(bars, {
+        days: tradingDays,
+        interval: { multiplier, timespan },
+        calendar,
+        fill,
+        value: createMetricAccessor(bars, metric),
+        missing: SURFACE_METRICS[metric].missing ?? NaN
+    }), heightMetric, colorMetric);
+    const zoneName = calendar.timeZone === "UTC" ? "UTC" : "exchange time";
+
+    return {
+        ...describeMetrics({
+            grid,
+            colorGrid,
+            heightMetric,
+            colorMetric,
+            cellTitle: (row, col) => `${formatDay(grid.days[row])} ${formatClockTime(grid.slotMinutes[col])}`
+        }),
+        simulated: Boolean(simulated),
+        seriesName: `${ticker} ${label} ${SURFACE_METRICS[heightMetric].label} (last ${days} sessions)`,
+        xAxis: {
+            title: `Time of Day (${zoneName})`,
+            formatLabel: (dataValue) => {
+                const minutes = grid.slotMinutes[Math.round(dataValue)];
+                return minutes === undefined ? "" : formatClockTime(minutes);
+            }
+        },
+        zAxis: {
+            title: "Trading Day",
+            formatLabel: (dataValue) => {
+                const day = grid.days[Math.round(dataValue)];
+                return day ? formatDay(day, false) : "";
+            }
+        }
+    };
+};
+
+// Daily bars for several years: trading day of the year × year. Cumulative
+// returns restart every year so years at different price levels line up.
+const loadMultiYearSurface = async ({ dataProvider, ticker, fromYear, toYear, fill, heightMetric, colorMetric, signal }) => {
+    const result = await fetchYearRange(dataProvider, { ticker, fromYear, toYear, signal });
+    const { bars, simulated } = await requireBars(dataProvider, result, { signal });
+    console.log(`Received ${bars.length} data points for ${ticker} ${fromYear}-${toYear}`);
+
+    const timeZone = getExchangeTimeZone(ticker);
+    const { grid, colorGrid } = buildMetricGrids((metric) => buildMultiYearGrid(bars, {
+        fromYear,
+        toYear,
+        fill,
+        timeZone,
+        calendar: getTradingCalendar(ticker),
+        value: createMetricAccessor(bars, metric, { periodOf: yearOfBar(timeZone) })
+    }), heightMetric, colorMetric);
+
+    return {
+        ...describeMetrics({
+            grid,
+            colorGrid,
+            heightMetric,
+            colorMetric,
+            cellTitle: (row, col) => (grid.dates[row][col] ? formatDay(grid.dates[row][col]) : null)
+        }),
+        simulated: Boolean(simulated),
+        seriesName: `${ticker} ${SURFACE_METRICS[heightMetric].label} (${fromYear}-${toYear})`,
+        xAxis: {
+            title: "Trading Day of Year",
+            formatLabel: (dataValue) => String(Math.round(dataValue) + 1)
+        },
+        zAxis: {
+            title: "Year",
+            formatLabel: (dataValue) => String(grid.years[Math.round(dataValue)] ?? "")
+        }
+    };
+};
+
+// Rolling realized volatility over one year: date × window length, drawn with
+// contours. Extra history is fetched so the longest window is full on Jan 1.
+const loadVolatilitySurface = async ({ dataProvider, ticker, year, signal }) => {
+    const from = `${year}-01-01`;
+    const to = `${year}-12-31`;
+    const result = await dataProvider.getAggregates({
+        ticker,
+        from: addDays(from, -volatilityLookbackDays()),
+        to,
+        signal
+    });
+    const { bars, simulated } = await requireBars(dataProvider, result, { signal });
+    console.log(`Received ${bars.length} data points for ${ticker} volatility`);
+
+    const grid = buildVolatilityGrid(bars, { from, to, timeZone: getExchangeTimeZone(ticker) });
+
+    return {
+        grid,
+        colorGrid: null,
+        simulated: Boolean(simulated),
+        seriesName: `${ticker} Realized Volatility (${year})`,
+        yTitle: "Annualized Volatility (%)",
+        yUnit: "%",
+        legendTitle: "Annualized Volatility (%)",
+        drawMeshAs: EDrawMeshAs.SOLID_WITH_CONTOURS,
+        tooltip: (row, col) => {
+            const volatility = grid.values[row]?.[col];
+            if (grid.dates[col] === undefined || volatility === undefined) {
+                return [];
+            }
+            return [
+                formatDay(grid.dates[col]),
+                `${grid.windows[row]}-day window`,
+                `Volatility: ${isNaN(volatility) ? "—" : `${volatility.toFixed(2)}%`}`
+            ];
+        },
+        xAxis: {
+            title: "Date",
+            formatLabel: (dataValue) => {
+                const date = grid.dates[Math.round(dataValue)];
+                return date ? formatDay(date, false) : "";
+            }
+        },
+        zAxis: {
+            title: "Window (trading days)",
+            formatLabel: (dataValue) => String(grid.windows[Math.round(dataValue)] ?? "")
+        }
+    };
+};
+
+// Implied volatility across strikes and expirations from an options chain
+// snapshot: moneyness × days to expiry, resampled onto a regular grid.
+// `chainSource` "provider" asks the data provider (falling back to the sample
+// chain when it has no options), "sample" always uses the sample chain.
+const loadOptionsSurface = async ({ dataProvider, ticker, chainSource, signal }) => {
+    const chainProvider = chainSource === "provider" && dataProvider.getOptionsChain ? dataProvider : sampleOptionsProvider;
+    const chain = await chainProvider.getOptionsChain({ underlying: ticker, signal });
+    console.log(`Received ${chain.contracts.length} option contracts for ${ticker}`);
+
+    const timeZone = getExchangeTimeZone(ticker);
+    const grid = buildImpliedVolatilityGrid(chain, { timeZone });
+    const asOf = formatZonedDate(grid.asOf, timeZone);
+
+    return {
+        grid,
+        colorGrid: null,
+        simulated: Boolean(chain.simulated),
+        seriesName: `${grid.underlying} Implied Volatility (${formatDay(asOf)})`,
+        yTitle: "Implied Volatility (%)",
+        yUnit: "%",
+        legendTitle: "Implied Volatility (%)",
+        tooltip: (row, col) => {
+            const iv = grid.values[row]?.[col];
+            if (iv === undefined) {
+                return [];
+            }
+            const extrapolated = grid.status[row][col] === "extrapolated";
+            return [
+                `Strike: $${grid.strikes[col].toFixed(2)} (${(grid.moneyness[col] * 100).toFixed(1)}% of $${grid.underlyingPrice.toFixed(2)})`,
+                `${Math.round(grid.daysToExpiry[row])} days to expiry`,
+                `IV: ${iv.toFixed(2)}%${extrapolated ? " (extrapolated)" : ""}`,
+                `As of ${formatDay(asOf)}`
+            ];
+        },
+        xAxis: {
+            title: "Moneyness (strike / spot)",
+            formatLabel: (dataValue) => {
+                const moneyness = grid.moneyness[Math.round(dataValue)];
+                return moneyness === undefined ? "" : `${Math.round(moneyness * 100)}%`;
+            }
+        },
+        zAxis: {
+            title: "Days to Expiry",
+            formatLabel: (dataValue) => {
+                const days = grid.daysToExpiry[Math.round(dataValue)];
+                return days === undefined ? "" : String(Math.round(days));
+            }
+        }
+    };
+};
 
 // Renamed component to SurfaceChart as requested
-const SurfaceChart = ({ ticker = "AAPL", year = 2024 }) => {
+const SurfaceChart = ({
+    ticker = "AAPL",
+    year = 2024,
+    fill: initialFill = "forward",
+    layout: initialLayout = "calendar",
+    view: initialView = "year",
+    interval: initialInterval = "5m",
+    days: initialDays = 20,
+    startYear: initialStartYear = year - 9,
+    heightMetric: initialHeightMetric = "close",
+    colorMetric: initialColorMetric = "close",
+    chainSource: initialChainSource = "provider",
+    compareTickers: initialCompareTickers = ["MSFT", "NVDA"],
+    provider
+}) => {
+    const dataProvider = useDataProvider(provider);
+    const [view, setView] = useState(initialView); // "year", "multi-year", "intraday", "volatility" or "options"
+    const [barInterval, setBarInterval] = useState(initialInterval);
+    const [days, setDays] = useState(initialDays);
+    const [startYear, setStartYear] = useState(initialStartYear);
+    const [heightMetric, setHeightMetric] = useState(initialHeightMetric);
+    const [colorMetric, setColorMetric] = useState(initialColorMetric);
+    const [layout, setLayout] = useState(initialLayout); // "calendar" (month × day) or "week" (week × weekday)
+    const [fill, setFill] = useState(initialFill);
+    const [chainSource, setChainSource] = useState(initialChainSource);
+    // Tickers overlaid on `ticker` in the comparison view, and the text being typed
+    const [compareTickers, setCompareTickers] = useState(initialCompareTickers);
+    const [compareInput, setCompareInput] = useState(initialCompareTickers.join(", "));
+
     // State for chart elements and data
     const [chartDiv, setChartDiv] = useState(null);
     const [legendDiv, setLegendDiv] = useState(null);
-    const [mainChart, setMainChart] = useState(null);
-    const [legendChart, setLegendChart] = useState(null);
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [isSimulated, setIsSimulated] = useState(false);
+    const [reloadToken, setReloadToken] = useState(0); // Bumped by the retry button
+    const [legendTitle, setLegendTitle] = useState(""); // Title of whatever drives color
+    const [overlayLegend, setOverlayLegend] = useState([]); // { ticker, color, visible, error } per overlaid ticker
+    const overlaySeriesRef = useRef(new Map()); // Overlaid ticker -> its mesh series
 
     // Initialize community license once
     useEffect(() => {
@@ -42,11 +535,25 @@ const SurfaceChart = ({ ticker = "AAPL", year = 2024 }) => {
 
         console.log("Initializing chart");
         setIsLoading(true);
+        setError(null);
+        setOverlayLegend([]);
+        overlaySeriesRef.current = new Map();
+
+        // Cancels the data request if the ticker/year changes mid-flight
+        const controller = new AbortController();
+        let mainChart = null;
+        let legendChart = null;
 
         const initCharts = async () => {
             try {
                 // Create main chart
                 const { sciChart3DSurface, wasmContext } = await SciChart3DSurface.create(chartDiv);
+                if (controller.signal.aborted) {
+                    // Effect was cleaned up while the surface was being created
+                    sciChart3DSurface.delete();
+                    return;
+                }
+                mainChart = sciChart3DSurface;
 
                 // Set camera for better viewing oriented to see months going outward on z-axis
                 sciChart3DSurface.camera = new CameraController(wasmContext, {
@@ -58,252 +565,153 @@ const SurfaceChart = ({ ticker = "AAPL", year = 2024 }) => {
                 sciChart3DSurface.worldDimensions = new Vector3(200, 100, 200);
                 sciChart3DSurface.background = "Transparent";
 
-                // Create axes with financial labels
-                sciChart3DSurface.xAxis = new NumericAxis3D(wasmContext, {
-                    axisTitle: "Day of Month",
-                    visibleRange: new NumberRange(0, 30)
+                // Load the grid for the selected view, then build axes around it
+                const metrics = { fill, heightMetric, colorMetric, signal: controller.signal };
+                let surface;
+                if (view === "compare") {
+                    const tickers = [...new Set([ticker.toUpperCase(), ...compareTickers])].slice(0, MAX_OVERLAY_TICKERS);
+                    surface = await loadComparisonSurface({ dataProvider, tickers, year, fill, layout, signal: controller.signal });
+                } else if (view === "intraday") {
+                    surface = await loadIntradaySurface({ dataProvider, ticker, interval: barInterval, days, ...metrics });
+                } else if (view === "options") {
+                    surface = await loadOptionsSurface({ dataProvider, ticker, chainSource, signal: controller.signal });
+                } else if (view === "volatility") {
+                    surface = await loadVolatilitySurface({ dataProvider, ticker, year, signal: controller.signal });
+                } else if (view === "multi-year") {
+                    surface = await loadMultiYearSurface({ dataProvider, ticker, fromYear: startYear, toYear: year, ...metrics });
+                } else {
+                    surface = await loadYearSurface({ dataProvider, ticker, year, layout, ...metrics });
+                }
+                setIsSimulated(surface.simulated);
+                setLegendTitle(surface.legendTitle);
+
+                const xAxis = new NumericAxis3D(wasmContext, {
+                    axisTitle: surface.xAxis.title,
+                    visibleRange: new NumberRange(0, surface.grid.cols - 1)
                 });
+                xAxis.labelProvider.formatLabel = surface.xAxis.formatLabel;
+                sciChart3DSurface.xAxis = xAxis;
 
                 sciChart3DSurface.yAxis = new NumericAxis3D(wasmContext, {
-                    axisTitle: "Price ($)",
-                    // We'll set the range after loading data
+                    axisTitle: surface.yTitle
                 });
 
-                // Create z-axis with month names
                 const zAxis = new NumericAxis3D(wasmContext, {
-                    axisTitle: "Month",
-                    visibleRange: new NumberRange(0, 11)
+                    axisTitle: surface.zAxis.title,
+                    visibleRange: new NumberRange(0, surface.grid.rows - 1)
                 });
-
-                // Configure axis to display month names instead of numbers
-                const monthNames = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
-                zAxis.labelProvider.formatLabel = (dataValue) => {
-                    const monthIndex = Math.round(dataValue);
-                    return monthIndex >= 0 && monthIndex < 12 ? monthNames[monthIndex] : "";
-                };
-
+                zAxis.labelProvider.formatLabel = surface.zAxis.formatLabel;
                 sciChart3DSurface.zAxis = zAxis;
 
-                // Fixed parameters for the data grid
-                const months = 12;
-                const days = 31;
-                const basePrice = 0; // Use 0 as placeholder for missing data
-
-                // Get API key from .env file (handled by Vite automatically)
-                const apiKey = import.meta.env.VITE_POLYGON_API_KEY;
-
-                if (!apiKey) {
-                    throw new Error("Polygon API key not found in .env file");
-                }
-
-                // Fetch real stock data from Polygon.io
-                // We'll get daily data for the entire year
-                const startDate = `${year}-01-01`;
-                const endDate = `${year}-12-31`;
-
-                const apiUrl = `https://api.polygon.io/v2/aggs/ticker/${ticker}/range/1/day/${startDate}/${endDate}?adjusted=true&apiKey=${apiKey}`;
-
-                console.log(`Fetching data for ${ticker} from ${startDate} to ${endDate}`);
-                const response = await fetch(apiUrl);
-
-                if (!response.ok) {
-                    throw new Error(`API error: ${response.status} ${response.statusText}`);
-                }
-
-                const data = await response.json();
-
-                if (!data.results || data.results.length === 0) {
-                    throw new Error(`No data available for ${ticker} in ${year}`);
-                }
-
-                console.log(`Received ${data.results.length} data points for ${ticker}`);
-
-                // Initialize grid with base values - following StockGridVisualizer approach
-                const priceData = Array(months).fill().map(() => Array(days).fill(basePrice));
-
-                // Track min/max values
-                let minPrice = Number.MAX_VALUE;
-                let maxPrice = Number.MIN_VALUE;
-
-                // Fill grid with actual data
-                data.results.forEach(dayData => {
-                    const date = new Date(dayData.t);
-                    const month = date.getMonth(); // 0-11
-                    const day = date.getDate() - 1; // 0-30
-
-                    // Store closing price in grid
-                    priceData[month][day] = dayData.c;
+                const priceData = surface.grid.values;
+                const [minPrice, maxPrice] = surfaceRange(surface.grid, surface.yUnit);
+                console.log(`${surface.yTitle} range for ${ticker}: ${minPrice.toFixed(2)} to ${maxPrice.toFixed(2)}`);
 
-                    // Track min/max prices
-                    minPrice = Math.min(minPrice, dayData.c);
-                    maxPrice = Math.max(maxPrice, dayData.c);
-                });
-
-                // Fill in missing values within months using the same approach as StockGridVisualizer
-                for (let m = 0; m < months; m++) {
-                    let lastKnownPrice = null;
-
-                    // Forward fill - use previous known price
-                    for (let d = 0; d < days; d++) {
-                        if (priceData[m][d] !== basePrice) {
-                            lastKnownPrice = priceData[m][d];
-                        } else if (lastKnownPrice !== null) {
-                            priceData[m][d] = lastKnownPrice;
-                        }
-                    }
-
-                    // Backward fill - for start of month
-                    lastKnownPrice = null;
-                    for (let d = days - 1; d >= 0; d--) {
-                        if (priceData[m][d] !== basePrice) {
-                            lastKnownPrice = priceData[m][d];
-                        } else if (lastKnownPrice !== null && priceData[m][d] === basePrice) {
-                            priceData[m][d] = lastKnownPrice;
-                        }
-                    }
-                }
-
-                // Fill in completely empty months by copying from nearest month with data
-                for (let m = 0; m < months; m++) {
-                    // Check if month has any real data
-                    let hasData = priceData[m].some(price => price !== basePrice);
-
-                    if (!hasData) {
-                        let nearestMonth = -1;
-                        let minDistance = months;
-
-                        // Find nearest month with data
-                        for (let mm = 0; mm < months; mm++) {
-                            if (mm === m) continue;
-
-                            if (priceData[mm].some(price => price !== basePrice)) {
-                                const distance = Math.abs(mm - m);
-                                if (distance < minDistance) {
-                                    minDistance = distance;
-                                    nearestMonth = mm;
-                                }
-                            }
-                        }
-
-                        // Copy from nearest month if found
-                        if (nearestMonth !== -1) {
-                            for (let d = 0; d < days; d++) {
-                                priceData[m][d] = priceData[nearestMonth][d];
-                            }
-                        }
-                    }
+                // Update Y axis range to match the data
+                // 10% headroom away from zero, so negative returns are padded too
+                sciChart3DSurface.yAxis.visibleRange = new NumberRange(minPrice - Math.abs(minPrice) * 0.1, maxPrice + Math.abs(maxPrice) * 0.1);
+
+                // The mesh palette can only follow height, so when color shows another
+                // metric the mesh goes neutral and a colored marker sits on every cell
+                const [colorMin, colorMax] = surface.colorGrid
+                    ? surfaceRange(surface.colorGrid, SURFACE_METRICS[surface.colorMetric].unit)
+                    : [minPrice, maxPrice];
+
+                if (surface.layers) {
+                    // One translucent mesh per ticker, toggled from the overlay legend
+                    surface.layers.forEach(layer => {
+                        const series = createSurfaceMesh(wasmContext, {
+                            name: layer.ticker,
+                            values: layer.grid.values,
+                            minimum: minPrice,
+                            maximum: maxPrice,
+                            colorMap: new GradientColorPalette(wasmContext, { gradientStops: layer.palette.gradientStops }),
+                            opacity: OVERLAY_OPACITY
+                        });
+                        overlaySeriesRef.current.set(layer.ticker, series);
+                        sciChart3DSurface.renderableSeries.add(series);
+                    });
+                    setOverlayLegend([
+                        ...surface.layers.map(layer => ({ ticker: layer.ticker, color: layer.palette.color, visible: true, error: null })),
+                        ...surface.failed.map(entry => ({ ticker: entry.ticker, color: entry.palette.color, visible: false, error: describeError(entry.error).title }))
+                    ]);
+                } else {
+                    const series = createSurfaceMesh(wasmContext, {
+                        name: surface.seriesName,
+                        values: priceData,
+                        minimum: minPrice,
+                        maximum: maxPrice,
+                        colorMap: surface.colorGrid
+                            ? new SolidColorBrushPalette(wasmContext, { fill: NEUTRAL_MESH_COLOR })
+                            : new GradientColorPalette(wasmContext, { gradientStops: GRADIENT_STOPS }),
+                        drawMeshAs: surface.drawMeshAs
+                    });
+                    sciChart3DSurface.renderableSeries.add(series);
                 }
 
-                // Final calculation of min/max across entire grid
-                for (let m = 0; m < months; m++) {
-                    for (let d = 0; d < days; d++) {
-                        if (priceData[m][d] !== basePrice) {
-                            minPrice = Math.min(minPrice, priceData[m][d]);
-                            maxPrice = Math.max(maxPrice, priceData[m][d]);
+                if (surface.colorGrid) {
+                    const markers = new XyzDataSeries3D(wasmContext, {
+                        dataSeriesName: SURFACE_METRICS[surface.colorMetric].label
+                    });
+                    priceData.forEach((rowValues, row) => rowValues.forEach((height, col) => {
+                        const colorValue = surface.colorGrid.values[row][col];
+                        if (isNaN(height) || isNaN(colorValue)) {
+                            return;
                         }
-                    }
-                }
-
-                // Ensure we have valid min/max
-                if (!isFinite(minPrice) || !isFinite(maxPrice)) {
-                    minPrice = 0;
-                    maxPrice = 1000;
-                }
-
-                // Ensure sufficient range
-                if (maxPrice - minPrice < 10) {
-                    maxPrice = minPrice + 10;
+                        markers.append(col, height, row, {
+                            vertexColor: gradientColorAt(GRADIENT_STOPS, (colorValue - colorMin) / (colorMax - colorMin))
+                        });
+                    }));
+                    sciChart3DSurface.renderableSeries.add(new ScatterRenderableSeries3D(wasmContext, {
+                        dataSeries: markers,
+                        pointMarker: new SpherePointMarker3D(wasmContext, { size: 4 })
+                    }));
                 }
 
-                console.log(`Price range for ${ticker}: $${minPrice.toFixed(2)} to $${maxPrice.toFixed(2)}`);
-
-                // Update Y axis range to match the data
-                sciChart3DSurface.yAxis.visibleRange = new NumberRange(minPrice * 0.9, maxPrice * 1.1);
-
-                // Create data series
-                const dataSeries = new UniformGridDataSeries3D(wasmContext, {
-                    yValues: priceData,
-                    xStep: 1, // 1 day per step
-                    zStep: 1, // 1 month per step
-                    dataSeriesName: `${ticker} Price Surface (${year})`,
-                    xStart: 0, // Start at day 0
-                    zStart: 0 // Start at month 0
-                });
-
-                // Use the working colors
-                const colorMap = new GradientColorPalette(wasmContext, {
-                    gradientStops: [
-                        { offset: 0, color: "#1E5631" },   // Dark green (low values)
-                        { offset: 0.25, color: "#A2D149" }, // Light green
-                        { offset: 0.5, color: "#FFFF99" },  // Yellow
-                        { offset: 0.75, color: "#FF9933" }, // Orange
-                        { offset: 1, color: "#CC3300" },    // Red (high values)
-                    ],
-                });
-
-                // Create surface series with financial styling
-                const series = new SurfaceMeshRenderableSeries3D(wasmContext, {
-                    dataSeries,
-                    minimum: minPrice,
-                    maximum: maxPrice,
-                    opacity: 0.9,
-                    cellHardnessFactor: 1.0,
-                    shininess: 30,
-                    lightingFactor: 0.6,
-                    highlight: 1.0,
-                    stroke: "#444444",
-                    strokeThickness: 1.0,
-                    contourStroke: "#FFFFFF",
-                    contourInterval: (maxPrice - minPrice) / 10, // 10 contour lines
-                    contourOffset: 0,
-                    contourStrokeThickness: 1,
-                    drawSkirt: false,
-                    drawMeshAs: EDrawMeshAs.SOLID_WIREFRAME,
-                    meshColorPalette: colorMap
-                });
-
-                sciChart3DSurface.renderableSeries.add(series);
-
                 // Add modifiers for interaction
                 sciChart3DSurface.chartModifiers.add(new MouseWheelZoomModifier3D());
                 sciChart3DSurface.chartModifiers.add(new OrbitModifier3D());
                 sciChart3DSurface.chartModifiers.add(new ResetCamera3DModifier());
                 sciChart3DSurface.chartModifiers.add(new TooltipModifier3D({
-                    tooltipContainerBackground: "#333333"
+                    tooltipContainerBackground: "#333333",
+                    // Show the actual date (and time) under the cursor rather than grid indices,
+                    // and on an overlay, which ticker's surface it is
+                    tooltipDataTemplate: (seriesInfo) => {
+                        const layer = surface.layers?.find(candidate => candidate.ticker === seriesInfo.dataSeriesName);
+                        const tooltip = layer ? layer.tooltip : surface.tooltip;
+                        return seriesInfo.zIndex === undefined
+                            ? tooltip(Math.round(seriesInfo.zValue), Math.round(seriesInfo.xValue))
+                            : tooltip(seriesInfo.zIndex, seriesInfo.xIndex);
+                    }
                 }));
 
-                // Store chart reference
-                setMainChart(sciChart3DSurface);
-
-                // Create legend with the working color configuration
-                try {
-                    const { heatmapLegend } = await HeatmapLegend.create(legendDiv, {
-                        colorMap: {
-                            minimum: minPrice,
-                            maximum: maxPrice,
-                            gradientStops: [
-                                { offset: 0, color: "#1E5631" },   // Dark green (low values)
-                                { offset: 0.25, color: "#A2D149" }, // Light green
-                                { offset: 0.5, color: "#FFFF99" },  // Yellow
-                                { offset: 0.75, color: "#FF9933" }, // Orange
-                                { offset: 1, color: "#CC3300" },    // Red (high values)
-                            ],
-                            background: "Transparent"
-                        }
-                    });
+                // Legend follows whichever metric drives color; overlays use their own legend
+                if (!surface.layers) {
+                    try {
+                        const { heatmapLegend } = await HeatmapLegend.create(legendDiv, {
+                            colorMap: {
+                                minimum: colorMin,
+                                maximum: colorMax,
+                                gradientStops: GRADIENT_STOPS,
+                                background: "Transparent"
+                            }
+                        });
 
-                    // Store legend reference
-                    setLegendChart(heatmapLegend);
-                } catch (err) {
-                    console.warn("Non-critical error creating legend:", err);
+                        // Store legend reference
+                        legendChart = heatmapLegend;
+                    } catch (err) {
+                        console.warn("Non-critical error creating legend:", err);
+                    }
                 }
 
                 console.log("Chart initialized successfully");
-                console.log(dataSeries.getYValues());
                 setIsLoading(false);
             } catch (initError) {
+                if (isAbortError(initError)) {
+                    return;
+                }
                 console.error("Error initializing chart:", initError);
-                setError("Chart initialization error: " + initError.message);
+                setError(initError);
                 setIsLoading(false);
             }
         };
@@ -312,6 +720,7 @@ const SurfaceChart = ({ ticker = "AAPL", year = 2024 }) => {
 
         // Cleanup function
         return () => {
+            controller.abort();
             if (mainChart) {
                 try {
                     mainChart.delete();
@@ -327,7 +736,30 @@ const SurfaceChart = ({ ticker = "AAPL", year = 2024 }) => {
                 }
             }
         };
-    }, [chartDiv, legendDiv, ticker, year]);
+    }, [chartDiv, legendDiv, ticker, year, fill, layout, view, barInterval, days, startYear, heightMetric, colorMetric, chainSource, compareTickers, dataProvider, reloadToken]);
+
+    // Commit the typed ticker list; only reloads when it actually changed
+    const applyCompareInput = () => {
+        const tickers = parseTickerList(compareInput)
+            .filter(symbol => symbol !== ticker.toUpperCase())
+            .slice(0, MAX_OVERLAY_TICKERS - 1);
+        setCompareInput(tickers.join(", "));
+        if (tickers.join(",") !== compareTickers.join(",")) {
+            setCompareTickers(tickers);
+        }
+    };
+
+    // Legend checkboxes show or hide one overlaid surface without reloading
+    const toggleOverlay = (symbol) => {
+        const series = overlaySeriesRef.current.get(symbol);
+        if (!series) {
+            return;
+        }
+        series.isVisible = !series.isVisible;
+        setOverlayLegend(entries => entries.map(entry => (
+            entry.ticker === symbol ? { ...entry, visible: series.isVisible } : entry
+        )));
+    };
 
     return (
         <div style={{ position: "relative", width: "100%", height: "550px" }}>
@@ -345,6 +777,161 @@ const SurfaceChart = ({ ticker = "AAPL", year = 2024 }) => {
                     right: "0px",
                 }}
             />
+            {isSimulated && (
+                <SimulatedBadge className="absolute top-2 left-2 z-10" />
+            )}
+            {overlayLegend.length > 0 && (
+                <div className="absolute bottom-2 left-2 z-10 flex flex-col gap-1 rounded bg-black/60 px-2 py-1 text-xs text-white">
+                    {overlayLegend.map(entry => (
+                        <label key={entry.ticker} className="flex items-center gap-2" title={entry.error || "Show or hide this surface"}>
+                            <input
+                                type="checkbox"
+                                checked={entry.visible}
+                                disabled={Boolean(entry.error)}
+                                onChange={() => toggleOverlay(entry.ticker)}
+                            />
+                            <span style={{ width: "10px", height: "10px", borderRadius: "2px", backgroundColor: entry.color }} />
+                            <span className={entry.error ? "line-through text-gray-400" : ""}>{entry.ticker}</span>
+                        </label>
+                    ))}
+                </div>
+            )}
+            <div className="absolute top-2 right-20 z-10 flex gap-2 text-xs text-gray-800">
+                <select
+                    value={view}
+                    onChange={(e) => setView(e.target.value)}
+                    className="border border-gray-300 rounded px-1 py-0.5 bg-white/80"
+                    title="Surface"
+                >
+                    <option value="year">Year ({year})</option>
+                    <option value="multi-year">Multi-year</option>
+                    <option value="intraday">Intraday</option>
+                    <option value="volatility">Volatility ({year})</option>
+                    <option value="options">Options IV</option>
+                    <option value="compare">Compare ({year})</option>
+                </select>
+                {view === "compare" && (
+                    <input
+                        value={compareInput}
+                        onChange={(e) => setCompareInput(e.target.value)}
+                        onBlur={applyCompareInput}
+                        onKeyDown={(e) => e.key === "Enter" && applyCompareInput()}
+                        className="w-32 border border-gray-300 rounded px-1 py-0.5 bg-white/80"
+                        title={`Up to ${MAX_OVERLAY_TICKERS - 1} tickers to compare with ${ticker}, separated by commas`}
+                    />
+                )}
+                {view === "options" && (
+                    <select
+                        value={chainSource}
+                        onChange={(e) => setChainSource(e.target.value)}
+                        className="border border-gray-300 rounded px-1 py-0.5 bg-white/80"
+                        title="Options chain"
+                    >
+                        <option value="provider">Live chain</option>
+                        <option value="sample">Sample chain</option>
+                    </select>
+                )}
+                {view === "multi-year" && (
+                    <>
+                        <select
+                            value={startYear}
+                            onChange={(e) => setStartYear(Number(e.target.value))}
+                            className="border border-gray-300 rounded px-1 py-0.5 bg-white/80"
+                            title="First year"
+                        >
+                            {Array.from({ length: MAX_YEAR_SPAN - 1 }, (_, i) => year - MAX_YEAR_SPAN + 1 + i).map(option => (
+                                <option key={option} value={option}>{option}-{year}</option>
+                            ))}
+                        </select>
+                    </>
+                )}
+                {view === "intraday" && (
+                    <>
+                        <select
+                            value={barInterval}
+                            onChange={(e) => setBarInterval(e.target.value)}
+                            className="border border-gray-300 rounded px-1 py-0.5 bg-white/80"
+                            title="Bar size"
+                        >
+                            {INTRADAY_INTERVALS.map(option => (
+                                <option key={option.id} value={option.id}>{option.label}</option>
+                            ))}
+                        </select>
+                        <select
+                            value={days}
+                            onChange={(e) => setDays(Number(e.target.value))}
+                            className="border border-gray-300 rounded px-1 py-0.5 bg-white/80"
+                            title="Trading days"
+                        >
+                            {DAY_COUNTS.map(count => (
+                                <option key={count} value={count}>{count} days</option>
+                            ))}
+                        </select>
+                    </>
+                )}
+                {LAYOUT_VIEWS.includes(view) && (
+                    <label className="flex items-center gap-1">
+                        Layout
+                        <select
+                            value={layout}
+                            onChange={(e) => setLayout(e.target.value)}
+                            className="border border-gray-300 rounded px-1 py-0.5 bg-white/80"
+                        >
+                            {Object.entries(GRID_LAYOUT_LABELS).map(([id, label]) => (
+                                <option key={id} value={id}>{label}</option>
+                            ))}
+                        </select>
+                    </label>
+                )}
+                {FILL_VIEWS.includes(view) && (
+                    <label className="flex items-center gap-1">
+                        Fill
+                        <select
+                            value={fill}
+                            onChange={(e) => setFill(e.target.value)}
+                            className="border border-gray-300 rounded px-1 py-0.5 bg-white/80"
+                        >
+                            {FILL_STRATEGIES.map(strategy => (
+                                <option key={strategy} value={strategy}>{FILL_STRATEGY_LABELS[strategy]}</option>
+                            ))}
+                        </select>
+                    </label>
+                )}
+                {METRIC_VIEWS.includes(view) && (
+                    <>
+                        <label className="flex items-center gap-1">
+                            Height
+                            <select
+                                value={heightMetric}
+                                onChange={(e) => setHeightMetric(e.target.value)}
+                                className="border border-gray-300 rounded px-1 py-0.5 bg-white/80"
+                            >
+                                {Object.entries(SURFACE_METRICS).map(([id, option]) => (
+                                    <option key={id} value={id}>{option.label}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <label className="flex items-center gap-1">
+                            Color
+                            <select
+                                value={colorMetric}
+                                onChange={(e) => setColorMetric(e.target.value)}
+                                className="border border-gray-300 rounded px-1 py-0.5 bg-white/80"
+                            >
+                                {Object.entries(SURFACE_METRICS).map(([id, option]) => (
+                                    <option key={id} value={id}>{option.label}</option>
+                                ))}
+                            </select>
+                        </label>
+                    </>
+                )}
+            </div>
+            <div
+                className="absolute bottom-2 right-0 z-10 w-[65px] text-center text-[10px] leading-tight text-gray-200"
+                title="Legend"
+            >
+                {legendTitle}
+            </div>
             {isLoading && (
                 <div style={{
                     position: "absolute",
@@ -360,27 +947,12 @@ const SurfaceChart = ({ ticker = "AAPL", year = 2024 }) => {
                     zIndex: 10
                 }}>
                     <div className="text-center">
-                        <div className="mb-2">Loading {ticker} data from Polygon.io...</div>
+                        <div className="mb-2">Loading {ticker} data from {dataProvider.label}...</div>
                         <div className="w-12 h-12 border-4 border-blue-500 border-t-transparent rounded-full animate-spin mx-auto"></div>
                     </div>
                 </div>
             )}
-            {error && (
-                <div style={{
-                    position: "absolute",
-                    top: "50%",
-                    left: 0,
-                    right: 0,
-                    padding: "10px",
-                    backgroundColor: "rgba(255, 0, 0, 0.7)",
-                    color: "white",
-                    textAlign: "center",
-                    transform: "translateY(-50%)",
-                    zIndex: 10
-                }}>
-                    {error}
-                </div>
-            )}
+            <DataErrorOverlay error={error} onRetry={() => setReloadToken(token => token + 1)} />
         </div>
     );
 };
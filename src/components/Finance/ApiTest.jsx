@@ -7,178 +7,82 @@ import {
     Button,
     Typography
 } from "@material-tailwind/react";
-
-const StockGridVisualizer = ({ ticker = 'AAPL', year = 2020 }) => {
-    const [gridData, setGridData] = useState([]);
+import { isAbortError, requireBars, buildCalendarGrid, getExchangeTimeZone, getTradingCalendar, FILL_STRATEGIES, FILL_STRATEGY_LABELS } from "../../lib/marketData";
+import { useDataProvider } from "./DataProviderContext";
+import SimulatedBadge from "./SimulatedBadge";
+import DataErrorOverlay from "./DataErrorOverlay";
+
+const StockGridVisualizer = ({ ticker = 'AAPL', year = 2020, fill: initialFill = 'forward', provider }) => {
+    const dataProvider = useDataProvider(provider);
+    const [gridData, setGridData] = useState(null);
+    const [fill, setFill] = useState(initialFill);
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
+    const [isSimulated, setIsSimulated] = useState(false);
+    const [reloadToken, setReloadToken] = useState(0); // Bumped by the retry and refresh buttons
     const [dataStats, setDataStats] = useState({
         minPrice: 0,
         maxPrice: 0,
         totalDataPoints: 0,
-        tradingDays: 0
+        tradingDays: 0,
+        gapDays: 0
     });
 
-    // Use import.meta.env for Vite
-    const API_KEY = import.meta.env.VITE_POLYGON_API_KEY;
-    if (!API_KEY) {
-        console.error('Polygon.io API key is missing!');
-    }
-
-    const fetchAndProcessData = async () => {
+    const fetchAndProcessData = async (signal) => {
         setIsLoading(true);
         setError(null);
 
         try {
-            // Corrected date formatting
-            const startDate = `${year}-01-01`;
-            const endDate = `${year}-12-31`;
-
-            const response = await fetch(
-                `https://api.polygon.io/v2/aggs/ticker/${ticker}/range/1/day/${startDate}/${endDate}?adjusted=true&apiKey=${API_KEY}`,
-                {
-                    method: 'GET',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Failed to fetch stock data: ${errorText}`);
-            }
-
-            const data = await response.json();
-            console.log(`Fetched ${data.results.length} data points`);
+            const result = await dataProvider.getAggregates({
+                ticker,
+                from: `${year}-01-01`,
+                to: `${year}-12-31`,
+                signal
+            });
+            const { bars, simulated } = await requireBars(dataProvider, result, { signal });
+            console.log(`Fetched ${bars.length} data points`);
 
             // Process data into a 12×31 grid (months × days)
-            const months = 12;
-            const days = 31;
-            const basePrice = 0; // Use 0 as placeholder for missing data
-
-            // Initialize grid with base values
-            const priceGrid = Array(months).fill().map(() => Array(days).fill(basePrice));
-
-            // Fill grid with actual data
-            let minPrice = Number.MAX_VALUE;
-            let maxPrice = Number.MIN_VALUE;
-
-            data.results.forEach(dayData => {
-                const date = new Date(dayData.t);
-                const month = date.getMonth(); // 0-11
-                const day = date.getDate() - 1; // 0-30
-
-                // Store closing price in grid
-                priceGrid[month][day] = dayData.c;
-
-                // Track min/max prices
-                minPrice = Math.min(minPrice, dayData.c);
-                maxPrice = Math.max(maxPrice, dayData.c);
+            const grid = buildCalendarGrid(bars, {
+                year,
+                fill,
+                timeZone: getExchangeTimeZone(ticker),
+                calendar: getTradingCalendar(ticker)
             });
 
-            // Fill in missing values within months
-            for (let m = 0; m < months; m++) {
-                let lastKnownPrice = null;
-
-                // Forward fill - use previous known price
-                for (let d = 0; d < days; d++) {
-                    if (priceGrid[m][d] !== basePrice) {
-                        lastKnownPrice = priceGrid[m][d];
-                    } else if (lastKnownPrice !== null) {
-                        priceGrid[m][d] = lastKnownPrice;
-                    }
-                }
-
-                // Backward fill - for start of month
-                lastKnownPrice = null;
-                for (let d = days - 1; d >= 0; d--) {
-                    if (priceGrid[m][d] !== basePrice) {
-                        lastKnownPrice = priceGrid[m][d];
-                    } else if (lastKnownPrice !== null && priceGrid[m][d] === basePrice) {
-                        priceGrid[m][d] = lastKnownPrice;
-                    }
-                }
-            }
-
-            // Fill in completely empty months by copying from nearest month with data
-            for (let m = 0; m < months; m++) {
-                // Check if month has any real data
-                let hasData = priceGrid[m].some(price => price !== basePrice);
-
-                if (!hasData) {
-                    let nearestMonth = -1;
-                    let minDistance = months;
-
-                    // Find nearest month with data
-                    for (let mm = 0; mm < months; mm++) {
-                        if (mm === m) continue;
-
-                        if (priceGrid[mm].some(price => price !== basePrice)) {
-                            const distance = Math.abs(mm - m);
-                            if (distance < minDistance) {
-                                minDistance = distance;
-                                nearestMonth = mm;
-                            }
-                        }
-                    }
-
-                    // Copy from nearest month if found
-                    if (nearestMonth !== -1) {
-                        for (let d = 0; d < days; d++) {
-                            priceGrid[m][d] = priceGrid[nearestMonth][d];
-                        }
-                    }
-                }
-            }
-
-            // Final calculation of min/max across entire grid
-            for (let m = 0; m < months; m++) {
-                for (let d = 0; d < days; d++) {
-                    if (priceGrid[m][d] !== basePrice) {
-                        minPrice = Math.min(minPrice, priceGrid[m][d]);
-                        maxPrice = Math.max(maxPrice, priceGrid[m][d]);
-                    }
-                }
-            }
-
-            // Ensure we have valid min/max
-            if (!isFinite(minPrice) || !isFinite(maxPrice)) {
-                minPrice = 0;
-                maxPrice = 1000;
-            }
-
-            // Count actual trading days
-            const tradingDays = data.results.length;
-
             // Set state with processed data
-            setGridData(priceGrid);
+            setGridData(grid);
+            setIsSimulated(Boolean(simulated));
             setDataStats({
-                minPrice,
-                maxPrice,
-                totalDataPoints: months * days,
-                tradingDays
+                minPrice: isFinite(grid.min) ? grid.min : 0,
+                maxPrice: isFinite(grid.max) ? grid.max : 0,
+                totalDataPoints: grid.expectedDays,
+                tradingDays: grid.tradingDays,
+                gapDays: grid.gapDays
             });
 
+            setIsLoading(false);
         } catch (err) {
-            setError(err.message);
+            // A newer request replaced this one; leave the state to it
+            if (isAbortError(err)) return;
+            setError(err);
             console.error('Error processing stock data:', err);
-        } finally {
             setIsLoading(false);
         }
     };
 
     useEffect(() => {
-        if (!API_KEY) return;
-        fetchAndProcessData();
-    }, [ticker, year, API_KEY]);
+        const controller = new AbortController();
+        fetchAndProcessData(controller.signal);
+        return () => controller.abort();
+    }, [ticker, year, fill, dataProvider, reloadToken]);
 
     // Helper function to get color for cell based on price value
     const getPriceColor = (price) => {
-        if (price === 0) return 'bg-gray-200'; // Missing data
+        if (isNaN(price)) return '#e5e7eb'; // Missing data
 
         const range = dataStats.maxPrice - dataStats.minPrice;
-        if (range === 0) return 'bg-blue-500';
+        if (range === 0) return '#3b82f6';
 
         // Normalize price between 0 and 1
         const normalized = (price - dataStats.minPrice) / range;
@@ -189,24 +93,19 @@ const StockGridVisualizer = ({ ticker = 'AAPL', year = 2020 }) => {
         return `rgb(${intensity}, ${intensity}, 255)`;
     };
 
-    // Render key missing state
-    if (!API_KEY) {
-        return (
-            <Card className="mt-6 w-96">
-                <CardBody>
-                    <Typography variant="h5" color="red" className="mb-2">
-                        Error: API Key Missing
-                    </Typography>
-                    <Typography>
-                        Please set VITE_POLYGON_API_KEY in your .env file.
-                    </Typography>
-                </CardBody>
-            </Card>
-        );
-    }
+    // Why a cell has no bar of its own, for the cell tooltip
+    const describeDay = (date, cellStatus) => {
+        if (cellStatus === 'closed') {
+            const { name } = getTradingCalendar(ticker).getDayInfo(date);
+            return ` - market closed${name ? ` (${name})` : ''}`;
+        }
+        if (cellStatus === 'gap') return ' - market open, no data';
+        if (cellStatus === 'future') return ' - not traded yet';
+        return '';
+    };
 
     // Render loading state
-    if (isLoading) {
+    if (isLoading || (!gridData && !error)) {
         return (
             <Card className="mt-6 w-96">
                 <CardBody>
@@ -221,7 +120,7 @@ const StockGridVisualizer = ({ ticker = 'AAPL', year = 2020 }) => {
         return (
             <Card className="mt-6 w-96">
                 <CardBody>
-                    <Typography color="red">Error: {error}</Typography>
+                    <DataErrorOverlay error={error} onRetry={() => setReloadToken(token => token + 1)} inline />
                 </CardBody>
             </Card>
         );
@@ -240,12 +139,14 @@ const StockGridVisualizer = ({ ticker = 'AAPL', year = 2020 }) => {
                 <Typography variant="h4" color="white" className="mt-4 ml-4">
                     {ticker} Stock Data Grid for {year}
                 </Typography>
+                {isSimulated && <SimulatedBadge className="absolute top-4 right-4" />}
             </CardHeader>
             <CardBody>
                 <div className="mb-4 flex justify-between">
                     <div>
                         <Typography variant="h6">Data Statistics:</Typography>
-                        <Typography>Trading Days: {dataStats.tradingDays} of {dataStats.totalDataPoints} possible days</Typography>
+                        <Typography>Trading Days: {dataStats.tradingDays} of {dataStats.totalDataPoints} sessions</Typography>
+                        <Typography>Data Gaps: {dataStats.gapDays} sessions with no bar</Typography>
                         <Typography>Price Range: ${dataStats.minPrice.toFixed(2)} to ${dataStats.maxPrice.toFixed(2)}</Typography>
                     </div>
                     <div className="flex items-center">
@@ -269,7 +170,7 @@ const StockGridVisualizer = ({ ticker = 'AAPL', year = 2020 }) => {
                         ))}
 
                         {/* Grid data */}
-                        {gridData.map((month, monthIndex) => (
+                        {gridData.values.map((month, monthIndex) => (
                             <React.Fragment key={`month-${monthIndex}`}>
                                 {/* Month name in first column */}
                                 <div className="grid-month" style={{ fontWeight: 'bold', padding: '4px' }}>
@@ -278,8 +179,15 @@ const StockGridVisualizer = ({ ticker = 'AAPL', year = 2020 }) => {
 
                                 {/* Days in the month */}
                                 {month.map((price, dayIndex) => {
+                                    const cellStatus = gridData.status[monthIndex][dayIndex];
+                                    const isFilled = gridData.filled[monthIndex][dayIndex];
                                     const style = {
-                                        backgroundColor: getPriceColor(price),
+                                        // Dates that don't exist (e.g. Feb 30) are left blank
+                                        backgroundColor: cellStatus === 'invalid' ? 'transparent' : getPriceColor(price),
+                                        // Closed days are dimmed so sessions stand out; data gaps get a red outline
+                                        opacity: cellStatus === 'closed' || cellStatus === 'future' ? 0.4 : (isFilled ? 0.7 : 1),
+                                        outline: cellStatus === 'gap' ? '2px solid #f87171' : 'none',
+                                        outlineOffset: '-2px',
                                         textAlign: 'center',
                                         padding: '4px',
                                         height: '30px',
@@ -294,9 +202,11 @@ const StockGridVisualizer = ({ ticker = 'AAPL', year = 2020 }) => {
                                         <div
                                             key={`cell-${monthIndex}-${dayIndex}`}
                                             style={style}
-                                            title={`${monthNames[monthIndex]} ${dayIndex + 1}: $${price.toFixed(2)}`}
+                                            title={cellStatus === 'invalid'
+                                                ? undefined
+                                                : `${monthNames[monthIndex]} ${dayIndex + 1}: ${isNaN(price) ? 'no data' : `$${price.toFixed(2)}`}${isFilled ? ' (filled)' : ''}${describeDay(gridData.dates[monthIndex][dayIndex], cellStatus)}`}
                                         >
-                                            {price !== 0 ? price.toFixed(0) : '-'}
+                                            {cellStatus === 'invalid' ? '' : (isNaN(price) ? '-' : price.toFixed(0))}
                                         </div>
                                     );
                                 })}
@@ -305,13 +215,25 @@ const StockGridVisualizer = ({ ticker = 'AAPL', year = 2020 }) => {
                     </div>
                 </div>
             </CardBody>
-            <CardFooter>
+            <CardFooter className="flex items-center gap-4">
                 <Button
-                    onClick={fetchAndProcessData}
+                    onClick={() => setReloadToken(token => token + 1)}
                     disabled={isLoading}
                 >
                     Refresh Data
                 </Button>
+                <label className="flex items-center gap-2 text-sm">
+                    Gaps:
+                    <select
+                        value={fill}
+                        onChange={(e) => setFill(e.target.value)}
+                        className="border border-gray-300 rounded px-2 py-1"
+                    >
+                        {FILL_STRATEGIES.map(strategy => (
+                            <option key={strategy} value={strategy}>{FILL_STRATEGY_LABELS[strategy]}</option>
+                        ))}
+                    </select>
+                </label>
             </CardFooter>
         </Card>
     );
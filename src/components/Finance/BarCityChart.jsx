@@ -0,0 +1,473 @@
+import React, { useState, useEffect } from "react";
+import {
+    CameraController,
+    ColumnRenderableSeries3D,
+    CubePointMarker3D,
+    MouseWheelZoomModifier3D,
+    NumberRange,
+    NumericAxis3D,
+    OrbitModifier3D,
+    ResetCamera3DModifier,
+    SciChart3DSurface,
+    TooltipModifier3D,
+    Vector3,
+    XyzDataSeries3D,
+    SciChartSurface
+} from "scichart";
+import {
+    isAbortError,
+    addDays,
+    formatDate,
+    NYSE_CALENDAR,
+    BREADTH_GROUPINGS,
+    buildBreadthRows,
+    layoutBarCity,
+    exchangeName,
+    formatCompactNumber,
+    formatCompactDollars
+} from "../../lib/marketData";
+import { useDataProvider } from "./DataProviderContext";
+import SimulatedBadge from "./SimulatedBadge";
+import DataErrorOverlay from "./DataErrorOverlay";
+import { gradientColorAt } from "./chartColors";
+
+// Filter and size choices
+const MIN_VOLUMES = [0, 100000, 1000000, 10000000];
+const MIN_PRICES = [0, 1, 5, 10];
+const MAX_COLUMNS = [50, 150, 300];
+const SECTOR_LOOKUP_CONCURRENCY = 4; // Parallel reference requests when grouping by sector
+
+// Quiet to busy
+const VOLUME_STOPS = [
+    { offset: 0, color: "#1E3A8A" },
+    { offset: 0.5, color: "#14B8A6" },
+    { offset: 1, color: "#FDE047" },
+];
+
+// The closest trading session on or before `date`
+const sessionOnOrBefore = (date) => NYSE_CALENDAR.recentTradingDays(date, 1)[0];
+
+// Last session that has closed (grouped bars only cover finished days)
+const lastClosedSession = () => sessionOnOrBefore(addDays(formatDate(new Date()), -1));
+
+// Every US stock on one day as a city of 3D columns: one column per ticker,
+// grouped in blocks by sector or exchange, height = % change from the previous
+// close and color = volume. Filters keep the noise (and the column count) down
+// and the date steps session by session.
+const BarCityChart = ({
+    date: initialDate = lastClosedSession(),
+    groupBy: initialGroupBy = "sector",
+    minVolume: initialMinVolume = 100000,
+    minPrice: initialMinPrice = 1,
+    maxColumns: initialMaxColumns = 150,
+    provider
+}) => {
+    const dataProvider = useDataProvider(provider);
+    const [date, setDate] = useState(sessionOnOrBefore(initialDate));
+    const [groupBy, setGroupBy] = useState(initialGroupBy);
+    const [minVolume, setMinVolume] = useState(initialMinVolume);
+    const [minPrice, setMinPrice] = useState(initialMinPrice);
+    const [maxColumns, setMaxColumns] = useState(initialMaxColumns);
+
+    const [chartDiv, setChartDiv] = useState(null);
+    const [snapshot, setSnapshot] = useState(null); // { date, bars, previousBars, reference }
+    const [sectors, setSectors] = useState(new Map()); // ticker -> sector, from reference lookups
+    const [city, setCity] = useState(null); // layoutBarCity result plus breadth counts
+    const [sectorProgress, setSectorProgress] = useState(null); // { done, total } while looking up sectors
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [isSimulated, setIsSimulated] = useState(false);
+    const [reloadToken, setReloadToken] = useState(0); // Bumped by the retry button
+
+    // Initialize community license once
+    useEffect(() => {
+        SciChartSurface.UseCommunityLicense();
+    }, []);
+
+    // Fetch the day's and the previous session's grouped bars, plus the ticker list
+    useEffect(() => {
+        setIsLoading(true);
+        setError(null);
+
+        const controller = new AbortController();
+        const signal = controller.signal;
+        const previousDate = sessionOnOrBefore(addDays(date, -1));
+
+        const load = async () => {
+            try {
+                if (!dataProvider.getGroupedDaily) {
+                    throw new Error(`${dataProvider.label} has no market-wide data`);
+                }
+                const [current, previous, tickers] = await Promise.all([
+                    dataProvider.getGroupedDaily({ date, signal }),
+                    dataProvider.getGroupedDaily({ date: previousDate, signal }),
+                    // Only exchange names come from the list; carry on without it
+                    (dataProvider.listTickers ? dataProvider.listTickers({ signal }) : Promise.resolve([]))
+                        .catch((listError) => {
+                            if (isAbortError(listError)) {
+                                throw listError;
+                            }
+                            console.warn("Could not load the ticker list:", listError);
+                            return [];
+                        })
+                ]);
+                if (current.bars.length === 0 || previous.bars.length === 0) {
+                    throw new Error(`No market-wide bars for ${current.bars.length === 0 ? date : previousDate}. The day may not have closed yet.`);
+                }
+
+                console.log(`Loaded ${current.bars.length} grouped bars for ${date}`);
+                setIsSimulated(Boolean(current.simulated));
+                setSnapshot({
+                    date,
+                    bars: current.bars,
+                    previousBars: previous.bars,
+                    reference: new Map(tickers.map(item => [item.ticker, item]))
+                });
+            } catch (loadError) {
+                if (isAbortError(loadError)) {
+                    return;
+                }
+                console.error("Error loading grouped bars:", loadError);
+                setError(loadError);
+                setIsLoading(false);
+            }
+        };
+
+        load();
+
+        return () => controller.abort();
+    }, [date, dataProvider, reloadToken]);
+
+    // Filter, look up any missing sectors and lay out the city
+    useEffect(() => {
+        if (!snapshot) {
+            return;
+        }
+
+        const controller = new AbortController();
+        const signal = controller.signal;
+        const breadth = buildBreadthRows(snapshot.bars, snapshot.previousBars, { minVolume, minPrice, maxRows: maxColumns });
+        const sectorOf = (ticker, known) => snapshot.reference.get(ticker)?.sector ?? known.get(ticker);
+
+        const build = async () => {
+            try {
+                let known = sectors;
+                const missing = groupBy === "sector" && dataProvider.getTickerDetails
+                    ? breadth.rows.map(row => row.ticker).filter(ticker => sectorOf(ticker, known) === undefined)
+                    : [];
+                if (missing.length > 0) {
+                    // One reference request per ticker, a few at a time (the client caches them)
+                    known = new Map(known);
+                    let next = 0;
+                    setSectorProgress({ done: 0, total: missing.length });
+                    const worker = async () => {
+                        while (next < missing.length) {
+                            const ticker = missing[next++];
+                            try {
+                                const details = await dataProvider.getTickerDetails(ticker, { signal });
+                                known.set(ticker, details?.sector ?? null);
+                            } catch (lookupError) {
+                                if (isAbortError(lookupError)) {
+                                    throw lookupError;
+                                }
+                                known.set(ticker, null);
+                            }
+                            if (!signal.aborted) {
+                                setSectorProgress({ done: known.size - sectors.size, total: missing.length });
+                            }
+                        }
+                    };
+                    await Promise.all(Array.from({ length: SECTOR_LOOKUP_CONCURRENCY }, worker));
+                    if (signal.aborted) {
+                        return;
+                    }
+                    setSectors(known);
+                    // Setting `sectors` runs this effect again with every sector known
+                    return;
+                }
+
+                setSectorProgress(null);
+                const groupOf = groupBy === "sector"
+                    ? (row) => sectorOf(row.ticker, known) ?? "Unclassified"
+                    : (row) => exchangeName(snapshot.reference.get(row.ticker)?.primaryExchange) ?? "Other";
+                setCity({ ...layoutBarCity(breadth.rows, groupOf), ...breadth, date: snapshot.date });
+            } catch (buildError) {
+                if (isAbortError(buildError)) {
+                    return;
+                }
+                console.error("Error grouping tickers:", buildError);
+                setSectorProgress(null);
+                setError(buildError);
+                setIsLoading(false);
+            }
+        };
+
+        build();
+
+        return () => controller.abort();
+    }, [snapshot, groupBy, minVolume, minPrice, maxColumns, sectors, dataProvider]);
+
+    // Build the chart for the current city
+    useEffect(() => {
+        if (!chartDiv || !city) {
+            return;
+        }
+
+        let cancelled = false;
+        let mainChart = null;
+
+        const initChart = async () => {
+            try {
+                const { sciChart3DSurface, wasmContext } = await SciChart3DSurface.create(chartDiv);
+                if (cancelled) {
+                    sciChart3DSurface.delete();
+                    return;
+                }
+                mainChart = sciChart3DSurface;
+
+                sciChart3DSurface.camera = new CameraController(wasmContext, {
+                    position: new Vector3(-150, 220, -250),
+                    target: new Vector3(0, 0, 0),
+                });
+                sciChart3DSurface.worldDimensions = new Vector3(300, 100, 150);
+                sciChart3DSurface.background = "Transparent";
+
+                // Each block's name under its middle column
+                const xAxis = new NumericAxis3D(wasmContext, {
+                    axisTitle: BREADTH_GROUPINGS[groupBy].label,
+                    visibleRange: new NumberRange(-1, city.width + 1),
+                    autoTicks: false,
+                    majorDelta: 1,
+                    minorDelta: 1
+                });
+                xAxis.labelProvider.formatLabel = (dataValue) => {
+                    const column = Math.round(dataValue);
+                    const block = city.blocks.find(candidate => Math.floor((candidate.from + candidate.to) / 2) === column);
+                    return block ? block.group : "";
+                };
+                sciChart3DSurface.xAxis = xAxis;
+                const zAxis = new NumericAxis3D(wasmContext, {
+                    axisTitle: "",
+                    visibleRange: new NumberRange(-1, city.depth)
+                });
+                zAxis.labelProvider.formatLabel = () => "";
+                sciChart3DSurface.zAxis = zAxis;
+                const extent = Math.max(...city.cells.map(cell => Math.abs(cell.change)), 1);
+                const yAxis = new NumericAxis3D(wasmContext, {
+                    axisTitle: "% Change",
+                    visibleRange: new NumberRange(-extent, extent)
+                });
+                yAxis.labelProvider.formatLabel = (dataValue) => `${dataValue.toFixed(1)}%`;
+                sciChart3DSurface.yAxis = yAxis;
+
+                // Volume spans orders of magnitude, so colors follow its log
+                const logVolumes = city.cells.map(cell => Math.log10(Math.max(cell.volume, 1)));
+                const minLog = Math.min(...logVolumes);
+                const maxLog = Math.max(...logVolumes);
+                const columns = new XyzDataSeries3D(wasmContext, { dataSeriesName: "Change" });
+                city.cells.forEach((cell, i) => {
+                    columns.append(cell.x, cell.change, cell.z, {
+                        vertexColor: gradientColorAt(VOLUME_STOPS, maxLog > minLog ? (logVolumes[i] - minLog) / (maxLog - minLog) : 0.5)
+                    });
+                });
+
+                sciChart3DSurface.renderableSeries.add(new ColumnRenderableSeries3D(wasmContext, {
+                    dataSeries: columns,
+                    pointMarker: new CubePointMarker3D(wasmContext),
+                    useMetadataColors: true,
+                    dataPointWidthX: 0.7,
+                    dataPointWidthZ: 0.7
+                }));
+
+                sciChart3DSurface.chartModifiers.add(new MouseWheelZoomModifier3D());
+                sciChart3DSurface.chartModifiers.add(new OrbitModifier3D());
+                sciChart3DSurface.chartModifiers.add(new ResetCamera3DModifier());
+                sciChart3DSurface.chartModifiers.add(new TooltipModifier3D({
+                    tooltipContainerBackground: "#333333",
+                    tooltipDataTemplate: (seriesInfo) => {
+                        const cell = city.cells[seriesInfo.dataSeriesIndex];
+                        if (!cell) {
+                            return [];
+                        }
+                        return [
+                            `${cell.ticker} · ${cell.group}`,
+                            `Change: ${cell.change >= 0 ? "+" : ""}${cell.change.toFixed(2)}%`,
+                            `Close: ${cell.close.toFixed(2)} (prev ${cell.previousClose.toFixed(2)})`,
+                            `Volume: ${formatCompactNumber(cell.volume)}`,
+                            `Dollar volume: ${formatCompactDollars(cell.dollarVolume)}`
+                        ];
+                    }
+                }));
+
+                setIsLoading(false);
+            } catch (initError) {
+                console.error("Error initializing bar city chart:", initError);
+                setError(initError);
+                setIsLoading(false);
+            }
+        };
+
+        initChart();
+
+        return () => {
+            cancelled = true;
+            if (mainChart) {
+                try {
+                    mainChart.delete();
+                } catch (e) {
+                    console.warn("Error cleaning up bar city chart:", e);
+                }
+            }
+        };
+    }, [chartDiv, city]);
+
+    // Step to the previous or next trading session
+    const stepSession = (direction) => {
+        let day = addDays(date, direction);
+        while (!NYSE_CALENDAR.isTradingDay(day)) {
+            day = addDays(day, direction);
+        }
+        setDate(day);
+    };
+    const latestSession = lastClosedSession();
+
+    const volumeRange = city && city.cells.length > 0
+        ? [Math.min(...city.cells.map(cell => cell.volume)), Math.max(...city.cells.map(cell => cell.volume))]
+        : null;
+
+    return (
+        <div className="flex flex-col gap-2">
+            <div className="flex flex-wrap items-center gap-3 text-xs text-white">
+                <div className="flex items-center gap-1">
+                    <button
+                        type="button"
+                        onClick={() => stepSession(-1)}
+                        className="px-2 py-0.5 rounded bg-blue-600 hover:bg-blue-700"
+                    >
+                        ‹
+                    </button>
+                    <input
+                        type="date"
+                        value={date}
+                        max={latestSession}
+                        onChange={(e) => e.target.value && setDate(sessionOnOrBefore(e.target.value))}
+                        className="border border-gray-300 rounded px-1 py-0.5 text-gray-800"
+                    />
+                    <button
+                        type="button"
+                        onClick={() => stepSession(1)}
+                        disabled={date >= latestSession}
+                        className="px-2 py-0.5 rounded bg-blue-600 hover:bg-blue-700 disabled:opacity-40"
+                    >
+                        ›
+                    </button>
+                </div>
+                <label className="flex items-center gap-1">
+                    Group by
+                    <select
+                        value={groupBy}
+                        onChange={(e) => setGroupBy(e.target.value)}
+                        className="border border-gray-300 rounded px-1 py-0.5 text-gray-800"
+                    >
+                        {Object.entries(BREADTH_GROUPINGS).map(([id, grouping]) => (
+                            <option key={id} value={id}>{grouping.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex items-center gap-1">
+                    Min volume
+                    <select
+                        value={minVolume}
+                        onChange={(e) => setMinVolume(Number(e.target.value))}
+                        className="border border-gray-300 rounded px-1 py-0.5 text-gray-800"
+                    >
+                        {MIN_VOLUMES.map(volume => (
+                            <option key={volume} value={volume}>{volume === 0 ? "Any" : formatCompactNumber(volume)}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex items-center gap-1">
+                    Min price
+                    <select
+                        value={minPrice}
+                        onChange={(e) => setMinPrice(Number(e.target.value))}
+                        className="border border-gray-300 rounded px-1 py-0.5 text-gray-800"
+                    >
+                        {MIN_PRICES.map(price => (
+                            <option key={price} value={price}>{price === 0 ? "Any" : `$${price}`}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex items-center gap-1">
+                    Columns
+                    <select
+                        value={maxColumns}
+                        onChange={(e) => setMaxColumns(Number(e.target.value))}
+                        className="border border-gray-300 rounded px-1 py-0.5 text-gray-800"
+                    >
+                        {MAX_COLUMNS.map(count => (
+                            <option key={count} value={count}>Top {count}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+            {city && (
+                <div className="flex flex-wrap items-center gap-3 text-xs text-gray-300">
+                    <span>
+                        {city.date}: <span className="text-green-400">{city.advancers} up</span> /{" "}
+                        <span className="text-red-400">{city.decliners} down</span> of {city.matched} matching tickers
+                        {city.matched > city.rows.length && `, busiest ${city.rows.length} shown`}
+                    </span>
+                    {volumeRange && (
+                        <span className="flex items-center gap-1">
+                            Volume {formatCompactNumber(volumeRange[0])}
+                            <span style={{
+                                display: "inline-block",
+                                width: "80px",
+                                height: "8px",
+                                background: `linear-gradient(to right, ${VOLUME_STOPS.map(stop => `${stop.color} ${stop.offset * 100}%`).join(", ")})`
+                            }} />
+                            {formatCompactNumber(volumeRange[1])}
+                        </span>
+                    )}
+                </div>
+            )}
+            <div style={{ position: "relative", width: "100%", height: "500px" }}>
+                <div
+                    ref={setChartDiv}
+                    style={{ height: "100%", width: "100%" }}
+                />
+                {isSimulated && (
+                    <SimulatedBadge className="absolute top-2 left-2 z-10" />
+                )}
+                {(isLoading || sectorProgress) && (
+                    <div style={{
+                        position: "absolute",
+                        top: 0,
+                        left: 0,
+                        right: 0,
+                        bottom: 0,
+                        display: "flex",
+                        justifyContent: "center",
+                        alignItems: "center",
+                        backgroundColor: "rgba(0,0,0,0.5)",
+                        color: "white",
+                        zIndex: 10
+                    }}>
+                        <div className="text-center">
+                            <div className="mb-2">
+                                {sectorProgress
+                                    ? `Looking up sectors ${sectorProgress.done}/${sectorProgress.total}...`
+                                    : `Loading the market on ${date} from ${dataProvider.label}...`}
+                            </div>
+                            <div className="w-12 h-12 border-4 border-blue-500 border-t-transparent rounded-full animate-spin mx-auto"></div>
+                        </div>
+                    </div>
+                )}
+                <DataErrorOverlay error={error} onRetry={() => setReloadToken(token => token + 1)} />
+            </div>
+        </div>
+    );
+};
+
+export default BarCityChart;
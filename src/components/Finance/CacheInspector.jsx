@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from 'react';
+import { Button, Typography } from "@material-tailwind/react";
+import { marketData } from "../../lib/marketData";
+
+// Lists the bar series persisted in the browser and lets the user clear them
+const CacheInspector = ({ client = marketData }) => {
+    const [series, setSeries] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const refresh = async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const stored = await client.listStoredSeries();
+            setSeries([...stored].sort((a, b) => a.key.localeCompare(b.key)));
+        } catch (err) {
+            console.error('Error reading bar cache:', err);
+            setError(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        refresh();
+    }, [client]);
+
+    const clear = async (seriesKey) => {
+        try {
+            await client.clearStoredSeries(seriesKey);
+        } catch (err) {
+            console.error('Error clearing bar cache:', err);
+            setError(err.message);
+        }
+        refresh();
+    };
+
+    if (!client.hasStore()) {
+        return (
+            <Typography className="text-sm text-gray-300">
+                Persistent cache is not available in this browser.
+            </Typography>
+        );
+    }
+
+    const totalBars = series.reduce((sum, record) => sum + record.barCount, 0);
+
+    return (
+        <div className="w-full text-white text-sm">
+            <div className="flex items-center justify-between mb-2">
+                <span>
+                    {isLoading ? 'Reading cache...' : `${series.length} cached series, ${totalBars} bars`}
+                </span>
+                <Button
+                    size="sm"
+                    color="red"
+                    onClick={() => clear()}
+                    disabled={isLoading || series.length === 0}
+                >
+                    Clear All
+                </Button>
+            </div>
+
+            {error && <div className="text-red-300 mb-2">Error: {error}</div>}
+
+            {series.length > 0 && (
+                <table className="w-full text-left text-xs">
+                    <thead>
+                        <tr className="text-gray-300">
+                            <th className="py-1">Ticker</th>
+                            <th className="py-1">Bars</th>
+                            <th className="py-1">Covered</th>
+                            <th className="py-1">Updated</th>
+                            <th className="py-1"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {series.map(record => (
+                            <tr key={record.key} className="border-t border-gray-500">
+                                <td className="py-1">
+                                    {record.ticker} ({record.multiplier}/{record.timespan}{record.adjusted ? '' : ', unadjusted'})
+                                </td>
+                                <td className="py-1">{record.barCount}</td>
+                                <td className="py-1">{record.from} → {record.to}</td>
+                                <td className="py-1">{new Date(record.updatedAt).toLocaleString()}</td>
+                                <td className="py-1 text-right">
+                                    <button
+                                        className="text-red-300 hover:text-red-100"
+                                        onClick={() => clear(record.key)}
+                                    >
+                                        Clear
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+export default CacheInspector;
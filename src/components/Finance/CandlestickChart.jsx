@@ -3,10 +3,28 @@ import {
     SciChartSurface,
     DateTimeNumericAxis,
     NumericAxis,
+    TickProvider,
     OhlcDataSeries,
     FastCandlestickRenderableSeries,
+    FastOhlcRenderableSeries,
     FastLineRenderableSeries,
-    XyMovingAverageFilter,
+    FastMountainRenderableSeries,
+    XyScatterRenderableSeries,
+    CrossPointMarker,
+    EllipsePointMarker,
+    FastColumnRenderableSeries,
+    XyDataSeries,
+    HorizontalLineAnnotation,
+    BoxAnnotation,
+    ECoordinateMode,
+    EAnnotationLayer,
+    ELabelPlacement,
+    DefaultPaletteProvider,
+    EStrokePaletteMode,
+    EFillPaletteMode,
+    parseColorToUIntArgb,
+    SciChartVerticalGroup,
+    EAutoRange,
     ZoomExtentsModifier,
     ZoomPanModifier,
     MouseWheelZoomModifier,
@@ -14,6 +32,35 @@ import {
     ENumericFormat,
     NumberRange
 } from 'scichart';
+import {
+    isAbortError,
+    requireBars,
+    addDays,
+    BAR_INTERVALS,
+    getBarsAtInterval,
+    createTradingTimeScale,
+    tradingTimeTicks,
+    labelUnitForSpan,
+    formatTimeLabel,
+    formatZonedDate,
+    getExchangeTimeZone,
+    INDICATORS,
+    createIndicator,
+    computeIndicator,
+    volumeProfile,
+    DEFAULT_PROFILE_BINS,
+    formatCompactNumber,
+    CHART_TYPES,
+    heikinAshi,
+    suggestBoxSize,
+    renkoBricks,
+    pointAndFigure,
+    placeWithinBars
+} from '../../lib/marketData';
+import { useDataProvider } from './DataProviderContext';
+import SimulatedBadge from './SimulatedBadge';
+import DataErrorOverlay from './DataErrorOverlay';
+import IndicatorPicker from './IndicatorPicker';
 
 // Predefined time frames
 const TIME_FRAMES = [
@@ -22,134 +69,391 @@ const TIME_FRAMES = [
     { label: '6 Months', days: 180 },
     { label: '1 Year', days: 365 },
     { label: 'YTD', days: 'ytd' },
-    { label: 'All Time', days: 'all' }
+    { label: 'All Time', days: 'all' },
+    { label: 'Custom', days: 'custom' }
+];
+
+// The 20 and 50 day moving averages the chart always used to draw
+const DEFAULT_INDICATORS = [
+    createIndicator('sma', { params: { period: 20 }, colors: { value: '#87CEEB' } }),
+    createIndicator('sma', { params: { period: 50 }, colors: { value: '#FFC0CB' } })
 ];
+const CURSOR_GROUP = 'candlestick-panes'; // Crosshair shared by every pane
+const PANE_HEIGHT = 120; // Pixels per oscillator pane
+const VOLUME_PANE_HEIGHT = 100;
+
+// Volume profile: share of the price pane's width for the busiest bin, and colors
+const PROFILE_WIDTH = 0.25;
+const PROFILE_FILL = 'rgba(156, 163, 175, 0.25)';
+const PROFILE_VALUE_AREA_FILL = 'rgba(96, 165, 250, 0.35)';
+const PROFILE_POC_FILL = 'rgba(250, 204, 21, 0.5)';
+const PROFILE_POC_COLOR = '#FACC15';
+const PROFILE_VALUE_AREA_COLOR = '#60A5FA';
+
+// Colors each volume column by its bar's direction (`upFlags[i]` is close >= open)
+class UpDownPaletteProvider extends DefaultPaletteProvider {
+    constructor(upFlags) {
+        super();
+        this.strokePaletteMode = EStrokePaletteMode.SOLID;
+        this.upFlags = upFlags;
+        this.upColor = parseColorToUIntArgb('rgba(0, 200, 0, 0.6)');
+        this.downColor = parseColorToUIntArgb('rgba(220, 0, 0, 0.6)');
+    }
+
+    overrideFillArgb(xValue, yValue, index) {
+        return this.upFlags[index] ? this.upColor : this.downColor;
+    }
+
+    overrideStrokeArgb(xValue, yValue, index) {
+        return this.overrideFillArgb(xValue, yValue, index);
+    }
+}
+
+// Hollow candles: the body is left empty when the bar closed above its open,
+// and the color says whether it closed above the previous bar's close
+class HollowCandlePaletteProvider extends DefaultPaletteProvider {
+    constructor(bars) {
+        super();
+        this.strokePaletteMode = EStrokePaletteMode.SOLID;
+        this.fillPaletteMode = EFillPaletteMode.SOLID;
+        this.bars = bars;
+        this.upColor = parseColorToUIntArgb('rgb(0, 200, 0)');
+        this.downColor = parseColorToUIntArgb('rgb(220, 0, 0)');
+        this.hollow = parseColorToUIntArgb('rgba(0, 0, 0, 0)');
+    }
+
+    overrideStrokeArgb(xValue, yValue, index) {
+        const previous = this.bars[index - 1];
+        return !previous || this.bars[index].close >= previous.close ? this.upColor : this.downColor;
+    }
+
+    overrideFillArgb(xValue, yValue, index) {
+        const bar = this.bars[index];
+        return bar.close > bar.open ? this.hollow : this.overrideStrokeArgb(xValue, yValue, index);
+    }
+}
+
+// Trading-time axis ticks: the first bar of each calendar period in view,
+// remembering the period's unit for the labels
+class TradingTimeTickProvider extends TickProvider {
+    constructor(scale, timeZone) {
+        super();
+        this.scale = scale;
+        this.timeZone = timeZone;
+        this.unit = 'day';
+    }
+
+    getMajorTicks(minorDelta, majorDelta, visibleRange) {
+        const { unit, ticks } = tradingTimeTicks(this.scale, visibleRange.min, visibleRange.max, { timeZone: this.timeZone });
+        this.unit = unit;
+        return ticks;
+    }
+
+    getMinorTicks() {
+        return [];
+    }
+}
 
 const StockCandlestickChart = ({
     ticker = 'F',
     width = "100%",
-    height = "600px"
+    height = "600px",
+    indicators: initialIndicators = DEFAULT_INDICATORS,
+    provider
 }) => {
+    const dataProvider = useDataProvider(provider);
     const chartRef = useRef(null);
+    const volumeRef = useRef(null);
+    const paneRefs = useRef({}); // Indicator id -> oscillator pane div
+    const indicatorSeriesRef = useRef(new Map()); // Indicator id -> [{ key, style, series }]
+    const [indicators, setIndicators] = useState(initialIndicators);
     const [stockData, setStockData] = useState(null);
     const [timeFrame, setTimeFrame] = useState('6 Months');
+    const [customRange, setCustomRange] = useState(() => {
+        const today = formatZonedDate(Date.now(), getExchangeTimeZone(ticker));
+        return { from: addDays(today, -180), to: today };
+    });
+    const [intervalId, setIntervalId] = useState('1D');
+    const [loadedInterval, setLoadedInterval] = useState(null); // Interval of `stockData`
+    const [truncatedFrom, setTruncatedFrom] = useState(null); // Start of an intraday range cut short to the interval's limit
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [isPartial, setIsPartial] = useState(false);
+    const [isSimulated, setIsSimulated] = useState(false);
+    const [reloadToken, setReloadToken] = useState(0); // Bumped by the retry button
+    const [useLocalTime, setUseLocalTime] = useState(false); // Axis labels in the viewer's zone instead of the exchange's
+    const [showVolume, setShowVolume] = useState(true);
+    const [showVolumeProfile, setShowVolumeProfile] = useState(false);
+    const [tradingTime, setTradingTime] = useState(true); // Bars side by side, without nights, weekends and holidays
+    const [chartType, setChartType] = useState('candlestick');
+    const [boxSize, setBoxSize] = useState(null); // Renko / point-and-figure box; null picks one from the data
+    const [boxSizeDraft, setBoxSizeDraft] = useState('');
+    const visibleRangeRef = useRef(null); // { data, from, to }: the zoom (as times) to restore when the chart is rebuilt over the same bars
+
+    // What the chart has to be rebuilt for: everything about the indicators but their colors
+    const indicatorLayoutKey = JSON.stringify(indicators.map(({ id, type, params }) => [id, type, params]));
+    const paneIndicators = indicators.filter(indicator => INDICATORS[indicator.type].pane === 'own');
+    const autoBoxSize = stockData && stockData.length > 0 ? suggestBoxSize(stockData) : null;
+
+    // The box size box only reports once editing is done; blank goes back to automatic
+    const commitBoxSize = () => {
+        const parsed = Number(boxSizeDraft);
+        if (boxSizeDraft.trim() === '' || isNaN(parsed) || parsed <= 0) {
+            setBoxSizeDraft('');
+            setBoxSize(null);
+            return;
+        }
+        setBoxSize(parsed);
+    };
 
     // Fetch stock data
     useEffect(() => {
+        const controller = new AbortController();
+
         const fetchStockData = async () => {
             setIsLoading(true);
             setError(null);
-
-            const API_KEY = import.meta.env.VITE_POLYGON_API_KEY;
+            setIsPartial(false);
 
             try {
-                // Determine date range based on selected time frame
-                const now = new Date();
-                let startDate, endDate;
-
-                if (timeFrame === 'YTD') {
-                    startDate = new Date(now.getFullYear(), 0, 1);
-                    endDate = now;
+                // Determine date range based on selected time frame, on the exchange's calendar
+                const today = formatZonedDate(Date.now(), getExchangeTimeZone(ticker));
+                const currentYear = Number(today.slice(0, 4));
+                let endDate = today;
+                let startDate;
+
+                if (timeFrame === 'Custom') {
+                    startDate = customRange.from;
+                    endDate = customRange.to;
+                } else if (timeFrame === 'YTD') {
+                    startDate = `${currentYear}-01-01`;
                 } else if (timeFrame === 'All Time') {
                     // Fetch data for the last 10 years
-                    startDate = new Date(now.getFullYear() - 10, 0, 1);
-                    endDate = now;
+                    startDate = `${currentYear - 10}-01-01`;
                 } else {
                     // Find the selected time frame
                     const selectedFrame = TIME_FRAMES.find(frame => frame.label === timeFrame);
-                    startDate = new Date(now);
-                    startDate.setDate(now.getDate() - selectedFrame.days);
-                    endDate = now;
-                }
-
-                // Format dates for API
-                const formatDate = (date) =>
-                    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
-
-                const response = await fetch(
-                    `https://api.polygon.io/v2/aggs/ticker/${ticker}/range/1/day/${formatDate(startDate)}/${formatDate(endDate)}?apiKey=${API_KEY}`,
-                    {
-                        method: 'GET',
-                        headers: {
-                            'Content-Type': 'application/json'
-                        }
-                    }
-                );
-
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
+                    startDate = addDays(today, -selectedFrame.days);
                 }
 
-                const data = await response.json();
-
-                if (!data.results || data.results.length === 0) {
-                    throw new Error(`No data available for ${ticker}`);
-                }
+                // Weekly and monthly bars are aggregated here from daily ones
+                const result = await getBarsAtInterval(dataProvider, {
+                    ticker,
+                    from: startDate,
+                    to: endDate,
+                    intervalId,
+                    signal: controller.signal
+                });
+                const { bars, partial, simulated } = await requireBars(dataProvider, result, { signal: controller.signal });
 
-                // Sort data by timestamp to ensure chronological order
-                const sortedData = [...data.results].sort((a, b) => a.t - b.t);
-                setStockData(sortedData);
+                setStockData(bars);
+                setLoadedInterval(result.interval);
+                setTruncatedFrom(result.truncated ? result.from : null);
+                setIsPartial(partial);
+                setIsSimulated(Boolean(simulated));
+                setIsLoading(false);
             } catch (err) {
+                // Ticker or time frame changed mid-flight; the next request owns the state
+                if (isAbortError(err)) return;
                 console.error('Error fetching stock data:', err);
-                setError(`Data fetch error: ${err.message}`);
+                setError(err);
                 setStockData([]);
-            } finally {
                 setIsLoading(false);
             }
         };
 
         fetchStockData();
-    }, [ticker, timeFrame]);
 
-    // Chart initialization
+        return () => controller.abort();
+    }, [ticker, timeFrame, customRange.from, customRange.to, intervalId, dataProvider, reloadToken]);
+
+    // Chart initialization: the price pane plus one pane per oscillator, all
+    // sharing one time range. Rebuilt when an indicator is added, removed or
+    // re-parameterized; color changes are applied in place below.
     useEffect(() => {
         // Ensure we have a chart ref and stock data
         if (!stockData || stockData.length === 0 || !chartRef.current) {
             return;
         }
 
-        let sciChartSurface = null;
+        let cancelled = false;
+        const surfaces = [];
+        const seriesByIndicator = indicatorSeriesRef.current;
+        seriesByIndicator.clear();
 
         const initializeChart = async () => {
             try {
+                // What the price pane draws: the bars themselves, Heikin-Ashi bars, or
+                // Renko bricks / point-and-figure columns placed on the bars' time axis
+                const box = boxSize ?? suggestBoxSize(stockData);
+                let priceBars = stockData;
+                if (chartType === 'heikinAshi') {
+                    priceBars = heikinAshi(stockData);
+                } else if (chartType === 'renko') {
+                    const bricks = renkoBricks(stockData, box);
+                    const times = placeWithinBars(bricks, stockData);
+                    priceBars = bricks.map((brick, i) => ({ ...brick, time: times[i] }));
+                }
+                const columns = chartType === 'pointAndFigure' ? pointAndFigure(stockData, box) : [];
+
                 // Compute price ranges
-                const prices = stockData.flatMap(day => [day.o, day.h, day.l, day.c]);
+                const prices = [
+                    ...stockData.flatMap(bar => [bar.low, bar.high]),
+                    ...priceBars.flatMap(bar => [bar.low, bar.high]),
+                    ...columns.flatMap(column => [column.low, column.high])
+                ];
                 const minPrice = Math.min(...prices);
                 const maxPrice = Math.max(...prices);
+                const exchangeTimeZone = getExchangeTimeZone(ticker);
+
+                // Dates are labelled on the exchange's calendar unless the viewer asked for local time
+                const labelTimeZone = useLocalTime ? undefined : exchangeTimeZone;
+
+                // X values: bar indexes on the trading-time axis, timestamps otherwise.
+                // `xAt(i)` is bar i's, `xOf` and `timeOf` convert any time / x value.
+                const scale = createTradingTimeScale(stockData.map(bar => bar.time));
+                const xAt = (i) => (tradingTime ? i : stockData[i].time);
+                const xOf = (time) => (tradingTime ? scale.indexOf(time) : time);
+                const timeOf = (x) => (tradingTime ? scale.timeAt(x) : x);
+                const nearestBar = (x) => Math.min(Math.max(Math.round(tradingTime ? x : scale.indexOf(x)), 0), stockData.length - 1);
+
+                // Every pane gets the same time axis; only the bottom one shows labels
+                const createTimeAxis = (wasmContext, showLabels) => {
+                    const options = {
+                        visibleRange: new NumberRange(xAt(0), xAt(stockData.length - 1)),
+                        drawLabels: showLabels,
+                        drawMajorTickLines: showLabels,
+                        drawMinorTickLines: showLabels
+                    };
+                    const tickProvider = tradingTime ? new TradingTimeTickProvider(scale, labelTimeZone) : null;
+                    const xAxis = tradingTime
+                        ? new NumericAxis(wasmContext, { ...options, drawMinorGridLines: false })
+                        : new DateTimeNumericAxis(wasmContext, options);
+                    if (tickProvider) {
+                        xAxis.tickProvider = tickProvider;
+                    }
 
-                // Initialize SciChart surface
-                const { sciChartSurface: surface, wasmContext } = await SciChartSurface.create(chartRef.current);
-                sciChartSurface = surface;
-
-                // Configure X-Axis (DateTime)
-                const xAxis = new DateTimeNumericAxis(wasmContext, {
-                    visibleRange: new NumberRange(
-                        stockData[0].t,
-                        stockData[stockData.length - 1].t
-                    )
-                });
-
-                // Modify x-axis label formatting
-                xAxis.labelProvider.formatLabel = (unixTimestamp) => {
-                    // Ensure the timestamp is converted to a number
-                    const timestamp = Number(unixTimestamp);
+                    // Label the bar nearest each tick, as finely as the zoom calls for
+                    // (years, months, days, clock times)
+                    xAxis.labelProvider.formatLabel = (value) => {
+                        const i = nearestBar(Number(value));
+                        const unit = tickProvider ? tickProvider.unit : labelUnitForSpan(xAxis.visibleRange.diff);
+                        return formatTimeLabel(stockData[i].time, unit, {
+                            previousTime: i > 0 ? stockData[i - 1].time : null,
+                            timeZone: labelTimeZone
+                        });
+                    };
+                    xAxis.labelProvider.formatCursorLabel = (value) =>
+                        new Date(tradingTime ? stockData[nearestBar(Number(value))].time : Number(value)).toLocaleString('en-US', {
+                            month: 'short',
+                            day: 'numeric',
+                            year: 'numeric',
+                            hour: '2-digit',
+                            minute: '2-digit',
+                            timeZone: labelTimeZone,
+                            timeZoneName: 'short'
+                        });
+                    return xAxis;
+                };
 
-                    // Find the closest data point to this timestamp
-                    const closestDataPoint = stockData.reduce((prev, curr) =>
-                        Math.abs(curr.t - timestamp) < Math.abs(prev.t - timestamp) ? curr : prev
+                const addModifiers = (surface) => {
+                    surface.chartModifiers.add(
+                        new ZoomExtentsModifier(),
+                        new ZoomPanModifier(),
+                        new MouseWheelZoomModifier(),
+                        new CursorModifier({
+                            modifierGroup: CURSOR_GROUP,
+                            crosshairStroke: "limegreen",
+                            axisLabelFill: "limegreen",
+                            tooltipContainerBackground: "#222",
+                            tooltipTextColor: "white",
+                            showTooltip: true,
+                            showAxisLabels: true
+                        })
                     );
+                };
+
+                // Draw an indicator's lines (columns for histograms) onto `surface`
+                const addIndicatorSeries = (surface, wasmContext, indicator) => {
+                    const description = INDICATORS[indicator.type].describe(indicator.params);
+                    const lines = computeIndicator(indicator, stockData, { timeZone: exchangeTimeZone });
+                    const series = lines.map(line => {
+                        const dataSeries = new XyDataSeries(wasmContext, {
+                            dataSeriesName: line.label === INDICATORS[indicator.type].label ? description : `${description} ${line.label}`
+                        });
+                        // Skip the warm-up bars
+                        line.values.forEach((value, i) => {
+                            if (!isNaN(value)) {
+                                dataSeries.append(xAt(i), value);
+                            }
+                        });
+                        const renderableSeries = line.style === 'column'
+                            ? new FastColumnRenderableSeries(wasmContext, {
+                                dataSeries,
+                                fill: line.color,
+                                stroke: line.color,
+                                dataPointWidth: 0.6
+                            })
+                            : new FastLineRenderableSeries(wasmContext, {
+                                dataSeries,
+                                stroke: line.color,
+                                strokeThickness: 1.5
+                            });
+                        surface.renderableSeries.add(renderableSeries);
+                        return { key: line.key, style: line.style, series: renderableSeries };
+                    });
+                    seriesByIndicator.set(indicator.id, series);
+                };
 
-                    // Format the date of the closest data point
-                    const date = new Date(closestDataPoint.t);
-                    return date.toLocaleDateString('en-US', {
-                        month: 'short',
-                        day: 'numeric',
-                        year: 'numeric'
+                // Volume columns colored by whether the bar closed up or down
+                const buildVolumePane = (pane, paneContext) => {
+                    const yAxis = new NumericAxis(paneContext, {
+                        autoRange: EAutoRange.Always,
+                        growBy: new NumberRange(0, 0.1),
+                        maxAutoTicks: 3
                     });
+                    yAxis.labelProvider.formatLabel = (value) => formatCompactNumber(value);
+                    pane.yAxes.add(yAxis);
+
+                    const volumeSeries = new XyDataSeries(paneContext, { dataSeriesName: 'Volume' });
+                    stockData.forEach((bar, i) => volumeSeries.append(xAt(i), bar.volume));
+                    pane.renderableSeries.add(new FastColumnRenderableSeries(paneContext, {
+                        dataSeries: volumeSeries,
+                        dataPointWidth: 0.7,
+                        strokeThickness: 0,
+                        paletteProvider: new UpDownPaletteProvider(stockData.map(bar => bar.close >= bar.open))
+                    }));
                 };
-                sciChartSurface.xAxes.add(xAxis);
+
+                const buildIndicatorPane = (pane, paneContext, indicator) => {
+                    const definition = INDICATORS[indicator.type];
+                    pane.yAxes.add(new NumericAxis(paneContext, definition.range
+                        ? { visibleRange: new NumberRange(...definition.range), maxAutoTicks: 4 }
+                        : { autoRange: EAutoRange.Always, growBy: new NumberRange(0.1, 0.1), maxAutoTicks: 4 }
+                    ));
+                    (definition.levels || []).forEach(level => {
+                        pane.annotations.add(new HorizontalLineAnnotation({
+                            y1: level,
+                            stroke: "#6B7280",
+                            strokeThickness: 1,
+                            strokeDashArray: [4, 4]
+                        }));
+                    });
+                    addIndicatorSeries(pane, paneContext, indicator);
+                };
+
+                const verticalGroup = new SciChartVerticalGroup();
+
+                // Initialize SciChart surface
+                const { sciChartSurface, wasmContext } = await SciChartSurface.create(chartRef.current);
+                if (cancelled) {
+                    sciChartSurface.delete();
+                    return;
+                }
+                surfaces.push(sciChartSurface);
+
+                const priceXAxis = createTimeAxis(wasmContext, !showVolume && paneIndicators.length === 0);
+                sciChartSurface.xAxes.add(priceXAxis);
 
                 // Configure Y-Axis
                 const yAxis = new NumericAxis(wasmContext, {
@@ -161,93 +465,231 @@ const StockCandlestickChart = ({
                 });
                 sciChartSurface.yAxes.add(yAxis);
 
-                // Create OHLC Data Series
-                const candleDataSeries = new OhlcDataSeries(wasmContext, {
-                    dataSeriesName: `${ticker} Candlestick`
-                });
-
-                // Populate data series with stock data
-                stockData.forEach(day => {
-                    candleDataSeries.append(
-                        day.t,   // timestamp
-                        day.o,   // open
-                        day.h,   // high
-                        day.l,   // low
-                        day.c    // close
+                // Price series for the selected chart type
+                const seriesName = `${ticker} ${CHART_TYPES[chartType].label}`;
+                if (chartType === 'line' || chartType === 'area') {
+                    const closeSeries = new XyDataSeries(wasmContext, { dataSeriesName: seriesName });
+                    stockData.forEach((bar, i) => closeSeries.append(xAt(i), bar.close));
+                    sciChartSurface.renderableSeries.add(chartType === 'line'
+                        ? new FastLineRenderableSeries(wasmContext, {
+                            dataSeries: closeSeries,
+                            stroke: "#4CAF50",
+                            strokeThickness: 2
+                        })
+                        : new FastMountainRenderableSeries(wasmContext, {
+                            dataSeries: closeSeries,
+                            stroke: "#4CAF50",
+                            strokeThickness: 2,
+                            fill: "rgba(76, 175, 80, 0.3)",
+                            zeroLineY: minPrice * 0.9
+                        }));
+                } else if (chartType === 'pointAndFigure') {
+                    // A column of Xs or Os at every box level it covers
+                    const times = placeWithinBars(columns, stockData);
+                    const xSeries = new XyDataSeries(wasmContext, { dataSeriesName: `${seriesName} X` });
+                    const oSeries = new XyDataSeries(wasmContext, { dataSeriesName: `${seriesName} O` });
+                    columns.forEach((column, i) => {
+                        const marks = column.direction === 'X' ? xSeries : oSeries;
+                        for (let level = column.low; level <= column.high + box / 2; level += box) {
+                            marks.append(xOf(times[i]), level);
+                        }
+                    });
+                    sciChartSurface.renderableSeries.add(
+                        new XyScatterRenderableSeries(wasmContext, {
+                            dataSeries: xSeries,
+                            pointMarker: new CrossPointMarker(wasmContext, { width: 9, height: 9, stroke: "green", strokeThickness: 2 })
+                        }),
+                        new XyScatterRenderableSeries(wasmContext, {
+                            dataSeries: oSeries,
+                            pointMarker: new EllipsePointMarker(wasmContext, { width: 9, height: 9, stroke: "red", strokeThickness: 2, fill: "transparent" })
+                        })
                     );
-                });
+                } else {
+                    // Create OHLC Data Series
+                    const candleDataSeries = new OhlcDataSeries(wasmContext, {
+                        dataSeriesName: seriesName
+                    });
 
-                // Create Candlestick Series
-                const candlestickSeries = new FastCandlestickRenderableSeries(wasmContext, {
-                    dataSeries: candleDataSeries,
-                    strokeThickness: 1,
-                    brushUp: "rgba(0, 255, 0, 0.5)",
-                    brushDown: "rgba(255, 0, 0, 0.5)",
-                    strokeUp: "green",
-                    strokeDown: "red"
-                });
-                sciChartSurface.renderableSeries.add(candlestickSeries);
-
-                // Add Moving Averages
-                sciChartSurface.renderableSeries.add(
-                    new FastLineRenderableSeries(wasmContext, {
-                        dataSeries: new XyMovingAverageFilter(candleDataSeries, {
-                            dataSeriesName: "Moving Average (20)",
-                            length: 20
-                        }),
-                        stroke: "skyblue"
-                    })
-                );
-
-                sciChartSurface.renderableSeries.add(
-                    new FastLineRenderableSeries(wasmContext, {
-                        dataSeries: new XyMovingAverageFilter(candleDataSeries, {
-                            dataSeriesName: "Moving Average (50)",
-                            length: 50
-                        }),
-                        stroke: "pink"
-                    })
-                );
+                    // Populate data series with stock data
+                    priceBars.forEach(bar => {
+                        candleDataSeries.append(
+                            xOf(bar.time),   // timestamp, or index on the trading-time axis
+                            bar.open,   // open
+                            bar.high,   // high
+                            bar.low,    // low
+                            bar.close   // close
+                        );
+                    });
+
+                    sciChartSurface.renderableSeries.add(chartType === 'ohlc'
+                        ? new FastOhlcRenderableSeries(wasmContext, {
+                            dataSeries: candleDataSeries,
+                            strokeThickness: 1,
+                            strokeUp: "green",
+                            strokeDown: "red"
+                        })
+                        : new FastCandlestickRenderableSeries(wasmContext, {
+                            dataSeries: candleDataSeries,
+                            strokeThickness: 1,
+                            brushUp: "rgba(0, 255, 0, 0.5)",
+                            brushDown: "rgba(255, 0, 0, 0.5)",
+                            strokeUp: "green",
+                            strokeDown: "red",
+                            paletteProvider: chartType === 'hollow' ? new HollowCandlePaletteProvider(stockData) : undefined
+                        }));
+                }
+
+                // Overlays share the price pane
+                indicators
+                    .filter(indicator => INDICATORS[indicator.type].pane === 'price')
+                    .forEach(indicator => addIndicatorSeries(sciChartSurface, wasmContext, indicator));
+
+                // Volume at price along the right edge, for whatever is in view
+                if (showVolumeProfile) {
+                    const binBoxes = Array.from({ length: DEFAULT_PROFILE_BINS }, () => new BoxAnnotation({
+                        xCoordinateMode: ECoordinateMode.Relative,
+                        x1: 1,
+                        x2: 1,
+                        y1: 0,
+                        y2: 0,
+                        strokeThickness: 0,
+                        annotationLayer: EAnnotationLayer.BelowChart
+                    }));
+                    const markerLine = (stroke, labelValue, strokeDashArray) => new HorizontalLineAnnotation({
+                        y1: 0,
+                        stroke,
+                        strokeThickness: 1,
+                        strokeDashArray,
+                        showLabel: true,
+                        labelPlacement: ELabelPlacement.TopLeft,
+                        labelValue,
+                        axisLabelFill: stroke
+                    });
+                    const pocLine = markerLine(PROFILE_POC_COLOR, 'POC');
+                    const valueAreaHighLine = markerLine(PROFILE_VALUE_AREA_COLOR, 'VAH', [4, 4]);
+                    const valueAreaLowLine = markerLine(PROFILE_VALUE_AREA_COLOR, 'VAL', [4, 4]);
+                    sciChartSurface.annotations.add(...binBoxes, pocLine, valueAreaHighLine, valueAreaLowLine);
+
+                    const updateProfile = (visibleRange) => {
+                        const profile = volumeProfile(stockData.filter((bar, i) => xAt(i) >= visibleRange.min && xAt(i) <= visibleRange.max));
+                        [pocLine, valueAreaHighLine, valueAreaLowLine].forEach(line => {
+                            line.isHidden = !profile;
+                        });
+                        if (!profile) {
+                            binBoxes.forEach(box => {
+                                box.isHidden = true;
+                            });
+                            return;
+                        }
+                        const maxVolume = Math.max(...profile.bins.map(bin => bin.volume));
+                        profile.bins.forEach((bin, i) => {
+                            const box = binBoxes[i];
+                            const inValueArea = bin.low >= profile.valueAreaLow && bin.high <= profile.valueAreaHigh;
+                            box.isHidden = bin.volume === 0;
+                            box.x1 = 1 - PROFILE_WIDTH * bin.volume / maxVolume;
+                            box.y1 = bin.low;
+                            box.y2 = bin.high;
+                            box.fill = i === profile.poc
+                                ? PROFILE_POC_FILL
+                                : inValueArea ? PROFILE_VALUE_AREA_FILL : PROFILE_FILL;
+                        });
+                        pocLine.y1 = profile.pocPrice;
+                        valueAreaHighLine.y1 = profile.valueAreaHigh;
+                        valueAreaLowLine.y1 = profile.valueAreaLow;
+                    };
+                    priceXAxis.visibleRangeChanged.subscribe(({ visibleRange }) => updateProfile(visibleRange));
+                    updateProfile(priceXAxis.visibleRange);
+                }
 
                 // Add interactivity modifiers
-                sciChartSurface.chartModifiers.add(
-                    new ZoomExtentsModifier(),
-                    new ZoomPanModifier(),
-                    new MouseWheelZoomModifier(),
-                    new CursorModifier({
-                        crosshairStroke: "limegreen",
-                        axisLabelFill: "limegreen",
-                        tooltipContainerBackground: "#222",
-                        tooltipTextColor: "white",
-                        showTooltip: true,
-                        showAxisLabels: true
-                    })
-                );
-
-                // Perform initial zoom to fit
-                sciChartSurface.zoomExtents();
-
-                return sciChartSurface;
+                addModifiers(sciChartSurface);
+                verticalGroup.addSurfaceToGroup(sciChartSurface);
+
+                // Volume, then one pane per oscillator, below the price
+                const lowerPanes = [
+                    ...(showVolume ? [{ div: volumeRef.current, build: buildVolumePane }] : []),
+                    ...paneIndicators.map(indicator => ({
+                        div: paneRefs.current[indicator.id],
+                        build: (pane, paneContext) => buildIndicatorPane(pane, paneContext, indicator)
+                    }))
+                ];
+                for (const [index, { div, build }] of lowerPanes.entries()) {
+                    if (!div) {
+                        continue;
+                    }
+                    const { sciChartSurface: pane, wasmContext: paneContext } = await SciChartSurface.create(div);
+                    if (cancelled) {
+                        pane.delete();
+                        return;
+                    }
+                    surfaces.push(pane);
+
+                    pane.xAxes.add(createTimeAxis(paneContext, index === lowerPanes.length - 1));
+                    build(pane, paneContext);
+                    addModifiers(pane);
+                    verticalGroup.addSurfaceToGroup(pane);
+                }
+
+                // Keep every pane on the same time range as whichever one was zoomed
+                const xAxes = surfaces.map(surface => surface.xAxes.get(0));
+                xAxes.forEach(source => {
+                    source.visibleRangeChanged.subscribe(({ visibleRange }) => {
+                        xAxes.forEach(target => {
+                            if (target !== source && !target.visibleRange.equals(visibleRange)) {
+                                target.visibleRange = visibleRange;
+                            }
+                        });
+                    });
+                });
+
+                // Come back to where the viewer was zoomed if only the presentation
+                // changed (chart type, indicators, panes, axis mode); fit new data.
+                // The range is kept as times so it carries across axis modes.
+                const rememberRange = (visibleRange) => {
+                    visibleRangeRef.current = { data: stockData, from: timeOf(visibleRange.min), to: timeOf(visibleRange.max) };
+                };
+                const previous = visibleRangeRef.current;
+                if (previous && previous.data === stockData) {
+                    priceXAxis.visibleRange = new NumberRange(xOf(previous.from), xOf(previous.to));
+                } else {
+                    sciChartSurface.zoomExtents();
+                }
+                rememberRange(priceXAxis.visibleRange);
+                priceXAxis.visibleRangeChanged.subscribe(({ visibleRange }) => rememberRange(visibleRange));
             } catch (err) {
                 console.error('Chart initialization error:', err);
-                setError(`Chart initialization error: ${err.message}`);
-                return null;
+                setError(err);
             }
         };
 
-        let surfacePromise = initializeChart();
+        initializeChart();
 
         // Cleanup function
         return () => {
-            if (sciChartSurface) {
+            cancelled = true;
+            seriesByIndicator.clear();
+            surfaces.forEach(surface => {
                 try {
-                    sciChartSurface.delete();
+                    surface.delete();
                 } catch (error) {
                     console.warn('Error during chart cleanup:', error);
                 }
-            }
+            });
         };
-    }, [stockData, ticker]);
+    }, [stockData, ticker, useLocalTime, tradingTime, indicatorLayoutKey, showVolume, showVolumeProfile, chartType, boxSize]);
+
+    // Recolor indicator lines without rebuilding the chart
+    useEffect(() => {
+        indicators.forEach(indicator => {
+            (indicatorSeriesRef.current.get(indicator.id) || []).forEach(({ key, style, series }) => {
+                const color = indicator.colors[key];
+                series.stroke = color;
+                if (style === 'column') {
+                    series.fill = color;
+                }
+            });
+        });
+    }, [indicators]);
 
     return (
         <div style={{
@@ -260,6 +702,7 @@ const StockCandlestickChart = ({
             {/* Time frame selector */}
             <div style={{
                 display: 'flex',
+                flexWrap: 'wrap',
                 justifyContent: 'center',
                 padding: '10px',
                 backgroundColor: '#f0f0f0'
@@ -281,16 +724,160 @@ const StockCandlestickChart = ({
                         {frame.label}
                     </button>
                 ))}
+                {timeFrame === 'Custom' && (
+                    <>
+                        <input
+                            type="date"
+                            value={customRange.from}
+                            max={customRange.to}
+                            onChange={(e) => e.target.value && e.target.value <= customRange.to && setCustomRange({ ...customRange, from: e.target.value })}
+                            style={{ margin: '0 2px', padding: '4px', border: '1px solid #ddd', borderRadius: '4px' }}
+                        />
+                        <input
+                            type="date"
+                            value={customRange.to}
+                            min={customRange.from}
+                            onChange={(e) => e.target.value && e.target.value >= customRange.from && setCustomRange({ ...customRange, to: e.target.value })}
+                            style={{ margin: '0 2px', padding: '4px', border: '1px solid #ddd', borderRadius: '4px' }}
+                        />
+                    </>
+                )}
+                <select
+                    value={intervalId}
+                    title="Bar interval"
+                    onChange={(e) => setIntervalId(e.target.value)}
+                    style={{ margin: '0 5px', padding: '5px', border: '1px solid #ddd', borderRadius: '4px' }}
+                >
+                    {BAR_INTERVALS.map(interval => (
+                        <option key={interval.id} value={interval.id}>{interval.label}</option>
+                    ))}
+                </select>
+                {truncatedFrom && (
+                    <span
+                        title={`${loadedInterval.label} bars reach back ${loadedInterval.maxDays} days at most`}
+                        style={{ display: 'flex', alignItems: 'center', fontSize: '0.85rem', color: '#B45309' }}
+                    >
+                        {loadedInterval.label} bars from {truncatedFrom}
+                    </span>
+                )}
+                <select
+                    value={chartType}
+                    onChange={(e) => setChartType(e.target.value)}
+                    style={{ margin: '0 5px', padding: '5px', border: '1px solid #ddd', borderRadius: '4px' }}
+                >
+                    {Object.entries(CHART_TYPES).map(([type, definition]) => (
+                        <option key={type} value={type}>{definition.label}</option>
+                    ))}
+                </select>
+                {CHART_TYPES[chartType].usesBoxSize && (
+                    <label style={{ display: 'flex', alignItems: 'center', fontSize: '0.85rem' }}>
+                        Box
+                        <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            value={boxSizeDraft}
+                            placeholder={autoBoxSize ? `auto (${autoBoxSize})` : 'auto'}
+                            onChange={(e) => setBoxSizeDraft(e.target.value)}
+                            onBlur={commitBoxSize}
+                            onKeyDown={(e) => e.key === 'Enter' && commitBoxSize()}
+                            style={{ width: '6rem', marginLeft: '4px', padding: '4px', border: '1px solid #ddd', borderRadius: '4px' }}
+                        />
+                    </label>
+                )}
+                <label style={{ display: 'flex', alignItems: 'center', marginLeft: '10px', fontSize: '0.85rem' }}>
+                    <input
+                        type="checkbox"
+                        checked={useLocalTime}
+                        onChange={(e) => setUseLocalTime(e.target.checked)}
+                        style={{ marginRight: '4px' }}
+                    />
+                    Display in my local time
+                </label>
+                <label
+                    title="Place bars side by side, leaving out nights, weekends and holidays"
+                    style={{ display: 'flex', alignItems: 'center', marginLeft: '10px', fontSize: '0.85rem' }}
+                >
+                    <input
+                        type="checkbox"
+                        checked={tradingTime}
+                        onChange={(e) => setTradingTime(e.target.checked)}
+                        style={{ marginRight: '4px' }}
+                    />
+                    Trading time
+                </label>
+                <label style={{ display: 'flex', alignItems: 'center', marginLeft: '10px', fontSize: '0.85rem' }}>
+                    <input
+                        type="checkbox"
+                        checked={showVolume}
+                        onChange={(e) => setShowVolume(e.target.checked)}
+                        style={{ marginRight: '4px' }}
+                    />
+                    Volume
+                </label>
+                <label style={{ display: 'flex', alignItems: 'center', marginLeft: '10px', fontSize: '0.85rem' }}>
+                    <input
+                        type="checkbox"
+                        checked={showVolumeProfile}
+                        onChange={(e) => setShowVolumeProfile(e.target.checked)}
+                        style={{ marginRight: '4px' }}
+                    />
+                    Volume profile
+                </label>
             </div>
 
-            {/* Chart container */}
-            <div
-                ref={chartRef}
-                style={{
-                    width: '100%',
-                    height: 'calc(100% - 50px)'
-                }}
-            />
+            {isSimulated && (
+                <SimulatedBadge className="absolute top-14 left-2 z-10" />
+            )}
+
+            <IndicatorPicker indicators={indicators} onChange={setIndicators} />
+
+            {/* Chart container: price pane on top, oscillator panes below */}
+            <div style={{ flex: 1, minHeight: 0, display: 'flex', flexDirection: 'column' }}>
+                <div
+                    ref={chartRef}
+                    style={{
+                        width: '100%',
+                        flex: 1,
+                        minHeight: 0
+                    }}
+                />
+                {showVolume && (
+                    <div style={{ position: 'relative', width: '100%', height: `${VOLUME_PANE_HEIGHT}px` }}>
+                        <div ref={volumeRef} style={{ width: '100%', height: '100%' }} />
+                        <span style={{
+                            position: 'absolute',
+                            top: '2px',
+                            left: '6px',
+                            fontSize: '0.75rem',
+                            color: '#ddd',
+                            pointerEvents: 'none'
+                        }}>
+                            Volume
+                        </span>
+                    </div>
+                )}
+                {paneIndicators.map(indicator => (
+                    <div key={indicator.id} style={{ position: 'relative', width: '100%', height: `${PANE_HEIGHT}px` }}>
+                        <div
+                            ref={(element) => {
+                                paneRefs.current[indicator.id] = element;
+                            }}
+                            style={{ width: '100%', height: '100%' }}
+                        />
+                        <span style={{
+                            position: 'absolute',
+                            top: '2px',
+                            left: '6px',
+                            fontSize: '0.75rem',
+                            color: '#ddd',
+                            pointerEvents: 'none'
+                        }}>
+                            {INDICATORS[indicator.type].describe(indicator.params)}
+                        </span>
+                    </div>
+                ))}
+            </div>
 
             {/* Loading and Error States */}
             {isLoading && (
@@ -309,21 +896,22 @@ const StockCandlestickChart = ({
                     Loading {ticker} stock data...
                 </div>
             )}
-            {error && (
+            {isPartial && !error && (
                 <div style={{
                     position: 'absolute',
                     bottom: 0,
                     left: 0,
                     right: 0,
                     padding: '8px',
-                    backgroundColor: 'rgba(255,0,0,0.7)',
-                    color: 'white',
+                    backgroundColor: 'rgba(255,165,0,0.8)',
+                    color: 'black',
                     textAlign: 'center',
                     zIndex: 10
                 }}>
-                    {error}
+                    Showing partial data: the full {timeFrame === 'Custom' ? `${customRange.from} to ${customRange.to}` : timeFrame} range for {ticker} could not be loaded.
                 </div>
             )}
+            <DataErrorOverlay error={error} onRetry={() => setReloadToken(token => token + 1)} />
         </div>
     );
 };
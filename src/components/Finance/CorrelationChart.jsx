@@ -0,0 +1,401 @@
+import React, { useState, useEffect, useRef } from "react";
+import {
+    CameraController,
+    ColumnRenderableSeries3D,
+    CubePointMarker3D,
+    HeatmapLegend,
+    MouseWheelZoomModifier3D,
+    NumberRange,
+    NumericAxis3D,
+    OrbitModifier3D,
+    ResetCamera3DModifier,
+    SciChart3DSurface,
+    TooltipModifier3D,
+    Vector3,
+    XyzDataSeries3D,
+    SciChartSurface
+} from "scichart";
+import {
+    isAbortError,
+    requireBars,
+    addDays,
+    formatDate,
+    getExchangeTimeZone,
+    buildCorrelationFrames,
+    tradingDaysToCalendarDays
+} from "../../lib/marketData";
+import { useDataProvider } from "./DataProviderContext";
+import SimulatedBadge from "./SimulatedBadge";
+import DataErrorOverlay from "./DataErrorOverlay";
+import { gradientColorAt } from "./chartColors";
+
+// Lookback periods and rolling windows, in trading days
+const LOOKBACKS = [
+    { days: 63, label: "3 months" },
+    { days: 126, label: "6 months" },
+    { days: 252, label: "1 year" },
+    { days: 504, label: "2 years" }
+];
+const WINDOWS = [20, 60, 120];
+const FRAME_INTERVAL_MS = 80; // Playback speed of the rolling animation
+
+// Diverging: -1 blue, 0 pale gray, +1 red
+const DIVERGING_STOPS = [
+    { offset: 0, color: "#2563EB" },
+    { offset: 0.5, color: "#F3F4F6" },
+    { offset: 1, color: "#DC2626" },
+];
+
+const correlationColor = (correlation) => gradientColorAt(DIVERGING_STOPS, (correlation + 1) / 2);
+
+// Pairwise return correlations of a basket of tickers as 3D columns: ticker ×
+// ticker × correlation. With "Rolling" on, a slider (and play button) steps
+// through `rollingWindow`-day correlations across the lookback period.
+const CorrelationChart = ({
+    tickers = ["AAPL", "MSFT", "GOOGL", "NVDA"],
+    lookback: initialLookback = 252,
+    rollingWindow: initialRollingWindow = 60,
+    endDate = formatDate(new Date()),
+    provider
+}) => {
+    const dataProvider = useDataProvider(provider);
+    const [lookback, setLookback] = useState(initialLookback);
+    const [rollingWindow, setRollingWindow] = useState(initialRollingWindow);
+    const [rolling, setRolling] = useState(false);
+    const [frameIndex, setFrameIndex] = useState(0);
+    const [playing, setPlaying] = useState(false);
+
+    const [chartDiv, setChartDiv] = useState(null);
+    const [legendDiv, setLegendDiv] = useState(null);
+    const [correlations, setCorrelations] = useState(null); // buildCorrelationFrames result
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [isSimulated, setIsSimulated] = useState(false);
+    const [reloadToken, setReloadToken] = useState(0); // Bumped by the retry button
+    const columnsRef = useRef(null); // Column data series, updated in place while animating
+
+    const tickerKey = tickers.join(",");
+
+    // Initialize community license once
+    useEffect(() => {
+        SciChartSurface.UseCommunityLicense();
+    }, []);
+
+    // Fetch every ticker's daily bars and compute the correlations
+    useEffect(() => {
+        setIsLoading(true);
+        setError(null);
+        setPlaying(false);
+
+        const controller = new AbortController();
+        const signal = controller.signal;
+        // The rolling window needs its own history before the lookback period starts
+        const from = addDays(endDate, -tradingDaysToCalendarDays(lookback + rollingWindow));
+
+        const load = async () => {
+            try {
+                if (tickers.length < 2) {
+                    throw new Error("Pick at least two tickers to correlate");
+                }
+                const results = await Promise.all(tickers.map(async (ticker) => {
+                    const result = await dataProvider.getAggregates({ ticker, from, to: endDate, signal });
+                    return requireBars(dataProvider, result, { signal });
+                }));
+
+                const next = buildCorrelationFrames(
+                    Object.fromEntries(tickers.map((ticker, i) => [ticker.toUpperCase(), results[i].bars])),
+                    { lookback, window: rollingWindow, timeZone: getExchangeTimeZone(tickers[0]) }
+                );
+                console.log(`Correlating ${next.tickers.join(", ")} over ${next.dates.length} trading days`);
+                setIsSimulated(results.some(result => result.simulated));
+                setCorrelations(next);
+                setFrameIndex(Math.max(next.frames.length - 1, 0));
+            } catch (loadError) {
+                if (isAbortError(loadError)) {
+                    return;
+                }
+                console.error("Error loading correlations:", loadError);
+                setError(loadError);
+                setIsLoading(false);
+            }
+        };
+
+        load();
+
+        return () => controller.abort();
+    }, [tickerKey, lookback, rollingWindow, endDate, dataProvider, reloadToken]);
+
+    // Build the chart once the correlations are in
+    useEffect(() => {
+        if (!chartDiv || !legendDiv || !correlations) {
+            return;
+        }
+
+        let cancelled = false;
+        let mainChart = null;
+        let legendChart = null;
+
+        const initChart = async () => {
+            try {
+                const { sciChart3DSurface, wasmContext } = await SciChart3DSurface.create(chartDiv);
+                if (cancelled) {
+                    sciChart3DSurface.delete();
+                    return;
+                }
+                mainChart = sciChart3DSurface;
+
+                const count = correlations.tickers.length;
+                sciChart3DSurface.camera = new CameraController(wasmContext, {
+                    position: new Vector3(-150, 180, -150),
+                    target: new Vector3(0, 50, 0),
+                });
+                sciChart3DSurface.worldDimensions = new Vector3(200, 100, 200);
+                sciChart3DSurface.background = "Transparent";
+
+                // One tick per ticker, labelled with its symbol
+                const tickerAxis = (title) => {
+                    const axis = new NumericAxis3D(wasmContext, {
+                        axisTitle: title,
+                        visibleRange: new NumberRange(-0.5, count - 0.5),
+                        autoTicks: false,
+                        majorDelta: 1,
+                        minorDelta: 1
+                    });
+                    axis.labelProvider.formatLabel = (dataValue) => correlations.tickers[Math.round(dataValue)] ?? "";
+                    return axis;
+                };
+                sciChart3DSurface.xAxis = tickerAxis("Ticker");
+                sciChart3DSurface.zAxis = tickerAxis("Ticker");
+                sciChart3DSurface.yAxis = new NumericAxis3D(wasmContext, {
+                    axisTitle: "Correlation",
+                    visibleRange: new NumberRange(-1, 1)
+                });
+
+                const columns = new XyzDataSeries3D(wasmContext, { dataSeriesName: "Correlation" });
+                correlations.matrix.forEach((row, i) => row.forEach((correlation, j) => {
+                    const value = isNaN(correlation) ? 0 : correlation;
+                    columns.append(i, value, j, { vertexColor: correlationColor(value) });
+                }));
+                columnsRef.current = columns;
+
+                sciChart3DSurface.renderableSeries.add(new ColumnRenderableSeries3D(wasmContext, {
+                    dataSeries: columns,
+                    pointMarker: new CubePointMarker3D(wasmContext),
+                    useMetadataColors: true,
+                    dataPointWidthX: 0.6,
+                    dataPointWidthZ: 0.6
+                }));
+
+                sciChart3DSurface.chartModifiers.add(new MouseWheelZoomModifier3D());
+                sciChart3DSurface.chartModifiers.add(new OrbitModifier3D());
+                sciChart3DSurface.chartModifiers.add(new ResetCamera3DModifier());
+                sciChart3DSurface.chartModifiers.add(new TooltipModifier3D({
+                    tooltipContainerBackground: "#333333",
+                    tooltipDataTemplate: (seriesInfo) => [
+                        `${correlations.tickers[Math.round(seriesInfo.xValue)]} × ${correlations.tickers[Math.round(seriesInfo.zValue)]}`,
+                        `Correlation: ${seriesInfo.yValue.toFixed(2)}`
+                    ]
+                }));
+
+                try {
+                    const { heatmapLegend } = await HeatmapLegend.create(legendDiv, {
+                        colorMap: {
+                            minimum: -1,
+                            maximum: 1,
+                            gradientStops: DIVERGING_STOPS,
+                            background: "Transparent"
+                        }
+                    });
+                    legendChart = heatmapLegend;
+                } catch (err) {
+                    console.warn("Non-critical error creating legend:", err);
+                }
+
+                setIsLoading(false);
+            } catch (initError) {
+                console.error("Error initializing correlation chart:", initError);
+                setError(initError);
+                setIsLoading(false);
+            }
+        };
+
+        initChart();
+
+        return () => {
+            cancelled = true;
+            columnsRef.current = null;
+            if (mainChart) {
+                try {
+                    mainChart.delete();
+                } catch (e) {
+                    console.warn("Error cleaning up correlation chart:", e);
+                }
+            }
+            if (legendChart) {
+                try {
+                    legendChart.delete();
+                } catch (e) {
+                    console.warn("Error cleaning up legend chart:", e);
+                }
+            }
+        };
+    }, [chartDiv, legendDiv, correlations]);
+
+    // Show the whole-period matrix, or the rolling frame under the slider
+    const frame = rolling ? correlations?.frames[frameIndex] : null;
+    const matrix = frame ? frame.matrix : correlations?.matrix;
+
+    useEffect(() => {
+        const columns = columnsRef.current;
+        if (!columns || !matrix) {
+            return;
+        }
+        let index = 0;
+        matrix.forEach((row, i) => row.forEach((correlation, j) => {
+            const value = isNaN(correlation) ? 0 : correlation;
+            columns.update(index++, i, value, j, { vertexColor: correlationColor(value) });
+        }));
+    }, [matrix, isLoading]);
+
+    // Step through the frames while playing
+    useEffect(() => {
+        if (!playing || !correlations) {
+            return;
+        }
+        const last = correlations.frames.length - 1;
+        const timer = setInterval(() => {
+            setFrameIndex(index => Math.min(index + 1, last));
+        }, FRAME_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [playing, correlations]);
+
+    // Stop at the last frame
+    useEffect(() => {
+        if (playing && correlations && frameIndex >= correlations.frames.length - 1) {
+            setPlaying(false);
+        }
+    }, [playing, correlations, frameIndex]);
+
+    const togglePlaying = () => {
+        // Replaying from the end starts over
+        if (!playing && frameIndex >= correlations.frames.length - 1) {
+            setFrameIndex(0);
+        }
+        setPlaying(!playing);
+    };
+
+    const period = correlations && correlations.dates.length > 0
+        ? `${correlations.dates[0]} to ${correlations.dates[correlations.dates.length - 1]}`
+        : "";
+
+    return (
+        <div className="flex flex-col gap-2">
+            <div className="flex flex-wrap items-center gap-3 text-xs text-white">
+                <label className="flex items-center gap-1">
+                    Lookback
+                    <select
+                        value={lookback}
+                        onChange={(e) => setLookback(Number(e.target.value))}
+                        className="border border-gray-300 rounded px-1 py-0.5 text-gray-800"
+                    >
+                        {LOOKBACKS.map(option => (
+                            <option key={option.days} value={option.days}>{option.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex items-center gap-1">
+                    <input
+                        type="checkbox"
+                        checked={rolling}
+                        onChange={(e) => {
+                            setRolling(e.target.checked);
+                            setPlaying(false);
+                        }}
+                    />
+                    Rolling
+                </label>
+                {rolling && (
+                    <label className="flex items-center gap-1">
+                        Window
+                        <select
+                            value={rollingWindow}
+                            onChange={(e) => setRollingWindow(Number(e.target.value))}
+                            className="border border-gray-300 rounded px-1 py-0.5 text-gray-800"
+                        >
+                            {WINDOWS.map(days => (
+                                <option key={days} value={days}>{days} days</option>
+                            ))}
+                        </select>
+                    </label>
+                )}
+                <span className="text-gray-300">
+                    {frame ? `${rollingWindow}-day window ending ${frame.date}` : period}
+                </span>
+            </div>
+            <div style={{ position: "relative", width: "100%", height: "450px" }}>
+                <div
+                    ref={setChartDiv}
+                    style={{ height: "100%", width: "100%" }}
+                />
+                <div
+                    ref={setLegendDiv}
+                    style={{
+                        position: "absolute",
+                        height: "100%",
+                        width: "65px",
+                        top: "0px",
+                        right: "0px",
+                    }}
+                />
+                {isSimulated && (
+                    <SimulatedBadge className="absolute top-2 left-2 z-10" />
+                )}
+                {isLoading && (
+                    <div style={{
+                        position: "absolute",
+                        top: 0,
+                        left: 0,
+                        right: 0,
+                        bottom: 0,
+                        display: "flex",
+                        justifyContent: "center",
+                        alignItems: "center",
+                        backgroundColor: "rgba(0,0,0,0.5)",
+                        color: "white",
+                        zIndex: 10
+                    }}>
+                        <div className="text-center">
+                            <div className="mb-2">Loading {tickers.join(", ")} from {dataProvider.label}...</div>
+                            <div className="w-12 h-12 border-4 border-blue-500 border-t-transparent rounded-full animate-spin mx-auto"></div>
+                        </div>
+                    </div>
+                )}
+                <DataErrorOverlay error={error} onRetry={() => setReloadToken(token => token + 1)} />
+            </div>
+            {rolling && correlations && correlations.frames.length > 0 && (
+                <div className="flex items-center gap-2 text-xs text-white">
+                    <button
+                        type="button"
+                        onClick={togglePlaying}
+                        className="px-2 py-0.5 rounded bg-blue-600 hover:bg-blue-700"
+                    >
+                        {playing ? "Pause" : "Play"}
+                    </button>
+                    <input
+                        type="range"
+                        min={0}
+                        max={correlations.frames.length - 1}
+                        value={frameIndex}
+                        onChange={(e) => {
+                            setPlaying(false);
+                            setFrameIndex(Number(e.target.value));
+                        }}
+                        className="flex-1"
+                    />
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CorrelationChart;
@@ -0,0 +1,38 @@
+import React from 'react';
+import { describeError } from '../../lib/marketData';
+
+// Shared error state for every Finance chart: a short title, what to do about
+// it, and a retry button. Covers its (relatively positioned) parent unless
+// `inline` is set.
+const DataErrorOverlay = ({ error, onRetry, inline = false, className = '' }) => {
+    if (!error) {
+        return null;
+    }
+
+    const { title, message } = describeError(error);
+    const position = inline ? 'w-full py-8' : 'absolute inset-0 z-20';
+
+    return (
+        <div
+            role="alert"
+            className={`${position} flex items-center justify-center ${className}`}
+            style={inline ? undefined : { backgroundColor: 'rgba(0, 0, 0, 0.6)' }}
+        >
+            <div className="max-w-sm mx-4 p-4 rounded-lg bg-gray-900 border border-red-500 text-center shadow-lg">
+                <p className="text-red-400 font-semibold mb-1">{title}</p>
+                <p className="text-gray-300 text-sm mb-3">{message}</p>
+                {onRetry && (
+                    <button
+                        type="button"
+                        onClick={onRetry}
+                        className="px-4 py-1 rounded bg-blue-600 hover:bg-blue-700 text-white text-sm"
+                    >
+                        Retry
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default DataErrorOverlay;
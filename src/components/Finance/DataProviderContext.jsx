@@ -0,0 +1,18 @@
+import React, { createContext, useContext } from 'react';
+import { defaultProvider } from '../../lib/marketData';
+
+// Lets a subtree of charts share one data provider (Polygon, a local file, ...)
+export const DataProviderContext = createContext(null);
+
+export const MarketDataProvider = ({ provider, children }) => (
+    <DataProviderContext.Provider value={provider}>
+        {children}
+    </DataProviderContext.Provider>
+);
+
+// Resolve the provider for a chart: explicit prop first, then context, then
+// Polygon (or simulated data when no key is configured)
+export const useDataProvider = (providerProp) => {
+    const contextProvider = useContext(DataProviderContext);
+    return providerProp || contextProvider || defaultProvider;
+};
@@ -10,6 +10,11 @@ import {
 import { Bars3Icon } from "@heroicons/react/24/outline";
 import TerrainShader from "./terrain";
 import StockCandlestickChart from "./CandlestickChart";
+import CacheInspector from "./CacheInspector";
+import CorrelationChart from "./CorrelationChart";
+import RiskReturnChart from "./RiskReturnChart";
+import BarCityChart from "./BarCityChart";
+import { createFileProvider, SURFACE_METRICS } from "../../lib/marketData";
 
 const models = [
     {
@@ -34,14 +39,88 @@ const models = [
     }
 ];
 
+// Menu entries below the model list: actions and view toggles
+const menuActionStyle = {
+    padding: '0.5rem 0.75rem',
+    cursor: 'pointer',
+    borderRadius: '0.25rem',
+    borderTop: '1px solid #e5e7eb',
+    color: '#374151',
+    margin: '0.25rem 0'
+};
+
+const MenuAction = ({ onClick, children }) => (
+    <div
+        onClick={onClick}
+        style={menuActionStyle}
+        onMouseEnter={(e) => e.currentTarget.style.backgroundColor = '#f9fafb'}
+        onMouseLeave={(e) => e.currentTarget.style.backgroundColor = 'transparent'}
+    >
+        {children}
+    </div>
+);
+
+const DEFAULT_YEAR = 2024;
+const MULTI_YEAR_SPAN = 10; // Years shown side by side in the multi-year view
+
 export default function FinanceCard({ defaultModelIndex = 0 }) {
     const [selectedModelIndex, setSelectedModelIndex] = useState(defaultModelIndex);
-    const { modelName, symbol, basePrice } = models[selectedModelIndex];
+    const selectedModel = models[selectedModelIndex];
     const [hoverData, setHoverData] = useState(null);
     const [terrainKey, setTerrainKey] = useState(0);
     const [menuOpen, setMenuOpen] = useState(false);
+    const [showCache, setShowCache] = useState(false);
+    const [showCorrelation, setShowCorrelation] = useState(false); // Correlation matrix of every model's ticker
+    const [showRiskReturn, setShowRiskReturn] = useState(false); // Risk/return scatter of the default watchlist
+    const [showBarCity, setShowBarCity] = useState(false); // Whole-market columns for one day
+    const [layout, setLayout] = useState('calendar'); // 'calendar' (month × day) or 'week' (week × weekday)
+    const [multiYear, setMultiYear] = useState(false); // Trading day × year over the last MULTI_YEAR_SPAN years
+    const [heightMetric, setHeightMetric] = useState('close');
+    const [colorMetric, setColorMetric] = useState('close');
+    // Local CSV/JSON data: { provider, symbol, year } or null for Polygon
+    const [fileSource, setFileSource] = useState(null);
+    const [fileError, setFileError] = useState(null);
     const menuRef = useRef(null);
     const buttonRef = useRef(null);
+    const fileInputRef = useRef(null);
+
+    const modelName = fileSource ? fileSource.provider.label : selectedModel.modelName;
+    const symbol = fileSource ? fileSource.symbol : selectedModel.symbol;
+    const basePrice = selectedModel.basePrice;
+    const year = fileSource ? fileSource.year : DEFAULT_YEAR;
+
+    // Menu actions close the menu once they've run
+    const runFromMenu = (action) => {
+        action();
+        setMenuOpen(false);
+    };
+
+    const handleFileSelected = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        setFileError(null);
+        try {
+            const provider = createFileProvider({
+                source: file,
+                delimiter: /\.tsv$/i.test(file.name) ? '\t' : ','
+            });
+            const coverage = await provider.getCoverage();
+            if (coverage.barCount === 0) {
+                throw new Error(`No bars found in ${file.name}`);
+            }
+            setFileSource({
+                provider,
+                symbol: coverage.tickers[0] || selectedModel.symbol,
+                year: Number(coverage.to.slice(0, 4))
+            });
+            setTerrainKey(prevKey => prevKey + 1);
+        } catch (err) {
+            console.error('Error loading data file:', err);
+            setFileError(err.message);
+        }
+    };
 
     // Close menu when clicking outside
     useEffect(() => {
@@ -77,11 +156,20 @@ export default function FinanceCard({ defaultModelIndex = 0 }) {
                                 <div className="flex gap-4">
                                     <span>Day: {hoverData.day}</span>
                                     <span>Month: {hoverData.month}</span>
+                                    {multiYear && hoverData.date && (
+                                        <span>Year: {hoverData.date.slice(0, 4)}</span>
+                                    )}
                                 </div>
                                 <div className="flex gap-4">
-                                    <span>Price: ${hoverData.price}</span>
+                                    <span>{hoverData.height.label}: {hoverData.height.value}</span>
+                                    {hoverData.color && (
+                                        <span>{hoverData.color.label}: {hoverData.color.value}</span>
+                                    )}
                                     <span>Height: {hoverData.rawHeight}%</span>
                                 </div>
+                                {hoverData.status && (
+                                    <span className="text-xs text-gray-500">{hoverData.status}</span>
+                                )}
                             </div>
                         ) : (
                             <span className="text-sm text-gray-600">Hover over terrain for data</span>
@@ -122,6 +210,7 @@ export default function FinanceCard({ defaultModelIndex = 0 }) {
                                         key={index}
                                         onClick={() => {
                                             setSelectedModelIndex(index);
+                                            setFileSource(null);
                                             setTerrainKey(prevKey => prevKey + 1);
                                             setMenuOpen(false);
                                         }}
@@ -140,8 +229,36 @@ export default function FinanceCard({ defaultModelIndex = 0 }) {
                                         {model.modelName}
                                     </div>
                                 ))}
+                                <MenuAction onClick={() => runFromMenu(() => fileInputRef.current?.click())}>
+                                    Load CSV/JSON File...
+                                </MenuAction>
+                                <MenuAction onClick={() => runFromMenu(() => setShowCache(prev => !prev))}>
+                                    {showCache ? 'Hide Data Cache' : 'Manage Data Cache'}
+                                </MenuAction>
+                                <MenuAction onClick={() => runFromMenu(() => setShowCorrelation(prev => !prev))}>
+                                    {showCorrelation ? 'Hide Correlation Matrix' : 'Correlation Matrix'}
+                                </MenuAction>
+                                <MenuAction onClick={() => runFromMenu(() => setShowRiskReturn(prev => !prev))}>
+                                    {showRiskReturn ? 'Hide Risk / Return' : 'Risk / Return'}
+                                </MenuAction>
+                                <MenuAction onClick={() => runFromMenu(() => setShowBarCity(prev => !prev))}>
+                                    {showBarCity ? 'Hide Market Bar City' : 'Market Bar City'}
+                                </MenuAction>
+                                <MenuAction onClick={() => runFromMenu(() => setLayout(prev => (prev === 'week' ? 'calendar' : 'week')))}>
+                                    {layout === 'week' ? 'Calendar Layout' : 'Week × Weekday Layout'}
+                                </MenuAction>
+                                <MenuAction onClick={() => runFromMenu(() => setMultiYear(prev => !prev))}>
+                                    {multiYear ? 'Single Year' : `${MULTI_YEAR_SPAN}-Year Comparison`}
+                                </MenuAction>
                             </div>
                         )}
+                        <input
+                            ref={fileInputRef}
+                            type="file"
+                            accept=".csv,.tsv,.txt,.json"
+                            style={{ display: 'none' }}
+                            onChange={handleFileSelected}
+                        />
                     </div>
                 </div>
             </CardHeader>
@@ -152,13 +269,53 @@ export default function FinanceCard({ defaultModelIndex = 0 }) {
                     symbol={symbol}
                     basePrice={basePrice}
                     onHoverData={setHoverData}  // Pass the setter as the onHoverData prop
+                    provider={fileSource?.provider}
+                    year={year}
+                    startYear={multiYear ? year - MULTI_YEAR_SPAN + 1 : null}
+                    heightMetric={heightMetric}
+                    colorMetric={colorMetric}
+                    layout={layout}
                 />
             </CardBody>
 
             <CardFooter className="flex flex-col gap-4 pt-4">
+                <div className="flex justify-center gap-4 text-sm text-white">
+                    <label className="flex items-center gap-2">
+                        Height:
+                        <select
+                            value={heightMetric}
+                            onChange={(e) => setHeightMetric(e.target.value)}
+                            className="border border-gray-300 rounded px-2 py-1 text-gray-800"
+                        >
+                            {Object.entries(SURFACE_METRICS).map(([id, metric]) => (
+                                <option key={id} value={id}>{metric.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="flex items-center gap-2">
+                        Color:
+                        <select
+                            value={colorMetric}
+                            onChange={(e) => setColorMetric(e.target.value)}
+                            className="border border-gray-300 rounded px-2 py-1 text-gray-800"
+                        >
+                            {Object.entries(SURFACE_METRICS).map(([id, metric]) => (
+                                <option key={id} value={id}>{metric.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                </div>
                 <p className="text-white text-sm text-center">
                     3D Visualization - {symbol}
                 </p>
+                {fileError && (
+                    <p className="text-red-300 text-sm text-center">Could not load file: {fileError}</p>
+                )}
+                {/* Always the model tickers from the default provider; a loaded file holds one series */}
+                {showCorrelation && <CorrelationChart tickers={models.map(model => model.symbol)} />}
+                {showRiskReturn && <RiskReturnChart />}
+                {showBarCity && <BarCityChart />}
+                {showCache && <CacheInspector />}
             </CardFooter>
         </Card>
     );
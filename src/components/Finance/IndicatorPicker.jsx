@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import { INDICATORS, createIndicator } from '../../lib/marketData';
+
+// Number box that only reports a value once editing is done (blur or Enter),
+// clamped to the parameter's limits, so the chart isn't rebuilt per keystroke
+const ParamInput = ({ param, value, onCommit }) => {
+    const [draft, setDraft] = useState(String(value));
+
+    useEffect(() => {
+        setDraft(String(value));
+    }, [value]);
+
+    const commit = () => {
+        const parsed = Number(draft);
+        if (draft.trim() === '' || isNaN(parsed)) {
+            setDraft(String(value));
+            return;
+        }
+        const clamped = Math.min(Math.max(parsed, param.min), param.max);
+        setDraft(String(clamped));
+        if (clamped !== value) {
+            onCommit(clamped);
+        }
+    };
+
+    return (
+        <label style={{ display: 'flex', alignItems: 'center', gap: '2px' }}>
+            {param.label}
+            <input
+                type="number"
+                value={draft}
+                min={param.min}
+                max={param.max}
+                step={param.step ?? 1}
+                onChange={(e) => setDraft(e.target.value)}
+                onBlur={commit}
+                onKeyDown={(e) => e.key === 'Enter' && commit()}
+                style={{ width: '3.5rem', padding: '1px 2px', border: '1px solid #ddd', borderRadius: '3px' }}
+            />
+        </label>
+    );
+};
+
+// Add, tune and remove chart indicators. `indicators` are createIndicator()
+// configurations; every change reports the whole new list.
+const IndicatorPicker = ({ indicators, onChange }) => {
+    const update = (id, changes) => {
+        onChange(indicators.map(indicator => (indicator.id === id ? { ...indicator, ...changes } : indicator)));
+    };
+
+    return (
+        <div style={{
+            display: 'flex',
+            flexWrap: 'wrap',
+            alignItems: 'center',
+            gap: '6px',
+            padding: '6px 10px',
+            backgroundColor: '#f7f7f7',
+            borderTop: '1px solid #ddd',
+            fontSize: '0.8rem'
+        }}>
+            <select
+                value=""
+                onChange={(e) => e.target.value && onChange([...indicators, createIndicator(e.target.value)])}
+                style={{ padding: '2px 4px', border: '1px solid #ddd', borderRadius: '4px' }}
+            >
+                <option value="">Add indicator...</option>
+                {Object.entries(INDICATORS).map(([type, definition]) => (
+                    <option key={type} value={type}>{definition.label}</option>
+                ))}
+            </select>
+            {indicators.map(indicator => {
+                const definition = INDICATORS[indicator.type];
+                return (
+                    <div
+                        key={indicator.id}
+                        style={{
+                            display: 'flex',
+                            alignItems: 'center',
+                            gap: '4px',
+                            padding: '2px 6px',
+                            backgroundColor: 'white',
+                            border: '1px solid #ddd',
+                            borderRadius: '4px'
+                        }}
+                    >
+                        <strong>{definition.label}</strong>
+                        {definition.lines.map(line => (
+                            <input
+                                key={line.key}
+                                type="color"
+                                title={line.label}
+                                value={indicator.colors[line.key]}
+                                onChange={(e) => update(indicator.id, { colors: { ...indicator.colors, [line.key]: e.target.value } })}
+                                style={{ width: '18px', height: '18px', padding: 0, border: 'none', cursor: 'pointer' }}
+                            />
+                        ))}
+                        {definition.params.map(param => (
+                            <ParamInput
+                                key={param.id}
+                                param={param}
+                                value={indicator.params[param.id]}
+                                onCommit={(value) => update(indicator.id, { params: { ...indicator.params, [param.id]: value } })}
+                            />
+                        ))}
+                        <button
+                            type="button"
+                            title="Remove"
+                            onClick={() => onChange(indicators.filter(other => other.id !== indicator.id))}
+                            style={{ border: 'none', background: 'none', cursor: 'pointer', color: '#888' }}
+                        >
+                            ×
+                        </button>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default IndicatorPicker;
@@ -0,0 +1,462 @@
+import React, { useState, useEffect, useRef } from "react";
+import {
+    CameraController,
+    CustomChartModifier3D,
+    MouseWheelZoomModifier3D,
+    NumberRange,
+    NumericAxis3D,
+    OrbitModifier3D,
+    ResetCamera3DModifier,
+    ScatterRenderableSeries3D,
+    SciChart3DSurface,
+    SpherePointMarker3D,
+    TooltipModifier3D,
+    Vector3,
+    XyzDataSeries3D,
+    SciChartSurface
+} from "scichart";
+import {
+    isAbortError,
+    requireBars,
+    addDays,
+    formatDate,
+    tradingDaysToCalendarDays,
+    computeRiskReturn,
+    formatCompactDollars,
+    formatRiskReturnValue,
+    RISK_RETURN_METRICS,
+    SIC_SECTORS
+} from "../../lib/marketData";
+import { useDataProvider } from "./DataProviderContext";
+import SimulatedBadge from "./SimulatedBadge";
+import DataErrorOverlay from "./DataErrorOverlay";
+import StockCandlestickChart from "./CandlestickChart";
+import { gradientColorAt } from "./chartColors";
+
+// Low to high for "color by metric"
+const METRIC_STOPS = [
+    { offset: 0, color: "#2563EB" },
+    { offset: 0.5, color: "#FACC15" },
+    { offset: 1, color: "#DC2626" },
+];
+
+// One color per SIC division, in SIC_SECTORS order
+const SECTOR_COLORS = [
+    "#84CC16", "#A16207", "#F97316", "#3B82F6", "#14B8A6", "#8B5CF6",
+    "#EC4899", "#22C55E", "#EAB308", "#6366F1", "#94A3B8"
+];
+const UNKNOWN_SECTOR_COLOR = "#6B7280";
+
+const MIN_POINT_SCALE = 0.5;
+const MAX_POINT_SCALE = 2;
+const CLICK_TOLERANCE_PX = 4; // Further than this between press and release is an orbit, not a click
+
+const sectorColor = (sector) => {
+    const index = SIC_SECTORS.findIndex(division => division.sector === sector);
+    return index === -1 ? UNKNOWN_SECTOR_COLOR : SECTOR_COLORS[index % SECTOR_COLORS.length];
+};
+
+// "#RRGGBB" as the ARGB number vertex colors take
+const toArgb = (color) => (0xff000000 | parseInt(color.slice(1), 16)) >>> 0;
+
+// Dollar amounts span orders of magnitude, so they are scaled by their log
+const scaledValue = (metric, value) => {
+    if (value === null || value === undefined || !isFinite(value)) {
+        return NaN;
+    }
+    if (RISK_RETURN_METRICS[metric].unit === "$") {
+        return value > 0 ? Math.log10(value) : NaN;
+    }
+    return value;
+};
+
+// 0-1 position of every point's `metric` within the watchlist (NaN when missing)
+const normalizedValues = (points, metric) => {
+    const values = points.map(point => scaledValue(metric, point[metric]));
+    const known = values.filter(value => !isNaN(value));
+    const min = Math.min(...known);
+    const max = Math.max(...known);
+    return values.map(value => (isNaN(value) ? NaN : max > min ? (value - min) / (max - min) : 0.5));
+};
+
+const pointMetadata = (points, sizeBy, colorBy) => {
+    const sizes = normalizedValues(points, sizeBy);
+    const colors = colorBy === "sector" ? null : normalizedValues(points, colorBy);
+    return points.map((point, i) => ({
+        pointScale: isNaN(sizes[i]) ? MIN_POINT_SCALE : MIN_POINT_SCALE + sizes[i] * (MAX_POINT_SCALE - MIN_POINT_SCALE),
+        vertexColor: colors
+            ? (isNaN(colors[i]) ? toArgb(UNKNOWN_SECTOR_COLOR) : gradientColorAt(METRIC_STOPS, colors[i]))
+            : toArgb(sectorColor(point.sector))
+    }));
+};
+
+// Padded range of `values`, so points never sit on the walls of the chart
+const paddedRange = (values) => {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const padding = max > min ? (max - min) * 0.1 : Math.max(Math.abs(min) * 0.1, 1);
+    return new NumberRange(min - padding, max + padding);
+};
+
+// Reports a press and release in (nearly) the same spot on a point. Orbiting
+// the camera also starts with a press, so anything that moved is ignored.
+class PointClickModifier3D extends CustomChartModifier3D {
+    constructor(onPointClick) {
+        super();
+        this.onPointClick = onPointClick;
+        this.downPoint = null;
+        // The orbit modifier marks the events it sees as handled
+        this.receiveHandledEvents = true;
+    }
+
+    modifierMouseDown(args) {
+        super.modifierMouseDown(args);
+        this.downPoint = args.mousePoint;
+    }
+
+    modifierMouseUp(args) {
+        super.modifierMouseUp(args);
+        const downPoint = this.downPoint;
+        this.downPoint = null;
+        if (!downPoint || !this.parentSurface
+            || Math.hypot(args.mousePoint.x - downPoint.x, args.mousePoint.y - downPoint.y) > CLICK_TOLERANCE_PX) {
+            return;
+        }
+        const hit = this.parentSurface.renderableSeries.asArray()
+            .map(series => series.hitTest(args.mousePoint))
+            .find(seriesInfo => seriesInfo?.isHit);
+        if (hit) {
+            this.onPointClick(hit);
+        }
+    }
+}
+
+// Risk against return for a watchlist as a 3D scatter: annualized return ×
+// volatility × average daily dollar volume, with each point sized and
+// colored by a chosen metric (market cap and sector to begin with). Clicking a
+// point opens that ticker's candlestick chart below.
+const RiskReturnChart = ({
+    tickers = ["AAPL", "MSFT", "GOOGL", "NVDA", "AMZN", "META", "TSLA", "JPM"],
+    lookback = 252,
+    endDate = formatDate(new Date()),
+    sizeBy: initialSizeBy = "marketCap",
+    colorBy: initialColorBy = "sector",
+    onSelectTicker,
+    showCandlestick = true,
+    provider
+}) => {
+    const dataProvider = useDataProvider(provider);
+    const [sizeBy, setSizeBy] = useState(initialSizeBy);
+    const [colorBy, setColorBy] = useState(initialColorBy);
+    const [selectedTicker, setSelectedTicker] = useState(null);
+
+    const [chartDiv, setChartDiv] = useState(null);
+    const [points, setPoints] = useState(null); // [{ ticker, name, sector, marketCap, ...computeRiskReturn }]
+    const [failed, setFailed] = useState([]); // Tickers that could not be loaded
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [isSimulated, setIsSimulated] = useState(false);
+    const [reloadToken, setReloadToken] = useState(0); // Bumped by the retry button
+    const pointsSeriesRef = useRef(null); // Scatter data series, restyled in place
+    const onSelectTickerRef = useRef(onSelectTicker);
+    onSelectTickerRef.current = onSelectTicker;
+
+    const tickerKey = tickers.join(",");
+
+    // Initialize community license once
+    useEffect(() => {
+        SciChartSurface.UseCommunityLicense();
+    }, []);
+
+    // Fetch every ticker's daily bars and reference data
+    useEffect(() => {
+        setIsLoading(true);
+        setError(null);
+
+        const controller = new AbortController();
+        const signal = controller.signal;
+        const from = addDays(endDate, -tradingDaysToCalendarDays(lookback));
+
+        const loadTicker = async (ticker) => {
+            const [barsResult, detailsResult] = await Promise.allSettled([
+                dataProvider.getAggregates({ ticker, from, to: endDate, signal })
+                    .then(result => requireBars(dataProvider, result, { signal })),
+                // Size and color fall back to "unknown" without reference data
+                dataProvider.getTickerDetails
+                    ? dataProvider.getTickerDetails(ticker, { signal })
+                    : Promise.resolve(null)
+            ]);
+            if (barsResult.status === "rejected") {
+                throw barsResult.reason;
+            }
+            if (detailsResult.status === "rejected" && !isAbortError(detailsResult.reason)) {
+                console.warn(`No reference data for ${ticker}:`, detailsResult.reason);
+            }
+            const details = detailsResult.status === "fulfilled" ? detailsResult.value : null;
+            const { bars, simulated } = barsResult.value;
+            return {
+                ticker: ticker.toUpperCase(),
+                name: details?.name ?? null,
+                sector: details?.sector ?? null,
+                industry: details?.industry ?? null,
+                marketCap: details?.marketCap ?? null,
+                simulated,
+                ...computeRiskReturn(bars.slice(-(lookback + 1)))
+            };
+        };
+
+        const load = async () => {
+            try {
+                const results = await Promise.allSettled(tickers.map(loadTicker));
+                if (signal.aborted) {
+                    return;
+                }
+                const loaded = results
+                    .filter(result => result.status === "fulfilled")
+                    .map(result => result.value)
+                    .filter(point => isFinite(point.annualizedReturn) && isFinite(point.volatility) && point.dollarVolume > 0);
+                if (loaded.length === 0) {
+                    throw results.find(result => result.status === "rejected")?.reason
+                        ?? new Error("Not enough history to compare these tickers");
+                }
+                results.forEach((result, i) => {
+                    if (result.status === "rejected") {
+                        console.warn(`Skipping ${tickers[i]}:`, result.reason);
+                    }
+                });
+
+                setFailed(tickers.filter(ticker => !loaded.some(point => point.ticker === ticker.toUpperCase())));
+                setIsSimulated(loaded.some(point => point.simulated));
+                setPoints(loaded);
+            } catch (loadError) {
+                if (isAbortError(loadError)) {
+                    return;
+                }
+                console.error("Error loading risk/return data:", loadError);
+                setError(loadError);
+                setIsLoading(false);
+            }
+        };
+
+        load();
+
+        return () => controller.abort();
+    }, [tickerKey, lookback, endDate, dataProvider, reloadToken]);
+
+    // Build the chart once the points are in
+    useEffect(() => {
+        if (!chartDiv || !points) {
+            return;
+        }
+
+        let cancelled = false;
+        let mainChart = null;
+
+        const initChart = async () => {
+            try {
+                const { sciChart3DSurface, wasmContext } = await SciChart3DSurface.create(chartDiv);
+                if (cancelled) {
+                    sciChart3DSurface.delete();
+                    return;
+                }
+                mainChart = sciChart3DSurface;
+
+                sciChart3DSurface.camera = new CameraController(wasmContext, {
+                    position: new Vector3(-200, 200, -200),
+                    target: new Vector3(0, 50, 0),
+                });
+                sciChart3DSurface.worldDimensions = new Vector3(200, 100, 200);
+                sciChart3DSurface.background = "Transparent";
+
+                const percentAxis = (title, values) => {
+                    const axis = new NumericAxis3D(wasmContext, { axisTitle: title, visibleRange: paddedRange(values) });
+                    axis.labelProvider.formatLabel = (dataValue) => `${dataValue.toFixed(0)}%`;
+                    return axis;
+                };
+                sciChart3DSurface.xAxis = percentAxis("Annualized Return", points.map(point => point.annualizedReturn));
+                sciChart3DSurface.yAxis = percentAxis("Volatility", points.map(point => point.volatility));
+                // Dollar volume is plotted as log10, labelled in dollars
+                sciChart3DSurface.zAxis = new NumericAxis3D(wasmContext, {
+                    axisTitle: "Avg Daily $ Volume",
+                    visibleRange: paddedRange(points.map(point => Math.log10(point.dollarVolume)))
+                });
+                sciChart3DSurface.zAxis.labelProvider.formatLabel = (dataValue) => formatCompactDollars(10 ** dataValue);
+
+                const dataSeries = new XyzDataSeries3D(wasmContext, { dataSeriesName: "Watchlist" });
+                const metadata = pointMetadata(points, sizeBy, colorBy);
+                points.forEach((point, i) => {
+                    dataSeries.append(point.annualizedReturn, point.volatility, Math.log10(point.dollarVolume), metadata[i]);
+                });
+                pointsSeriesRef.current = dataSeries;
+
+                sciChart3DSurface.renderableSeries.add(new ScatterRenderableSeries3D(wasmContext, {
+                    dataSeries,
+                    pointMarker: new SpherePointMarker3D(wasmContext, { size: 8 })
+                }));
+
+                sciChart3DSurface.chartModifiers.add(new MouseWheelZoomModifier3D());
+                sciChart3DSurface.chartModifiers.add(new OrbitModifier3D());
+                sciChart3DSurface.chartModifiers.add(new ResetCamera3DModifier());
+                sciChart3DSurface.chartModifiers.add(new TooltipModifier3D({
+                    tooltipContainerBackground: "#333333",
+                    tooltipDataTemplate: (seriesInfo) => {
+                        const point = points[seriesInfo.dataSeriesIndex];
+                        if (!point) {
+                            return [];
+                        }
+                        return [
+                            point.name ? `${point.ticker} · ${point.name}` : point.ticker,
+                            `Sector: ${point.sector ?? "Unknown"}`,
+                            ...Object.entries(RISK_RETURN_METRICS).map(([id, metric]) =>
+                                `${metric.label}: ${formatRiskReturnValue(id, point[id])}`
+                            ),
+                            "Click to open the chart"
+                        ];
+                    }
+                }));
+                sciChart3DSurface.chartModifiers.add(new PointClickModifier3D((seriesInfo) => {
+                    const point = points[seriesInfo.dataSeriesIndex];
+                    if (point) {
+                        setSelectedTicker(point.ticker);
+                        onSelectTickerRef.current?.(point.ticker);
+                    }
+                }));
+
+                setIsLoading(false);
+            } catch (initError) {
+                console.error("Error initializing risk/return chart:", initError);
+                setError(initError);
+                setIsLoading(false);
+            }
+        };
+
+        initChart();
+
+        return () => {
+            cancelled = true;
+            pointsSeriesRef.current = null;
+            if (mainChart) {
+                try {
+                    mainChart.delete();
+                } catch (e) {
+                    console.warn("Error cleaning up risk/return chart:", e);
+                }
+            }
+        };
+    }, [chartDiv, points]);
+
+    // Restyle the points in place when the size or color metric changes
+    useEffect(() => {
+        const dataSeries = pointsSeriesRef.current;
+        if (!dataSeries || !points) {
+            return;
+        }
+        pointMetadata(points, sizeBy, colorBy).forEach((metadata, i) => {
+            const point = points[i];
+            dataSeries.update(i, point.annualizedReturn, point.volatility, Math.log10(point.dollarVolume), metadata);
+        });
+    }, [sizeBy, colorBy, points, isLoading]);
+
+    // Sectors on the chart, for the legend
+    const sectors = points
+        ? [...new Set(points.map(point => point.sector ?? "Unknown"))].sort()
+        : [];
+    const colorRange = points && colorBy !== "sector"
+        ? points.map(point => point[colorBy]).filter(value => value !== null && isFinite(value))
+        : [];
+
+    return (
+        <div className="flex flex-col gap-2">
+            <div className="flex flex-wrap items-center gap-3 text-xs text-white">
+                <label className="flex items-center gap-1">
+                    Size
+                    <select
+                        value={sizeBy}
+                        onChange={(e) => setSizeBy(e.target.value)}
+                        className="border border-gray-300 rounded px-1 py-0.5 text-gray-800"
+                    >
+                        {Object.entries(RISK_RETURN_METRICS).map(([id, metric]) => (
+                            <option key={id} value={id}>{metric.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex items-center gap-1">
+                    Color
+                    <select
+                        value={colorBy}
+                        onChange={(e) => setColorBy(e.target.value)}
+                        className="border border-gray-300 rounded px-1 py-0.5 text-gray-800"
+                    >
+                        <option value="sector">Sector</option>
+                        {Object.entries(RISK_RETURN_METRICS).map(([id, metric]) => (
+                            <option key={id} value={id}>{metric.label}</option>
+                        ))}
+                    </select>
+                </label>
+                {colorBy === "sector" ? (
+                    sectors.map(sector => (
+                        <span key={sector} className="flex items-center gap-1">
+                            <span style={{
+                                display: "inline-block",
+                                width: "10px",
+                                height: "10px",
+                                borderRadius: "50%",
+                                backgroundColor: sectorColor(sector)
+                            }} />
+                            {sector}
+                        </span>
+                    ))
+                ) : colorRange.length > 0 && (
+                    <span className="flex items-center gap-1">
+                        {formatRiskReturnValue(colorBy, Math.min(...colorRange))}
+                        <span style={{
+                            display: "inline-block",
+                            width: "80px",
+                            height: "8px",
+                            background: `linear-gradient(to right, ${METRIC_STOPS.map(stop => `${stop.color} ${stop.offset * 100}%`).join(", ")})`
+                        }} />
+                        {formatRiskReturnValue(colorBy, Math.max(...colorRange))}
+                    </span>
+                )}
+                {failed.length > 0 && (
+                    <span className="text-red-300">Not loaded: {failed.join(", ")}</span>
+                )}
+            </div>
+            <div style={{ position: "relative", width: "100%", height: "450px" }}>
+                <div
+                    ref={setChartDiv}
+                    style={{ height: "100%", width: "100%" }}
+                />
+                {isSimulated && (
+                    <SimulatedBadge className="absolute top-2 left-2 z-10" />
+                )}
+                {isLoading && (
+                    <div style={{
+                        position: "absolute",
+                        top: 0,
+                        left: 0,
+                        right: 0,
+                        bottom: 0,
+                        display: "flex",
+                        justifyContent: "center",
+                        alignItems: "center",
+                        backgroundColor: "rgba(0,0,0,0.5)",
+                        color: "white",
+                        zIndex: 10
+                    }}>
+                        <div className="text-center">
+                            <div className="mb-2">Loading {tickers.join(", ")} from {dataProvider.label}...</div>
+                            <div className="w-12 h-12 border-4 border-blue-500 border-t-transparent rounded-full animate-spin mx-auto"></div>
+                        </div>
+                    </div>
+                )}
+                <DataErrorOverlay error={error} onRetry={() => setReloadToken(token => token + 1)} />
+            </div>
+            {showCandlestick && selectedTicker && (
+                <StockCandlestickChart ticker={selectedTicker} provider={provider} height="400px" />
+            )}
+        </div>
+    );
+};
+
+export default RiskReturnChart;
@@ -0,0 +1,13 @@
+import React from 'react';
+
+// Marks a chart that is showing generated rather than real market data
+const SimulatedBadge = ({ className = '' }) => (
+    <div
+        className={`px-2 py-1 rounded-full bg-yellow-400 text-black text-xs font-semibold shadow ${className}`}
+        title="No market data key is configured, so this chart shows deterministic simulated prices."
+    >
+        Simulated data
+    </div>
+);
+
+export default SimulatedBadge;
@@ -0,0 +1,17 @@
+// Color helpers shared by the SciChart 3D components
+
+// ARGB color at `t` (0-1) along `stops` ({ offset, color: "#RRGGBB" }, sorted
+// by offset), for per-point vertex colors that match a gradient palette
+export const gradientColorAt = (stops, t) => {
+    const clamped = Math.min(Math.max(isFinite(t) ? t : 0, 0), 1);
+    const upper = stops.findIndex(stop => stop.offset >= clamped);
+    const to = stops[Math.max(upper, 1)];
+    const from = stops[Math.max(upper, 1) - 1];
+    const mix = (clamped - from.offset) / (to.offset - from.offset);
+    const channel = (shift) => {
+        const a = parseInt(from.color.slice(1), 16) >> shift & 0xff;
+        const b = parseInt(to.color.slice(1), 16) >> shift & 0xff;
+        return Math.round(a + (b - a) * mix);
+    };
+    return ((0xff << 24) | (channel(16) << 16) | (channel(8) << 8) | channel(0)) >>> 0;
+};
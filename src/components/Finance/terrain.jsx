@@ -1,18 +1,47 @@
 import React, { useState, useRef, useEffect } from 'react';
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
+import {
+    isAbortError,
+    requireBars,
+    buildCalendarGrid,
+    buildMultiYearGrid,
+    fetchYearRange,
+    yearOfBar,
+    createMetricAccessor,
+    formatMetricValue,
+    SURFACE_METRICS,
+    getExchangeTimeZone,
+    getTradingCalendar,
+    GRID_DAYS,
+    GRID_MONTHS,
+    WEEKDAY_NAMES
+} from '../../lib/marketData';
+import { useDataProvider } from './DataProviderContext';
+import SimulatedBadge from './SimulatedBadge';
+import DataErrorOverlay from './DataErrorOverlay';
+
+const TerrainShader = ({
+    onHoverData,
+    symbol = "AAPL",
+    basePrice = 170,
+    year = 2024,
+    startYear = null, // Set to an earlier year for a trading day × year surface ending at `year`
+    heightMetric = "close", // See SURFACE_METRICS
+    colorMetric = "close",
+    fill = "forward",
+    layout = "calendar",
+    provider
+}) => {
+    const dataProvider = useDataProvider(provider);
 
-const TerrainShader = ({ onHoverData, symbol = "AAPL", basePrice = 170, year = 2024 }) => {
     // Constants
     const HEIGHT_SCALE = 15;
-    const GRID_DAYS = 31;
-    const GRID_MONTHS = 12;
     const CANVAS_HEIGHT = 550;
     const MIN_CAMERA_DISTANCE = 30;
     const MAX_CAMERA_DISTANCE = 150;
     const INITIAL_CAMERA_DISTANCE = 50;
     const INITIAL_CAMERA_ELEVATION = 45;
-    const X_SCALE_FACTOR = 2.5; // Scale X (month axis) to make square with 12 months vs 31 days
 
     // Mobile specific constants
     const MOBILE_MAX_CAMERA_DISTANCE = 180;
@@ -22,6 +51,9 @@ const TerrainShader = ({ onHoverData, symbol = "AAPL", basePrice = 170, year = 2
     const [stockData, setStockData] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [isSimulated, setIsSimulated] = useState(false);
+    const [reloadToken, setReloadToken] = useState(0); // Bumped by the retry button
+    const [colorLegend, setColorLegend] = useState(null); // { min, max } of the color metric
 
     // Refs and other existing references
     const canvasRef = useRef(null);
@@ -37,61 +69,49 @@ const TerrainShader = ({ onHoverData, symbol = "AAPL", basePrice = 170, year = 2
     // Last hover data ref
     const lastHitRef = useRef({
         day: '15',
-        price: basePrice.toFixed(2),
+        height: { label: SURFACE_METRICS.close.label, value: `$${basePrice.toFixed(2)}` },
+        color: null,
         month: '6',
         rawHeight: "50.0"
     });
 
+    const isMultiYear = startYear !== null && startYear < year;
+
     // Fetch stock data
     useEffect(() => {
+        const controller = new AbortController();
+
         const fetchStockData = async () => {
             setIsLoading(true);
             setError(null);
 
             try {
-                const API_KEY = import.meta.env.VITE_POLYGON_API_KEY;
-
-                if (!API_KEY) {
-                    throw new Error("No Polygon.io API key found. Please set VITE_POLYGON_API_KEY in your .env file.");
-                }
-
-                const startDate = `${year}-01-01`;
-                const endDate = `${year}-12-31`;
-
-                const response = await fetch(
-                    `https://api.polygon.io/v2/aggs/ticker/${symbol}/range/1/day/${startDate}/${endDate}?apiKey=${API_KEY}`,
-                    {
-                        method: 'GET',
-                        headers: {
-                            'Content-Type': 'application/json'
-                        }
-                    }
-                );
-
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
-                }
-
-                const data = await response.json();
-
-                if (!data.results || data.results.length === 0) {
-                    throw new Error(`No stock data found for ${symbol} in ${year}`);
-                }
-
-                // Sort data by timestamp to ensure chronological order
-                const sortedData = data.results.sort((a, b) => a.t - b.t);
-
-                setStockData(sortedData);
+                const result = isMultiYear
+                    ? await fetchYearRange(dataProvider, { ticker: symbol, fromYear: startYear, toYear: year, signal: controller.signal })
+                    : await dataProvider.getAggregates({
+                        ticker: symbol,
+                        from: `${year}-01-01`,
+                        to: `${year}-12-31`,
+                        signal: controller.signal
+                    });
+                const { bars, simulated } = await requireBars(dataProvider, result, { signal: controller.signal });
+
+                setStockData(bars);
+                setIsSimulated(Boolean(simulated));
                 setIsLoading(false);
             } catch (err) {
+                // Symbol or year changed mid-flight; the next request owns the state
+                if (isAbortError(err)) return;
                 console.error("Error fetching stock data:", err);
-                setError(err.message);
+                setError(err);
                 setIsLoading(false);
             }
         };
 
         fetchStockData();
-    }, [symbol, year]);
+
+        return () => controller.abort();
+    }, [symbol, year, startYear, dataProvider, reloadToken]);
 
     // Mobile detection
     const isMobileDevice = () => {
@@ -119,29 +139,74 @@ const TerrainShader = ({ onHoverData, symbol = "AAPL", basePrice = 170, year = 2
         return sprite;
     };
 
+    // Axis extents in world units; rows run along X and columns along Z
+    const X_EXTENT = GRID_MONTHS * 2.5; // 12 months stretched to roughly match 31 days
+    const Z_EXTENT = GRID_DAYS;
+
+    // Short market-status note for a hovered cell, e.g. "Market closed (Good Friday)"
+    const describeCell = (grid, row, col, ticker) => {
+        const date = grid.dates[row][col];
+        const suffix = grid.filled[row][col] ? ' - filled' : '';
+        switch (grid.status[row][col]) {
+            case 'closed': {
+                const { name } = getTradingCalendar(ticker).getDayInfo(date);
+                return `Market closed (${name || 'Weekend'})${suffix}`;
+            }
+            case 'gap':
+                return `Data gap${suffix}`;
+            case 'future':
+                return 'Not traded yet';
+            case 'invalid':
+                return 'No such date';
+            default:
+                return null;
+        }
+    };
+
+    // Geometry and labels for a grid layout: 12 months × 31 days, weeks of the
+    // year × Monday-Friday, or years × trading day of the year
+    const getLayoutDims = (grid) => {
+        const isWeekLayout = grid.layout === 'week';
+        const isMultiYearLayout = grid.layout === 'multi-year';
+        return {
+            rows: grid.rows,
+            cols: grid.cols,
+            xScale: X_EXTENT / grid.rows,
+            zScale: Z_EXTENT / grid.cols,
+            rowTitle: isMultiYearLayout ? 'Years' : isWeekLayout ? 'Weeks' : 'Months',
+            colTitle: isMultiYearLayout ? 'Trading Day' : isWeekLayout ? 'Weekdays' : 'Days',
+            valueTitle: SURFACE_METRICS[heightMetric].axisTitle,
+            rowTickStep: isMultiYearLayout ? Math.ceil(grid.rows / 6) : isWeekLayout ? 10 : 2,
+            colTickStep: isMultiYearLayout ? 50 : isWeekLayout ? 1 : 6,
+            rowLabel: (row) => (isMultiYearLayout ? String(grid.years[row]) : String(row + 1)), // +1 for 1-based months/weeks
+            colLabel: (col) => (isWeekLayout ? WEEKDAY_NAMES[col] : String(col + 1)), // +1 for 1-based days
+            formatValue: (value) => formatMetricValue(heightMetric, value)
+        };
+    };
+
     // Add axes to the scene
-    const addAxes = (scene, minPrice, maxPrice) => {
-        // Months axis (X) - scale to match terrain scaling
-        const monthsLine = new THREE.Line(
+    const addAxes = (scene, minPrice, maxPrice, dims) => {
+        // Rows axis (X) - scale to match terrain scaling
+        const rowsLine = new THREE.Line(
             new THREE.BufferGeometry().setFromPoints([
                 new THREE.Vector3(0, 0, 0),
-                new THREE.Vector3(GRID_MONTHS * X_SCALE_FACTOR, 0, 0)
+                new THREE.Vector3(X_EXTENT, 0, 0)
             ]),
             new THREE.LineBasicMaterial({ color: 0xffffff })
         );
-        scene.add(monthsLine);
-        scene.add(createAxisLabel('Months', new THREE.Vector3(GRID_MONTHS * X_SCALE_FACTOR / 2, -1, 0)));
+        scene.add(rowsLine);
+        scene.add(createAxisLabel(dims.rowTitle, new THREE.Vector3(X_EXTENT / 2, -1, 0)));
 
-        // Days axis (Z)
-        const daysLine = new THREE.Line(
+        // Columns axis (Z)
+        const colsLine = new THREE.Line(
             new THREE.BufferGeometry().setFromPoints([
                 new THREE.Vector3(0, 0, 0),
-                new THREE.Vector3(0, 0, GRID_DAYS)
+                new THREE.Vector3(0, 0, Z_EXTENT)
             ]),
             new THREE.LineBasicMaterial({ color: 0xffffff })
         );
-        scene.add(daysLine);
-        scene.add(createAxisLabel('Days', new THREE.Vector3(0, -1, GRID_DAYS / 2)));
+        scene.add(colsLine);
+        scene.add(createAxisLabel(dims.colTitle, new THREE.Vector3(0, -1, Z_EXTENT / 2)));
 
         // Price axis (Y)
         const priceLine = new THREE.Line(
@@ -152,31 +217,28 @@ const TerrainShader = ({ onHoverData, symbol = "AAPL", basePrice = 170, year = 2
             new THREE.LineBasicMaterial({ color: 0xffffff })
         );
         scene.add(priceLine);
-        scene.add(createAxisLabel('Price', new THREE.Vector3(0, HEIGHT_SCALE / 2, 0)));
+        scene.add(createAxisLabel(dims.valueTitle, new THREE.Vector3(0, HEIGHT_SCALE / 2, 0)));
 
         // Price labels
-        scene.add(createAxisLabel(`$${minPrice.toFixed(0)}`, new THREE.Vector3(0, 0, 0), 'lightgray'));
-        scene.add(createAxisLabel(`$${maxPrice.toFixed(0)}`, new THREE.Vector3(0, HEIGHT_SCALE, 0), 'lightgray'));
-
-        // Month and day tick marks
-        for (let i = 0; i <= 5; i++) {
-            // Month ticks - account for X scaling
-            if (i * 2 < GRID_MONTHS) {
-                scene.add(createAxisLabel(
-                    Math.round(i * 2 + 1).toString(), // +1 for 1-based months
-                    new THREE.Vector3(i * 2 * X_SCALE_FACTOR, -1, -1),
-                    'lightgray'
-                ));
-            }
+        scene.add(createAxisLabel(dims.formatValue(minPrice), new THREE.Vector3(0, 0, 0), 'lightgray'));
+        scene.add(createAxisLabel(dims.formatValue(maxPrice), new THREE.Vector3(0, HEIGHT_SCALE, 0), 'lightgray'));
+
+        // Row tick marks - account for X scaling
+        for (let row = 0; row < dims.rows; row += dims.rowTickStep) {
+            scene.add(createAxisLabel(
+                dims.rowLabel(row),
+                new THREE.Vector3(row * dims.xScale, -1, -1),
+                'lightgray'
+            ));
+        }
 
-            // Day ticks - no scaling
-            if (i * 6 < GRID_DAYS) {
-                scene.add(createAxisLabel(
-                    Math.round(i * 6 + 1).toString(), // +1 for 1-based days
-                    new THREE.Vector3(-1, -1, i * 6),
-                    'lightgray'
-                ));
-            }
+        // Column tick marks - account for Z scaling
+        for (let col = 0; col < dims.cols; col += dims.colTickStep) {
+            scene.add(createAxisLabel(
+                dims.colLabel(col),
+                new THREE.Vector3(-1, -1, col * dims.zScale),
+                'lightgray'
+            ));
         }
     };
 
@@ -195,12 +257,12 @@ const TerrainShader = ({ onHoverData, symbol = "AAPL", basePrice = 170, year = 2
 
         // Adjust camera for scaled terrain
         camera.position.set(
-            GRID_MONTHS * X_SCALE_FACTOR / 2,
-            GRID_DAYS / 2,
+            X_EXTENT / 2,
+            Z_EXTENT / 2,
             initialDistance
         );
         // Look at center of scaled terrain
-        camera.lookAt(GRID_MONTHS * X_SCALE_FACTOR / 2, 0, GRID_DAYS / 2);
+        camera.lookAt(X_EXTENT / 2, 0, Z_EXTENT / 2);
         cameraRef.current = camera;
         return camera;
     };
@@ -257,7 +319,7 @@ const TerrainShader = ({ onHoverData, symbol = "AAPL", basePrice = 170, year = 2
 
         controls.maxPolarAngle = Math.PI / 2;
         // Target center of scaled terrain
-        controls.target.set(GRID_MONTHS * X_SCALE_FACTOR / 2, 0, GRID_DAYS / 2);
+        controls.target.set(X_EXTENT / 2, 0, Z_EXTENT / 2);
         controls.update();
         controlsRef.current = controls;
         return controls;
@@ -270,49 +332,37 @@ const TerrainShader = ({ onHoverData, symbol = "AAPL", basePrice = 170, year = 2
             return;
         }
 
-        // Create a 2D array to store prices for each day and month
-        const priceGrid = Array.from({ length: GRID_MONTHS }, () =>
-            Array(GRID_DAYS).fill(basePrice)
-        );
-
-        // Populate the price grid with available stock data
-        stockData.forEach(dayData => {
-            const date = new Date(dayData.t);
-            const month = date.getMonth();
-            const day = date.getDate() - 1; // Adjust for 0-based index
-
-            if (month >= 0 && month < GRID_MONTHS && day >= 0 && day < GRID_DAYS) {
-                priceGrid[month][day] = dayData.c;
-            }
-        });
-
-        // Fill in missing data using nearby prices
-        for (let month = 0; month < GRID_MONTHS; month++) {
-            // Forward fill
-            let lastValidPrice = priceGrid[month][0];
-            for (let day = 0; day < GRID_DAYS; day++) {
-                if (priceGrid[month][day] === basePrice) {
-                    priceGrid[month][day] = lastValidPrice;
-                } else {
-                    lastValidPrice = priceGrid[month][day];
-                }
-            }
-
-            // Backward fill
-            lastValidPrice = priceGrid[month][GRID_DAYS - 1];
-            for (let day = GRID_DAYS - 1; day >= 0; day--) {
-                if (priceGrid[month][day] === basePrice) {
-                    priceGrid[month][day] = lastValidPrice;
-                } else {
-                    lastValidPrice = priceGrid[month][day];
-                }
-            }
-        }
-
-        // Prepare price data for visualization
-        const prices = priceGrid.flat();
-        const minPrice = Math.min(...prices);
-        const maxPrice = Math.max(...prices);
+        // Grid on the exchange's calendar; gaps are NaN (or filled) and dates like Feb 30 stay NaN.
+        // Height and color each get a grid for their own metric.
+        const timeZone = getExchangeTimeZone(symbol);
+        const buildGrid = (metric) => (isMultiYear
+            ? buildMultiYearGrid(stockData, {
+                fromYear: startYear,
+                toYear: year,
+                fill,
+                timeZone,
+                calendar: getTradingCalendar(symbol),
+                // Cumulative returns restart every year
+                value: createMetricAccessor(stockData, metric, { periodOf: yearOfBar(timeZone) })
+            })
+            : buildCalendarGrid(stockData, {
+                year,
+                fill,
+                layout,
+                timeZone,
+                calendar: getTradingCalendar(symbol),
+                value: createMetricAccessor(stockData, metric)
+            }));
+        const grid = buildGrid(heightMetric);
+        const colorGrid = colorMetric === heightMetric ? grid : buildGrid(colorMetric);
+        const dims = getLayoutDims(grid);
+        const { rows, cols } = dims;
+        const priceGrid = grid.values;
+        const minPrice = grid.min;
+        const maxPrice = grid.max;
+        const priceRange = maxPrice - minPrice || 1;
+        const colorRange = colorGrid.max - colorGrid.min || 1;
+        setColorLegend({ min: colorGrid.min, max: colorGrid.max });
 
         // Create geometry
         const geometry = new THREE.BufferGeometry();
@@ -320,32 +370,40 @@ const TerrainShader = ({ onHoverData, symbol = "AAPL", basePrice = 170, year = 2
         const indices = [];
         const colors = []; // For grayscale coloring
 
-        // Create vertex data - month on X axis, day on Z axis
-        for (let month = 0; month < GRID_MONTHS; month++) {
-            for (let day = 0; day < GRID_DAYS; day++) {
-                // Normalize price to height
-                const price = priceGrid[month][day];
-                const normalizedPrice = (price - minPrice) / (maxPrice - minPrice);
+        // Create vertex data - month (or week) on X axis, day (or weekday) on Z axis
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                // Normalize price to height; holes sit at the floor and are never triangulated
+                const price = priceGrid[row][col];
+                const normalizedPrice = isNaN(price) ? 0 : (price - minPrice) / priceRange;
                 const height = normalizedPrice * HEIGHT_SCALE;
 
-                // Add vertex position - month is X, day is Z
-                positions.push(month, height, day);
+                // Add vertex position - row is X, column is Z
+                positions.push(row, height, col);
 
-                // Add vertex color (grayscale based on normalized price)
-                colors.push(normalizedPrice, normalizedPrice, normalizedPrice);
+                // Add vertex color (grayscale based on the color metric)
+                const colorValue = colorGrid.values[row][col];
+                const shade = isNaN(colorValue) ? 0 : (colorValue - colorGrid.min) / colorRange;
+                colors.push(shade, shade, shade);
             }
         }
 
         // Create indices for triangle strip
-        for (let month = 0; month < GRID_MONTHS - 1; month++) {
-            for (let day = 0; day < GRID_DAYS - 1; day++) {
-                const a = month * GRID_DAYS + day;
-                const b = month * GRID_DAYS + day + 1;
-                const c = (month + 1) * GRID_DAYS + day;
-                const d = (month + 1) * GRID_DAYS + day + 1;
-
-                indices.push(a, b, c);
-                indices.push(b, d, c);
+        const hasValue = (index) => !isNaN(priceGrid[Math.floor(index / cols)][index % cols]);
+        for (let row = 0; row < rows - 1; row++) {
+            for (let col = 0; col < cols - 1; col++) {
+                const a = row * cols + col;
+                const b = row * cols + col + 1;
+                const c = (row + 1) * cols + col;
+                const d = (row + 1) * cols + col + 1;
+
+                // Skip triangles touching a hole, so missing and invalid dates leave gaps
+                if (hasValue(a) && hasValue(b) && hasValue(c)) {
+                    indices.push(a, b, c);
+                }
+                if (hasValue(b) && hasValue(d) && hasValue(c)) {
+                    indices.push(b, d, c);
+                }
             }
         }
 
@@ -366,7 +424,8 @@ const TerrainShader = ({ onHoverData, symbol = "AAPL", basePrice = 170, year = 2
 
         // Create mesh and scale X to make it more square
         const terrain = new THREE.Mesh(geometry, material);
-        terrain.scale.x = X_SCALE_FACTOR; // Scale X (month axis) to make square
+        terrain.scale.x = dims.xScale; // Scale both axes so every layout fills the same square
+        terrain.scale.z = dims.zScale;
         terrainRef.current = terrain;
 
         // Scene setup
@@ -382,7 +441,7 @@ const TerrainShader = ({ onHoverData, symbol = "AAPL", basePrice = 170, year = 2
         scene.add(directionalLight);
 
         // Add axes
-        addAxes(scene, minPrice, maxPrice);
+        addAxes(scene, minPrice, maxPrice, dims);
 
         // Camera and renderer
         const camera = setupCamera(width);
@@ -411,21 +470,30 @@ const TerrainShader = ({ onHoverData, symbol = "AAPL", basePrice = 170, year = 2
                 helper.visible = true;
                 helper.position.copy(point);
 
-                // Calculate month and day - adjust for X scaling
-                const monthIndex = Math.floor(point.x / X_SCALE_FACTOR);
-                const dayIndex = Math.floor(point.z);
+                // Calculate row and column - adjust for axis scaling
+                const rowIndex = Math.round(point.x / dims.xScale);
+                const colIndex = Math.round(point.z / dims.zScale);
 
                 // Ensure indices are within bounds
-                const safeMonthIndex = Math.min(Math.max(0, monthIndex), GRID_MONTHS - 1);
-                const safeDayIndex = Math.min(Math.max(0, dayIndex), GRID_DAYS - 1);
+                const safeRow = Math.min(Math.max(0, rowIndex), rows - 1);
+                const safeCol = Math.min(Math.max(0, colIndex), cols - 1);
 
-                // Get price from the grid
-                const price = priceGrid[safeMonthIndex][safeDayIndex];
+                // Get metric values, date and market status from the grid
+                const date = grid.dates[safeRow][safeCol];
 
                 const newHoverData = {
-                    day: (safeDayIndex + 1).toString(), // +1 for display (1-based days)
-                    price: price.toFixed(2),
-                    month: (safeMonthIndex + 1).toString(), // +1 for display (1-based months)
+                    date,
+                    day: date ? String(Number(date.slice(8, 10))) : '—',
+                    height: {
+                        label: SURFACE_METRICS[heightMetric].label,
+                        value: formatMetricValue(heightMetric, priceGrid[safeRow][safeCol])
+                    },
+                    color: colorGrid === grid ? null : {
+                        label: SURFACE_METRICS[colorMetric].label,
+                        value: formatMetricValue(colorMetric, colorGrid.values[safeRow][safeCol])
+                    },
+                    month: date ? String(Number(date.slice(5, 7))) : '—',
+                    status: describeCell(grid, safeRow, safeCol, symbol),
                     rawHeight: ((point.y / HEIGHT_SCALE) * 100).toFixed(1)
                 };
 
@@ -458,7 +526,7 @@ const TerrainShader = ({ onHoverData, symbol = "AAPL", basePrice = 170, year = 2
 
             renderer.dispose();
         };
-    }, [symbol, year, stockData, isLoading, error, onHoverData, basePrice]);
+    }, [symbol, year, startYear, heightMetric, colorMetric, fill, layout, stockData, isLoading, error, onHoverData]);
 
     // Loading and error states
     if (isLoading) {
@@ -471,18 +539,30 @@ const TerrainShader = ({ onHoverData, symbol = "AAPL", basePrice = 170, year = 2
 
     if (error) {
         return (
-            <div className="flex justify-center items-center h-[550px] text-red-500">
-                Error: {error}
+            <div className="relative h-[550px]">
+                <DataErrorOverlay error={error} onRetry={() => setReloadToken(token => token + 1)} />
             </div>
         );
     }
 
     // Render canvas
     return (
-        <div
-            ref={canvasRef}
-            className="w-full h-[550px] rounded-lg overflow-hidden flex justify-center"
-        />
+        <div className="relative">
+            <div
+                ref={canvasRef}
+                className="w-full h-[550px] rounded-lg overflow-hidden flex justify-center"
+            />
+            {isSimulated && <SimulatedBadge className="absolute top-2 left-2" />}
+            {colorLegend && (
+                <div className="absolute bottom-2 right-2 flex flex-col items-center gap-1 text-xs text-white">
+                    <span>{SURFACE_METRICS[colorMetric].axisTitle}</span>
+                    <span>{formatMetricValue(colorMetric, colorLegend.max)}</span>
+                    {/* Same black-to-white ramp as the vertex colors */}
+                    <div className="w-3 h-24 rounded" style={{ background: 'linear-gradient(to top, #000000, #ffffff)' }} />
+                    <span>{formatMetricValue(colorMetric, colorLegend.min)}</span>
+                </div>
+            )}
+        </div>
     );
 };
 
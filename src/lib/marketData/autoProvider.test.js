@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAutoProvider } from './providers/autoProvider.js';
+import { ERROR_KINDS, MarketDataError } from './errors.js';
+
+const sampleChain = { underlying: 'AAPL', contracts: [], simulated: false };
+const optionsFallback = { getOptionsChain: async () => sampleChain };
+
+const providerFailingWith = (kind) => ({
+    label: 'Polygon',
+    getOptionsChain: async () => {
+        throw new MarketDataError(kind, 'Options are not on this plan');
+    }
+});
+
+test('the sample chain stands in when the plan has no options', async () => {
+    for (const kind of [ERROR_KINDS.PLAN_RESTRICTED, ERROR_KINDS.AUTH]) {
+        const provider = createAutoProvider({
+            primary: providerFailingWith(kind),
+            optionsFallback,
+            checkStatus: async () => ({ configured: true })
+        });
+        const chain = await provider.getOptionsChain({ underlying: 'AAPL' });
+        assert.equal(chain.underlying, 'AAPL');
+        assert.equal(chain.simulated, true);
+    }
+});
+
+test('other options errors still reach the chart', async () => {
+    const provider = createAutoProvider({
+        primary: providerFailingWith(ERROR_KINDS.RATE_LIMITED),
+        optionsFallback,
+        checkStatus: async () => ({ configured: true })
+    });
+    await assert.rejects(provider.getOptionsChain({ underlying: 'AAPL' }), (err) => err.kind === ERROR_KINDS.RATE_LIMITED);
+});
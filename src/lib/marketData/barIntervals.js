@@ -0,0 +1,102 @@
+import { addDays, combineBars } from './bars.js';
+import { getZonedParts, formatZonedDate } from './timezone.js';
+import { getExchangeTimeZone } from './exchange.js';
+
+// Bar intervals for price charts, and client-side aggregation between them.
+//
+// Weekly and monthly bars are built from daily bars rather than requested:
+// a decade of daily bars is a single request that every daily, weekly and
+// monthly view then shares from the client's cache. Intraday intervals are
+// requested as they are, because Polygon counts the underlying minute bars
+// against its per-request limit either way and sends far fewer back. They
+// only reach back `maxDays` so "All Time" can't turn into thousands of
+// minute pages.
+//
+// Buckets follow the exchange's calendar and clock: intraday buckets are
+// aligned to the clock within each day (15m runs 09:30, 09:45, ...), weeks
+// start on Monday and months on the 1st. A bucket takes the time of its first
+// bar.
+
+export const BAR_INTERVALS = [
+    { id: '1m', label: '1m', multiplier: 1, timespan: 'minute', maxDays: 30 },
+    { id: '5m', label: '5m', multiplier: 5, timespan: 'minute', maxDays: 90 },
+    { id: '15m', label: '15m', multiplier: 15, timespan: 'minute', maxDays: 180 },
+    { id: '1h', label: '1h', multiplier: 1, timespan: 'hour', maxDays: 730 },
+    { id: '1D', label: '1D', multiplier: 1, timespan: 'day' },
+    { id: '1W', label: '1W', multiplier: 1, timespan: 'week', source: '1D' },
+    { id: '1M', label: '1M', multiplier: 1, timespan: 'month', source: '1D' }
+];
+
+export const getBarInterval = (id) => {
+    const interval = BAR_INTERVALS.find(candidate => candidate.id === id);
+    if (!interval) {
+        throw new Error(`Unknown bar interval "${id}". Expected one of: ${BAR_INTERVALS.map(i => i.id).join(', ')}`);
+    }
+    return interval;
+};
+
+export const isIntradayInterval = ({ timespan }) => timespan === 'minute' || timespan === 'hour';
+
+// Key of the `interval` bucket a bar starting at `time` falls in
+const bucketKey = (time, { multiplier, timespan }, timeZone) => {
+    const day = formatZonedDate(time, timeZone);
+    if (timespan === 'minute' || timespan === 'hour') {
+        const { hour, minute } = getZonedParts(time, timeZone);
+        const size = multiplier * (timespan === 'hour' ? 60 : 1);
+        return `${day}|${Math.floor((hour * 60 + minute) / size)}`;
+    }
+    if (timespan === 'week') {
+        const { weekday } = getZonedParts(time, timeZone);
+        return addDays(day, -((weekday + 6) % 7));
+    }
+    if (timespan === 'month') {
+        return day.slice(0, 7);
+    }
+    return day;
+};
+
+// Combine chronological `bars` into bars of `interval` (a BAR_INTERVALS entry
+// or { multiplier, timespan }). Bars already at the interval or coarser come
+// back as they are. Multi-week and multi-month multipliers are not supported.
+export const aggregateBars = (bars, interval, { timeZone } = {}) => {
+    const groups = [];
+    let currentKey = null;
+    bars.forEach(bar => {
+        const key = bucketKey(bar.time, interval, timeZone);
+        if (key !== currentKey) {
+            groups.push([]);
+            currentKey = key;
+        }
+        groups[groups.length - 1].push(bar);
+    });
+    return groups.map(group => (group.length === 1 ? group[0] : combineBars(group)));
+};
+
+// Fetch `ticker` at the interval with id `intervalId` from `provider` for
+// `from`..`to` (YYYY-MM-DD). Resolves to the provider's result with `bars`
+// at that interval, plus `interval` and `truncated` (true when an intraday
+// interval only covers its last `maxDays`, from `result.from`).
+export const getBarsAtInterval = async (provider, { ticker, from, to, intervalId, signal }) => {
+    const interval = getBarInterval(intervalId);
+    const request = interval.source ? getBarInterval(interval.source) : interval;
+    const earliest = interval.maxDays ? addDays(to, -interval.maxDays) : from;
+    const start = from < earliest ? earliest : from;
+
+    const result = await provider.getAggregates({
+        ticker,
+        from: start,
+        to,
+        multiplier: request.multiplier,
+        timespan: request.timespan,
+        signal
+    });
+
+    // Files are served at their own resolution, so always bring bars to the interval
+    return {
+        ...result,
+        from: start,
+        bars: aggregateBars(result.bars, interval, { timeZone: getExchangeTimeZone(ticker) }),
+        interval,
+        truncated: start !== from
+    };
+};
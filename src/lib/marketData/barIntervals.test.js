@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { aggregateBars, getBarInterval, getBarsAtInterval } from './barIntervals.js';
+
+const NEW_YORK = 'America/New_York';
+
+// Daily bar for 2024-<month>-<day>, stamped at midnight New York time like Polygon's
+const dailyBar = (month, day, close) => ({
+    time: Date.UTC(2024, month - 1, day, 5),
+    open: close - 1,
+    high: close + 1,
+    low: close - 2,
+    close,
+    volume: 100,
+    vwap: null
+});
+
+const JANUARY = [
+    dailyBar(1, 2, 10), dailyBar(1, 3, 11), dailyBar(1, 4, 12), dailyBar(1, 5, 13), // Tue-Fri
+    dailyBar(1, 8, 14),
+    dailyBar(1, 31, 15), dailyBar(2, 1, 16) // Wed-Thu, across the month end
+];
+
+test('weekly bars start on Monday, even across a month end', () => {
+    const weeks = aggregateBars(JANUARY, getBarInterval('1W'), { timeZone: NEW_YORK });
+    assert.equal(weeks.length, 3);
+    assert.deepEqual(weeks[0], { ...dailyBar(1, 2, 13), open: 9, high: 14, low: 8, volume: 400, vwap: 13 });
+    assert.equal(weeks[1], JANUARY[4]);
+    assert.deepEqual([weeks[2].time, weeks[2].close], [JANUARY[5].time, 16]);
+});
+
+test('monthly bars split on the 1st', () => {
+    const months = aggregateBars(JANUARY, getBarInterval('1M'), { timeZone: NEW_YORK });
+    assert.deepEqual(months.map(bar => [bar.time, bar.open, bar.close, bar.volume]), [
+        [JANUARY[0].time, 9, 15, 600],
+        [JANUARY[6].time, 15, 16, 100]
+    ]);
+});
+
+test('intraday buckets follow the exchange clock', () => {
+    // 09:30 to 10:00 New York time in five-minute steps
+    const bars = Array.from({ length: 7 }, (_, i) => ({
+        ...dailyBar(1, 2, 10 + i),
+        time: Date.UTC(2024, 0, 2, 14, 30 + i * 5)
+    }));
+    const buckets = aggregateBars(bars, getBarInterval('15m'), { timeZone: NEW_YORK });
+    assert.deepEqual(buckets.map(bar => [bar.time, bar.close]), [
+        [bars[0].time, 12],
+        [bars[3].time, 15],
+        [bars[6].time, 16]
+    ]);
+});
+
+const recordingProvider = (bars) => {
+    const requests = [];
+    return {
+        requests,
+        getAggregates: async (options) => {
+            requests.push(options);
+            return { ticker: options.ticker, bars, simulated: false };
+        }
+    };
+};
+
+test('weekly and monthly bars are built from daily requests', async () => {
+    const provider = recordingProvider(JANUARY);
+    const result = await getBarsAtInterval(provider, { ticker: 'AAPL', from: '2024-01-01', to: '2024-02-29', intervalId: '1M' });
+
+    assert.deepEqual(provider.requests.map(({ from, to, multiplier, timespan }) => [from, to, multiplier, timespan]), [
+        ['2024-01-01', '2024-02-29', 1, 'day']
+    ]);
+    assert.equal(result.bars.length, 2);
+    assert.equal(result.interval.id, '1M');
+    assert.equal(result.truncated, false);
+});
+
+test('intraday requests only reach back maxDays', async () => {
+    const provider = recordingProvider([]);
+    const result = await getBarsAtInterval(provider, { ticker: 'AAPL', from: '2020-01-01', to: '2024-03-31', intervalId: '1m' });
+
+    assert.equal(provider.requests[0].from, '2024-03-01');
+    assert.equal(provider.requests[0].timespan, 'minute');
+    assert.deepEqual([result.from, result.truncated], ['2024-03-01', true]);
+
+    const recent = await getBarsAtInterval(provider, { ticker: 'AAPL', from: '2024-03-20', to: '2024-03-31', intervalId: '1m' });
+    assert.deepEqual([recent.from, recent.truncated], ['2024-03-20', false]);
+});
+
+test('unknown intervals are rejected', () => {
+    assert.throws(() => getBarInterval('2D'), /Unknown bar interval "2D"/);
+});
@@ -0,0 +1,67 @@
+// Persistent bar store backed by IndexedDB.
+//
+// One record per series, keyed by ticker / multiplier / timespan / adjusted:
+//   { key, ticker, multiplier, timespan, adjusted, from, to, bars, updatedAt }
+// `from` / `to` (YYYY-MM-DD) is the contiguous range of closed days the record
+// covers, so the client knows which parts of a request it still has to fetch.
+
+const DEFAULT_DB_NAME = 'finance3d-market-data';
+const DB_VERSION = 1;
+const STORE_NAME = 'series';
+
+export const buildSeriesKey = ({ ticker, multiplier, timespan, adjusted }) =>
+    [ticker.toUpperCase(), `${multiplier}/${timespan}`, adjusted ? 'adjusted' : 'raw'].join('|');
+
+// Returns null when IndexedDB is not available (e.g. in Node or private mode)
+export const createIndexedDbBarStore = ({
+    dbName = DEFAULT_DB_NAME,
+    indexedDB = globalThis.indexedDB
+} = {}) => {
+    if (!indexedDB) {
+        return null;
+    }
+
+    let dbPromise = null;
+
+    const openDb = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(dbName, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Allow a later call to retry if opening failed
+            dbPromise.catch(() => {
+                dbPromise = null;
+            });
+        }
+        return dbPromise;
+    };
+
+    // Run a single request in its own transaction and resolve with its result
+    const run = async (mode, makeRequest) => {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = makeRequest(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    };
+
+    return {
+        read: (key) => run('readonly', store => store.get(key)),
+        write: (record) => run('readwrite', store => store.put(record)),
+        remove: (key) => run('readwrite', store => store.delete(key)),
+        clear: () => run('readwrite', store => store.clear()),
+        // Summaries for the cache inspector; bars are replaced by their count
+        list: async () => {
+            const records = await run('readonly', store => store.getAll());
+            return records.map(({ bars, ...summary }) => ({ ...summary, barCount: bars.length }));
+        }
+    };
+};
@@ -0,0 +1,71 @@
+// Normalized bar helpers shared by every market data consumer.
+//
+// All charts work with one bar shape regardless of where the data came from:
+//   { time, open, high, low, close, volume, vwap }
+// where `time` is the bar's start as a Unix timestamp in milliseconds.
+import { formatZonedDate } from './timezone.js';
+
+// Convert a raw Polygon aggregate ({ t, o, h, l, c, v, vw }) into a normalized bar
+export const normalizePolygonBar = (raw) => ({
+    time: raw.t,
+    open: raw.o,
+    high: raw.h,
+    low: raw.l,
+    close: raw.c,
+    volume: raw.v ?? 0,
+    vwap: raw.vw ?? null
+});
+
+// Sort bars chronologically (returns a new array)
+export const sortBars = (bars) => [...bars].sort((a, b) => a.time - b.time);
+
+// Merge several bar lists into one chronological list, de-duplicated by time.
+// When two lists contain the same timestamp the later list wins.
+export const mergeBars = (...lists) => {
+    const byTime = new Map();
+    lists.forEach(list => list.forEach(bar => byTime.set(bar.time, bar)));
+    return sortBars([...byTime.values()]);
+};
+
+// Combine consecutive bars into one (open of first, close of last, ...).
+// The VWAP is volume-weighted over the bars that have one.
+export const combineBars = (bars) => {
+    const volume = bars.reduce((sum, bar) => sum + bar.volume, 0);
+    const weighted = bars.filter(bar => bar.vwap !== null && bar.vwap !== undefined);
+    const weightedVolume = weighted.reduce((sum, bar) => sum + bar.volume, 0);
+    return {
+        time: bars[0].time,
+        open: bars[0].open,
+        high: Math.max(...bars.map(bar => bar.high)),
+        low: Math.min(...bars.map(bar => bar.low)),
+        close: bars[bars.length - 1].close,
+        volume,
+        vwap: weightedVolume > 0
+            ? weighted.reduce((sum, bar) => sum + bar.vwap * bar.volume, 0) / weightedVolume
+            : bars[bars.length - 1].close
+    };
+};
+
+// Format a date as YYYY-MM-DD in the viewer's local calendar
+export const formatDate = (date) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Accept a YYYY-MM-DD string, a Date or a millisecond timestamp and return YYYY-MM-DD.
+// Instants are read on the calendar of `timeZone` when given (use the ticker's
+// exchange zone for bars), otherwise on the viewer's local calendar.
+export const toDateString = (value, timeZone = null) => {
+    if (typeof value === 'string') {
+        return value;
+    }
+    if (typeof value === 'number' || value instanceof Date) {
+        return timeZone ? formatZonedDate(Number(value), timeZone) : formatDate(new Date(value));
+    }
+    throw new Error(`Unsupported date value: ${value}`);
+};
+
+// Shift a YYYY-MM-DD string by a whole number of calendar days
+export const addDays = (dateString, days) => {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
@@ -0,0 +1,86 @@
+import { normalizePolygonBar } from './bars.js';
+
+// Market breadth from grouped daily bars: every US ticker's bar for one date.
+//
+// A day's % change is close over the previous session's close, so it needs
+// that session's grouped bars too. Rows are
+// { ticker, close, previousClose, change, volume, dollarVolume }.
+
+export const BREADTH_GROUPINGS = {
+    sector: { label: 'Sector' },
+    exchange: { label: 'Exchange' }
+};
+
+// Convert one result of Polygon's /v2/aggs/grouped/locale/us/market/stocks/{date}
+export const normalizePolygonGroupedBar = (raw) => ({
+    ticker: raw.T,
+    ...normalizePolygonBar(raw)
+});
+
+// Join a day's grouped bars with the previous session's closes and apply the
+// filters. The `maxRows` busiest tickers by dollar volume are kept; the counts
+// cover every ticker that passed the filters.
+// Returns { rows, matched, advancers, decliners }.
+export const buildBreadthRows = (bars, previousBars, {
+    minVolume = 0,
+    minPrice = 0,
+    maxRows = Infinity
+} = {}) => {
+    const previousCloses = new Map(previousBars.map(bar => [bar.ticker, bar.close]));
+    const rows = bars
+        .filter(bar => bar.volume >= minVolume && bar.close >= minPrice && previousCloses.get(bar.ticker) > 0)
+        .map(bar => {
+            const previousClose = previousCloses.get(bar.ticker);
+            return {
+                ticker: bar.ticker,
+                close: bar.close,
+                previousClose,
+                change: (bar.close / previousClose - 1) * 100,
+                volume: bar.volume,
+                dollarVolume: bar.volume * (bar.vwap ?? bar.close)
+            };
+        })
+        .sort((a, b) => b.dollarVolume - a.dollarVolume);
+
+    return {
+        rows: rows.slice(0, maxRows),
+        matched: rows.length,
+        advancers: rows.filter(row => row.change > 0).length,
+        decliners: rows.filter(row => row.change < 0).length
+    };
+};
+
+// Lay rows out as a city: one square-ish block of columns per group, blocks
+// side by side along x (largest group first) and rows of a block along z.
+// `groupOf(row)` names a row's group. Returns { cells, blocks, width, depth }
+// with cells as { ...row, group, x, z } and blocks as { group, from, to, count }
+// spanning x columns [from, to].
+export const layoutBarCity = (rows, groupOf) => {
+    const groups = new Map();
+    rows.forEach(row => {
+        const group = groupOf(row);
+        if (!groups.has(group)) {
+            groups.set(group, []);
+        }
+        groups.get(group).push(row);
+    });
+
+    const ordered = [...groups.entries()]
+        .sort(([a, aRows], [b, bRows]) => bRows.length - aRows.length || a.localeCompare(b));
+
+    const cells = [];
+    const blocks = [];
+    let depth = 0;
+    let x = 0;
+    ordered.forEach(([group, groupRows]) => {
+        const width = Math.ceil(Math.sqrt(groupRows.length));
+        groupRows.forEach((row, i) => {
+            cells.push({ ...row, group, x: x + (i % width), z: Math.floor(i / width) });
+        });
+        blocks.push({ group, from: x, to: x + width - 1, count: groupRows.length });
+        depth = Math.max(depth, Math.ceil(groupRows.length / width));
+        x += width + 1; // One empty street between blocks
+    });
+
+    return { cells, blocks, width: Math.max(x - 1, 0), depth };
+};
@@ -0,0 +1,235 @@
+import { toDateString, addDays } from './bars.js';
+import { DEFAULT_TIME_ZONE } from './exchange.js';
+import { NYSE_CALENDAR } from './tradingCalendar.js';
+
+// Calendar-shaped grids for one year of daily bars.
+//
+// Used by every calendar-shaped chart (SurfaceChart, StockGridVisualizer,
+// TerrainShader). Two layouts:
+//   'calendar'  12 months × 31 days of the month
+//   'week'      weeks of the year × Monday-Friday (52-54 rows), so weekends
+//               never show up as flat plateaus
+//
+// Missing values are NaN, never a price-like sentinel, so a real close of 0
+// or 170 is never mistaken for a gap. Each cell also carries a status, taken
+// from the exchange's trading calendar, so renderers can style or hide cells:
+//   'trading'  a bar exists for that date
+//   'closed'   the market was closed (weekend, holiday)
+//   'gap'      the market was open but there is no bar (a data gap)
+//   'future'   the date hasn't happened yet; always NaN, fills stop at today
+//   'invalid'  the date does not exist (e.g. Feb 30) or is outside the year;
+//              always NaN
+// and `filled[row][col]` says whether the value came from the fill strategy.
+//
+// Fill strategies work along the calendar, across month boundaries:
+//   'none'     leave gaps as NaN
+//   'forward'  carry the last close forward (leading gaps take the first close)
+//   'linear'   interpolate between the surrounding trading days
+//   'nearest'  copy the closest trading day (earlier day wins a tie)
+
+export const GRID_MONTHS = 12;
+export const GRID_DAYS = 31;
+
+export const GRID_LAYOUTS = ['calendar', 'week'];
+
+export const FILL_STRATEGIES = ['none', 'forward', 'linear', 'nearest'];
+
+export const FILL_STRATEGY_LABELS = {
+    none: 'Leave gaps',
+    forward: 'Forward fill',
+    linear: 'Linear interpolation',
+    nearest: 'Nearest trading day'
+};
+
+export const WEEKDAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'];
+
+export const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// YYYY-MM-DD for a calendar-layout cell, or null when the date does not exist
+export const gridCellDate = (year, month, day) =>
+    day < daysInMonth(year, month) ? `${year}-${pad(month + 1)}-${pad(day + 1)}` : null;
+
+// Monday of the week containing Jan 1; week rows count from there
+const firstGridMonday = (year) => {
+    const jan1 = `${year}-01-01`;
+    const weekday = new Date(`${jan1}T00:00:00Z`).getUTCDay();
+    return addDays(jan1, -((weekday + 6) % 7));
+};
+
+// Cell dates for a layout as a [row][col] array (null for cells with no date)
+const layoutDates = (year, layout) => {
+    if (layout === 'calendar') {
+        return Array.from({ length: GRID_MONTHS }, (_, month) =>
+            Array.from({ length: GRID_DAYS }, (_, day) => gridCellDate(year, month, day))
+        );
+    }
+
+    const start = firstGridMonday(year);
+    const rows = [];
+    for (let monday = start; monday <= `${year}-12-31`; monday = addDays(monday, 7)) {
+        rows.push(WEEKDAY_NAMES.map((_, weekday) => {
+            const date = addDays(monday, weekday);
+            return date.startsWith(`${year}-`) ? date : null;
+        }));
+    }
+    return rows;
+};
+
+// Fill NaN holes in a chronological list of values in place
+export const fillSequence = (values, strategy) => {
+    if (strategy === 'none') {
+        return;
+    }
+
+    const known = [];
+    values.forEach((value, i) => {
+        if (!isNaN(value)) {
+            known.push(i);
+        }
+    });
+    if (known.length === 0) {
+        return;
+    }
+
+    let next = 0; // Index into `known` of the first known position >= i
+    for (let i = 0; i < values.length; i++) {
+        while (next < known.length && known[next] < i) {
+            next++;
+        }
+        if (!isNaN(values[i])) {
+            continue;
+        }
+
+        const before = next > 0 ? known[next - 1] : null;
+        const after = next < known.length ? known[next] : null;
+
+        if (before === null || after === null) {
+            // Outside the first/last trading day every strategy holds the edge value
+            values[i] = values[before ?? after];
+        } else if (strategy === 'forward') {
+            values[i] = values[before];
+        } else if (strategy === 'linear') {
+            const t = (i - before) / (after - before);
+            values[i] = values[before] + (values[after] - values[before]) * t;
+        } else {
+            values[i] = i - before <= after - i ? values[before] : values[after];
+        }
+    }
+};
+
+// Build the grid. `value` picks what each bar contributes (close by default).
+// Bars are bucketed on the calendar of `timeZone`, which should be the
+// ticker's exchange zone (see exchange.js), never the viewer's local zone.
+// `calendar` is the exchange's trading calendar (see tradingCalendar.js).
+//
+// Returns { layout, rows, cols, year, values, status, filled, dates, min, max,
+// tradingDays, expectedDays, gapDays }: `values`, `status`, `filled` and
+// `dates` are [row][col] arrays, min/max cover the finite values,
+// `expectedDays` counts the sessions the exchange held up to today and
+// `gapDays` those without a bar.
+export const buildCalendarGrid = (bars, {
+    year,
+    fill = 'forward',
+    layout = 'calendar',
+    timeZone = DEFAULT_TIME_ZONE,
+    calendar = NYSE_CALENDAR,
+    value = (bar) => bar.close
+}) => {
+    if (!FILL_STRATEGIES.includes(fill)) {
+        throw new Error(`Unknown fill strategy "${fill}". Expected one of: ${FILL_STRATEGIES.join(', ')}`);
+    }
+    if (!GRID_LAYOUTS.includes(layout)) {
+        throw new Error(`Unknown grid layout "${layout}". Expected one of: ${GRID_LAYOUTS.join(', ')}`);
+    }
+
+    const dates = layoutDates(year, layout);
+    const rows = dates.length;
+    const cols = dates[0].length;
+    const today = toDateString(Date.now(), timeZone);
+
+    // date -> [row, col], in chronological order
+    const cells = new Map();
+    dates.forEach((row, r) => row.forEach((date, c) => {
+        if (date) {
+            cells.set(date, [r, c]);
+        }
+    }));
+    const chronological = [...cells.keys()].sort();
+
+    const values = dates.map(row => row.map(() => NaN));
+    const filled = dates.map(row => row.map(() => false));
+    const status = dates.map(row => row.map(date => {
+        if (!date) return 'invalid';
+        if (date > today) return 'future';
+        return calendar.isTradingDay(date) ? 'gap' : 'closed';
+    }));
+
+    let tradingDays = 0;
+    bars.forEach(bar => {
+        const date = toDateString(bar.time, timeZone);
+        const barValue = value(bar);
+        // Bars outside the layout (other years, weekends in the week layout) are ignored
+        if (!cells.has(date) || barValue === null || barValue === undefined || isNaN(barValue)) {
+            return;
+        }
+        const [r, c] = cells.get(date);
+        if (status[r][c] !== 'trading') {
+            tradingDays++;
+        }
+        values[r][c] = barValue;
+        status[r][c] = 'trading';
+    });
+
+    // Fill along the real calendar up to today only, so invalid and future
+    // dates never get a value
+    const fillable = chronological.filter(date => {
+        const [r, c] = cells.get(date);
+        return status[r][c] !== 'future';
+    });
+    const sequence = fillable.map(date => {
+        const [r, c] = cells.get(date);
+        return values[r][c];
+    });
+    fillSequence(sequence, fill);
+
+    let min = Infinity;
+    let max = -Infinity;
+    let expectedDays = 0;
+    let gapDays = 0;
+    fillable.forEach((date, i) => {
+        const [r, c] = cells.get(date);
+        const cellValue = sequence[i];
+        if (status[r][c] !== 'trading' && !isNaN(cellValue)) {
+            filled[r][c] = true;
+        }
+        if (status[r][c] === 'trading' || status[r][c] === 'gap') {
+            expectedDays++;
+        }
+        if (status[r][c] === 'gap') {
+            gapDays++;
+        }
+        values[r][c] = cellValue;
+        if (!isNaN(cellValue)) {
+            min = Math.min(min, cellValue);
+            max = Math.max(max, cellValue);
+        }
+    });
+
+    return {
+        layout,
+        rows,
+        cols,
+        year,
+        values,
+        status,
+        filled,
+        dates,
+        min: isFinite(min) ? min : NaN,
+        max: isFinite(max) ? max : NaN,
+        tradingDays,
+        expectedDays,
+        gapDays
+    };
+};
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCalendarGrid } from './calendarGrid.js';
+
+// Daily bar closing at 4pm New York time on 2024-<month>-<day>
+const bar = (month, day, close) => ({ time: Date.UTC(2024, month - 1, day, 20), close });
+
+// Friday 2024-06-14 after the close
+const TODAY = Date.UTC(2024, 5, 14, 22);
+
+test('fills stop at today and future cells stay NaN', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: TODAY });
+    const bars = [bar(6, 12, 10), bar(6, 13, 12)];
+
+    ['forward', 'linear', 'nearest'].forEach(fill => {
+        const grid = buildCalendarGrid(bars, { year: 2024, fill });
+        // Today has no bar yet: a gap, filled from Thursday
+        assert.equal(grid.status[5][13], 'gap');
+        assert.equal(grid.values[5][13], 12);
+        assert.equal(grid.filled[5][13], true);
+
+        for (const [month, day] of [[5, 14], [5, 29], [11, 30]]) {
+            assert.equal(grid.status[month][day], 'future');
+            assert.ok(isNaN(grid.values[month][day]), `${fill} filled ${month + 1}/${day + 1}`);
+            assert.equal(grid.filled[month][day], false);
+        }
+        assert.equal(grid.max, 12);
+    });
+});
+
+// Mon Jun 3 and Thu-Fri Jun 6-7, so Tue-Wed are gaps
+const JUNE_BARS = [bar(6, 3, 10), bar(6, 6, 16), bar(6, 7, 20)];
+
+test('cells carry a status from the trading calendar', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: TODAY });
+    const { status, values, tradingDays, expectedDays, gapDays } = buildCalendarGrid(JUNE_BARS, { year: 2024, fill: 'none' });
+
+    assert.equal(status[5][2], 'trading');
+    assert.equal(status[5][3], 'gap');
+    assert.equal(status[5][7], 'closed');   // Saturday
+    assert.equal(status[4][26], 'closed');  // Memorial Day
+    assert.equal(status[5][18], 'future');  // Juneteenth, but after today
+    assert.equal(status[1][29], 'invalid'); // Feb 30
+    assert.ok(isNaN(values[1][29]));
+
+    assert.equal(tradingDays, 3);
+    assert.equal(gapDays, expectedDays - 3);
+});
+
+test('fill strategies', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: TODAY });
+    const june = (fill) => {
+        const grid = buildCalendarGrid(JUNE_BARS, { year: 2024, fill });
+        return { grid, days: grid.values[5] };
+    };
+
+    const none = june('none');
+    assert.ok(isNaN(none.days[3]) && isNaN(none.days[0]));
+    assert.equal(none.grid.filled[5][3], false);
+
+    // Leading and trailing cells hold the edge closes in every strategy
+    const forward = june('forward');
+    assert.deepEqual([forward.days[3], forward.days[4], forward.days[7]], [10, 10, 20]);
+    assert.equal(forward.grid.values[0][0], 10);
+    assert.equal(forward.grid.filled[5][3], true);
+    assert.equal(forward.grid.filled[5][2], false);
+
+    const linear = june('linear');
+    assert.deepEqual([linear.days[3], linear.days[4]], [12, 14]);
+
+    const nearest = june('nearest');
+    assert.deepEqual([nearest.days[3], nearest.days[4]], [10, 16]);
+
+    assert.throws(() => buildCalendarGrid([], { year: 2024, fill: 'zero' }), /Unknown fill strategy/);
+});
+
+test('the week layout puts Monday-Friday in columns', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: TODAY });
+    const grid = buildCalendarGrid(JUNE_BARS, { year: 2024, layout: 'week', fill: 'none' });
+
+    // 2024 starts on a Monday, so Jun 3 opens week 22
+    assert.equal(grid.cols, 5);
+    assert.equal(grid.rows, 53);
+    assert.equal(grid.dates[22][0], '2024-06-03');
+    assert.equal(grid.values[22][0], 10);
+    assert.deepEqual([grid.values[22][3], grid.values[22][4]], [16, 20]);
+    // Dec 31 is a Tuesday; the rest of that week belongs to 2025
+    assert.equal(grid.dates[52][1], '2024-12-31');
+    assert.equal(grid.status[52][2], 'invalid');
+});
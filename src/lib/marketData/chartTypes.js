@@ -0,0 +1,146 @@
+import { atr } from './indicators.js';
+
+// Price chart types and the client-side transforms some of them need.
+//
+// Heikin-Ashi replaces every bar with a smoothed one. Renko and
+// point-and-figure ignore time and only move a whole `boxSize` at a time, so
+// their bricks and columns record the index of the bar that formed them
+// (`barIndex`); placeWithinBars() turns those into times for a time axis.
+
+export const CHART_TYPES = {
+    candlestick: { label: 'Candles' },
+    ohlc: { label: 'OHLC bars' },
+    hollow: { label: 'Hollow candles' },
+    heikinAshi: { label: 'Heikin-Ashi' },
+    line: { label: 'Line' },
+    area: { label: 'Area' },
+    renko: { label: 'Renko', usesBoxSize: true },
+    pointAndFigure: { label: 'Point & Figure', usesBoxSize: true }
+};
+
+export const DEFAULT_PNF_REVERSAL = 3; // Boxes against the column that start a new one
+
+// Heikin-Ashi bars: close = OHLC average, open = midpoint of the previous
+// Heikin-Ashi body, high/low stretched to cover both
+export const heikinAshi = (bars) => {
+    const result = [];
+    bars.forEach((bar, i) => {
+        const close = (bar.open + bar.high + bar.low + bar.close) / 4;
+        const open = i === 0 ? (bar.open + bar.close) / 2 : (result[i - 1].open + result[i - 1].close) / 2;
+        result.push({
+            ...bar,
+            open,
+            close,
+            high: Math.max(bar.high, open, close),
+            low: Math.min(bar.low, open, close)
+        });
+    });
+    return result;
+};
+
+// Round up to 1, 2, 2.5 or 5 times a power of ten
+const niceStep = (value) => {
+    const magnitude = 10 ** Math.floor(Math.log10(value));
+    const step = [1, 2, 2.5, 5, 10].find(multiple => multiple * magnitude >= value);
+    return step * magnitude;
+};
+
+// A box size for Renko and point-and-figure: the latest 14-bar ATR, rounded to a
+// readable step (1% of the last close when there isn't enough history)
+export const suggestBoxSize = (bars) => {
+    if (bars.length === 0) {
+        return 1;
+    }
+    const ranges = atr(bars, 14);
+    const latest = ranges[ranges.length - 1];
+    const size = isNaN(latest) || latest <= 0 ? bars[bars.length - 1].close * 0.01 : latest;
+    return niceStep(Math.max(size, 0.01));
+};
+
+// Renko bricks on closes: a brick is added each time the close moves a whole
+// box beyond the last brick (so a reversal takes two boxes from its close).
+// Returns [{ barIndex, open, high, low, close }] with open/close at the brick's
+// bottom/top in the direction it moved.
+export const renkoBricks = (bars, boxSize) => {
+    if (bars.length === 0 || !(boxSize > 0)) {
+        return [];
+    }
+    const bricks = [];
+    let low = Math.floor(bars[0].close / boxSize) * boxSize;
+    let high = low;
+    bars.forEach((bar, barIndex) => {
+        while (bar.close >= high + boxSize) {
+            bricks.push({ barIndex, open: high, high: high + boxSize, low: high, close: high + boxSize });
+            low = high;
+            high += boxSize;
+        }
+        while (bar.close <= low - boxSize) {
+            bricks.push({ barIndex, open: low, high: low, low: low - boxSize, close: low - boxSize });
+            high = low;
+            low -= boxSize;
+        }
+    });
+    return bricks;
+};
+
+// Point-and-figure columns on closes. Prices are read as box levels (multiples
+// of `boxSize`); a column of Xs extends while the close makes new box highs and
+// gives way to a column of Os once it falls `reversal` boxes below the top (and
+// the other way round). Returns [{ barIndex, direction: 'X' | 'O', low, high }]
+// with `low`..`high` the levels the column's marks sit on.
+export const pointAndFigure = (bars, boxSize, reversal = DEFAULT_PNF_REVERSAL) => {
+    if (bars.length === 0 || !(boxSize > 0)) {
+        return [];
+    }
+    const columns = [];
+    const start = Math.floor(bars[0].close / boxSize) * boxSize;
+    let current = null;
+    bars.forEach((bar, barIndex) => {
+        const levelUp = Math.floor(bar.close / boxSize) * boxSize;
+        const levelDown = Math.ceil(bar.close / boxSize) * boxSize;
+        if (!current) {
+            if (levelUp >= start + boxSize) {
+                current = { barIndex, direction: 'X', low: start, high: levelUp };
+            } else if (levelDown <= start - boxSize) {
+                current = { barIndex, direction: 'O', low: levelDown, high: start };
+            }
+            if (current) {
+                columns.push(current);
+            }
+            return;
+        }
+        if (current.direction === 'X') {
+            if (levelUp > current.high) {
+                current.high = levelUp;
+            } else if (levelDown <= current.high - reversal * boxSize) {
+                current = { barIndex, direction: 'O', low: levelDown, high: current.high - boxSize };
+                columns.push(current);
+            }
+        } else if (levelDown < current.low) {
+            current.low = levelDown;
+        } else if (levelUp >= current.low + reversal * boxSize) {
+            current = { barIndex, direction: 'X', low: current.low + boxSize, high: levelUp };
+            columns.push(current);
+        }
+    });
+    return columns;
+};
+
+// Times for `items` that carry a `barIndex`: the first item formed on a bar
+// sits at the bar's time and any others on the same bar are spaced evenly up
+// to the next bar, so nothing overlaps and every pane keeps the same time axis.
+export const placeWithinBars = (items, bars) => {
+    const counts = new Map();
+    items.forEach(item => counts.set(item.barIndex, (counts.get(item.barIndex) || 0) + 1));
+    const seen = new Map();
+    return items.map(item => {
+        const i = item.barIndex;
+        const slot = seen.get(i) || 0;
+        seen.set(i, slot + 1);
+        const time = bars[i].time;
+        const spacing = i + 1 < bars.length
+            ? bars[i + 1].time - time
+            : (i > 0 ? time - bars[i - 1].time : 0);
+        return time + spacing * slot / counts.get(i);
+    });
+};
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { heikinAshi, suggestBoxSize, renkoBricks, pointAndFigure, placeWithinBars } from './chartTypes.js';
+
+const closes = (values) => values.map((close, i) => ({ time: i * 10, open: close, high: close, low: close, close }));
+
+test('heikin-ashi smooths from the previous body', () => {
+    const [first, second] = heikinAshi([
+        { open: 10, high: 12, low: 9, close: 11 },
+        { open: 11, high: 13, low: 10, close: 12 }
+    ]);
+    assert.deepEqual([first.open, first.high, first.low, first.close], [10.5, 12, 9, 10.5]);
+    assert.deepEqual([second.open, second.high, second.low, second.close], [10.5, 13, 10, 11.5]);
+});
+
+test('renko adds a brick per whole box and reverses after two', () => {
+    const bricks = renkoBricks(closes([10, 12.5, 13, 11, 8.9]), 1);
+    assert.deepEqual(bricks.map(({ barIndex, open, close }) => [barIndex, open, close]), [
+        [1, 10, 11],
+        [1, 11, 12],
+        [2, 12, 13],
+        [3, 12, 11], // 13 -> 11 is two boxes from the last close
+        [4, 11, 10],
+        [4, 10, 9]
+    ]);
+    assert.deepEqual(bricks[3], { barIndex: 3, open: 12, high: 12, low: 11, close: 11 });
+    assert.deepEqual(renkoBricks(closes([10, 11]), 0), []);
+});
+
+test('point and figure reverses after `reversal` boxes', () => {
+    const columns = pointAndFigure(closes([10, 11.5, 13.2, 12, 10.4, 9.5, 11, 13]), 1, 3);
+    assert.deepEqual(columns, [
+        { barIndex: 1, direction: 'X', low: 10, high: 13 },
+        // 12 and 10.4 stay inside the X column; 9.5 reaches 10, three boxes down
+        { barIndex: 5, direction: 'O', low: 10, high: 12 },
+        { barIndex: 7, direction: 'X', low: 11, high: 13 }
+    ]);
+    // One box of movement never starts a column
+    assert.deepEqual(pointAndFigure(closes([10, 10.9, 9.1]), 1), []);
+});
+
+test('items formed on one bar share the gap to the next bar', () => {
+    const bars = closes([1, 2, 3]);
+    const items = [{ barIndex: 0 }, { barIndex: 0 }, { barIndex: 1 }, { barIndex: 2 }, { barIndex: 2 }];
+    // The last bar borrows the spacing before it
+    assert.deepEqual(placeWithinBars(items, bars), [0, 5, 10, 20, 25]);
+});
+
+test('box sizes round up to a readable step', () => {
+    // Too short for a 14-bar ATR: 1% of the last close
+    assert.equal(suggestBoxSize(closes([120, 123])), 2);
+    const ranging = Array.from({ length: 20 }, (_, i) => ({ time: i, open: 100, high: 103, low: 100, close: 101 }));
+    assert.equal(suggestBoxSize(ranging), 5);
+    assert.equal(suggestBoxSize([]), 1);
+});
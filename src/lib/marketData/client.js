@@ -0,0 +1,620 @@
+import { normalizePolygonBar, sortBars, mergeBars, toDateString, addDays } from './bars.js';
+import { buildSeriesKey, createIndexedDbBarStore } from './barStore.js';
+import { ERROR_KINDS, MarketDataError, errorFromResponse, errorFromNetworkFailure } from './errors.js';
+import { DEFAULT_TIME_ZONE, getExchangeTimeZone } from './exchange.js';
+import { chainFromPolygonSnapshot } from './options.js';
+import { normalizePolygonTickerDetails, normalizePolygonTickerListItem } from './reference.js';
+import { normalizePolygonGroupedBar } from './breadth.js';
+
+// Shared market data client.
+//
+// Every chart goes through this module instead of building its own Polygon URL.
+// It gives us one place for:
+//   - aggregates requests with consistent parameters (adjusted=true by default)
+//   - following Polygon's `next_url` pagination so long ranges come back complete
+//   - an in-memory cache keyed by ticker / range / timespan
+//   - an optional persistent store (IndexedDB in the browser) so closed days
+//     are never downloaded twice and only the missing tail is requested
+//   - de-duplication when two charts ask for the same data at the same time
+//   - AbortController cancellation that only aborts the network request once
+//     every caller waiting on it has gone away
+//   - typed errors (see errors.js) and exponential backoff on rate limits
+
+// The browser talks to our own proxy (server/polygonProxy.js), which adds the
+// API key. Point VITE_MARKET_DATA_URL at a deployed proxy for static builds.
+const readDefaultBaseUrl = () => {
+    try {
+        return import.meta.env.VITE_MARKET_DATA_URL || '/api';
+    } catch (e) {
+        // import.meta.env only exists when bundled by Vite
+        return '/api';
+    }
+};
+const DEFAULT_CACHE_TTL = 5 * 60 * 1000; // Ranges that include today go stale after 5 minutes
+const AGGREGATES_PAGE_LIMIT = 50000;     // Polygon's maximum base aggregates per request
+const OPTIONS_PAGE_LIMIT = 250;          // Polygon's maximum contracts per snapshot page
+const TICKERS_PAGE_LIMIT = 1000;         // Polygon's maximum tickers per reference page
+const DEFAULT_MAX_PAGES = 20;
+const DEFAULT_MAX_RETRIES = 4;           // Rate-limited requests are retried this many times
+const DEFAULT_RETRY_DELAY = 1000;        // First backoff step; doubles on every retry
+const MAX_RETRY_DELAY = 60 * 1000;
+const ADJUSTED_STORE_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // Stored adjusted history is refetched in full after a week
+const CLOSE_TOLERANCE = 1e-6;            // Relative difference at which a stored close no longer matches
+
+export const createAbortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+export const isAbortError = (err) => err?.name === 'AbortError';
+
+// setTimeout that rejects as soon as `signal` aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(createAbortError());
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// `apiKey` is only needed when talking to Polygon directly (e.g. from Node);
+// through the proxy it is injected server-side. Callers learn about failures
+// through typed errors and `partial`; `debug` also logs retries, stopped
+// paging and store failures to the console.
+export const createMarketDataClient = ({
+    apiKey = null,
+    baseUrl = readDefaultBaseUrl(),
+    fetchImpl = (...args) => fetch(...args),
+    cacheTtl = DEFAULT_CACHE_TTL,
+    store = null,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    retryDelay = DEFAULT_RETRY_DELAY,
+    debug = false
+} = {}) => {
+    const cache = new Map();    // key -> { value, expires }
+    const inflight = new Map(); // key -> { promise, controller, subscribers }
+
+    const log = (...args) => {
+        if (debug) {
+            console.debug(...args);
+        }
+    };
+
+    // Request `path` (which may already carry a query string) with extra params.
+    // Failures are thrown as MarketDataError. A 429 is retried with exponential
+    // backoff, waiting at least as long as the server's Retry-After asks.
+    const requestJson = async (path, params, signal) => {
+        const query = new URLSearchParams(apiKey ? { ...params, apiKey } : params);
+        const separator = path.includes('?') ? '&' : '?';
+
+        for (let attempt = 0; ; attempt++) {
+            let response;
+            try {
+                response = await fetchImpl(`${baseUrl}${path}${separator}${query}`, {
+                    method: 'GET',
+                    signal
+                });
+            } catch (err) {
+                throw isAbortError(err) ? err : errorFromNetworkFailure(err);
+            }
+
+            if (response.ok) {
+                return response.json();
+            }
+
+            let body = null;
+            try {
+                body = await response.json();
+            } catch (e) {
+                // Body was not JSON; the error falls back to the status code
+            }
+            const error = errorFromResponse(response.status, body, response.headers?.get('retry-after'));
+
+            if (error.kind !== ERROR_KINDS.RATE_LIMITED || attempt >= maxRetries) {
+                throw error;
+            }
+
+            const backoff = Math.min(retryDelay * 2 ** attempt, MAX_RETRY_DELAY);
+            const jitter = Math.random() * retryDelay * 0.25;
+            const delay = Math.max(backoff, error.retryAfter ?? 0) + jitter;
+            log(`Rate limited on ${path}; retrying in ${Math.round(delay)}ms`);
+            await sleep(delay, signal);
+        }
+    };
+
+    // Polygon returns `next_url`s without the API key. Keep only the Polygon
+    // path and cursor so the follow-up goes through our own base URL.
+    const toNextPath = (nextUrl) => {
+        const url = new URL(nextUrl, 'http://localhost');
+        url.searchParams.delete('apiKey');
+        // The proxy rewrites next_url under its own mount path; drop that prefix
+        const versionIndex = url.pathname.search(/\/v\d+\//);
+        const pathname = versionIndex > 0 ? url.pathname.slice(versionIndex) : url.pathname;
+        return `${pathname}${url.search}`;
+    };
+
+    // Attach a caller to a shared in-flight request. The underlying request is
+    // only aborted once every subscriber's signal has aborted.
+    const share = (key, load, signal) => {
+        if (signal?.aborted) {
+            return Promise.reject(createAbortError());
+        }
+
+        let entry = inflight.get(key);
+        if (!entry) {
+            const controller = new AbortController();
+            entry = { controller, subscribers: 0, promise: null };
+            const current = entry;
+            entry.promise = load(controller.signal).finally(() => {
+                if (inflight.get(key) === current) {
+                    inflight.delete(key);
+                }
+            });
+            inflight.set(key, entry);
+        }
+
+        entry.subscribers += 1;
+        const current = entry;
+
+        if (!signal) {
+            return current.promise;
+        }
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                current.subscribers -= 1;
+                if (current.subscribers === 0) {
+                    current.controller.abort();
+                    if (inflight.get(key) === current) {
+                        inflight.delete(key);
+                    }
+                }
+                reject(createAbortError());
+            };
+
+            signal.addEventListener('abort', onAbort, { once: true });
+            current.promise.then(
+                (value) => {
+                    signal.removeEventListener('abort', onAbort);
+                    resolve(value);
+                },
+                (err) => {
+                    signal.removeEventListener('abort', onAbort);
+                    reject(err);
+                }
+            );
+        });
+    };
+
+    const readCache = (key) => {
+        const hit = cache.get(key);
+        if (!hit) {
+            return null;
+        }
+        if (hit.expires <= Date.now()) {
+            cache.delete(key);
+            return null;
+        }
+        return hit.value;
+    };
+
+    // Walk `next_url` pages until the range is complete. Bars are merged and
+    // de-duplicated by timestamp. If we hit `maxPages` or a later page fails,
+    // whatever was collected is returned with `partial: true`.
+    const fetchAllAggregatePages = async (path, params, maxPages, signal) => {
+        const byTime = new Map();
+        let nextPath = path;
+        let nextParams = params;
+        let pages = 0;
+        let partial = false;
+
+        while (nextPath) {
+            if (pages >= maxPages) {
+                partial = true;
+                break;
+            }
+
+            let data;
+            try {
+                data = await requestJson(nextPath, nextParams, signal);
+            } catch (err) {
+                // Nothing to salvage on the first page, or the caller went away
+                if (pages === 0 || isAbortError(err)) {
+                    throw err;
+                }
+                log(`Stopped paging ${path} after ${pages} page(s):`, err);
+                partial = true;
+                break;
+            }
+
+            pages += 1;
+            (data.results || []).forEach(raw => byTime.set(raw.t, raw));
+
+            nextPath = data.next_url ? toNextPath(data.next_url) : null;
+            // The cursor in next_url already encodes the original query
+            nextParams = {};
+        }
+
+        return {
+            bars: sortBars([...byTime.values()].map(normalizePolygonBar)),
+            pages,
+            partial
+        };
+    };
+
+    // While the proxy records or replays fixtures, every request has to reach it,
+    // so the persistent store is bypassed
+    let storeUsable = null;
+    const isStoreUsable = () => {
+        if (!storeUsable) {
+            storeUsable = getStatus().then(({ mode }) => mode !== 'record' && mode !== 'replay');
+        }
+        return storeUsable;
+    };
+
+    // Store failures should never break a chart, they just mean a full download
+    const readStored = async (key) => {
+        try {
+            return await store.read(key);
+        } catch (err) {
+            log('Could not read stored bars:', err);
+            return null;
+        }
+    };
+
+    const writeStored = async (record) => {
+        try {
+            await store.write(record);
+        } catch (err) {
+            log('Could not persist bars:', err);
+        }
+    };
+
+    // Fetch a range, reusing whatever the persistent store already covers.
+    // Only the head/tail segments outside the stored range hit the network.
+    // If the request does not touch the stored range at all, it is fetched in
+    // full and replaces the stored record, so coverage always stays contiguous.
+    //
+    // A split or special dividend re-adjusts all earlier history, which would
+    // leave stored bars on the old scale. Each segment therefore reaches one
+    // bar into the record; if Polygon's close for that bar differs from the
+    // stored one, the record is dropped and the whole range fetched again.
+    // Adjusted records are also refetched once they are a week old.
+    const loadAggregates = async (query, maxPages, signal) => {
+        const params = { adjusted: String(query.adjusted), sort: 'asc', limit: String(AGGREGATES_PAGE_LIMIT) };
+        const fetchRange = (from, to) => fetchAllAggregatePages(
+            `/v2/aggs/ticker/${encodeURIComponent(query.ticker)}/range/${query.multiplier}/${query.timespan}/${from}/${to}`,
+            params,
+            maxPages,
+            signal
+        );
+
+        if (!store || !(await isStoreUsable())) {
+            return fetchRange(query.from, query.to);
+        }
+
+        const timeZone = getExchangeTimeZone(query.ticker);
+        const dayOf = (bar) => toDateString(bar.time, timeZone);
+        const seriesKey = buildSeriesKey(query);
+        let record = await readStored(seriesKey);
+        if (record && query.adjusted && !(Date.now() - record.updatedAt < ADJUSTED_STORE_MAX_AGE)) {
+            record = null;
+        }
+
+        const fetchMissing = async (stored) => {
+            const overlaps = Boolean(stored) &&
+                query.from <= addDays(stored.to, 1) &&
+                query.to >= addDays(stored.from, -1);
+            const firstStored = overlaps ? stored.bars[0] : null;
+            const lastStored = overlaps ? stored.bars[stored.bars.length - 1] : null;
+
+            const segments = [];
+            if (!overlaps) {
+                segments.push([query.from, query.to]);
+            } else {
+                if (query.from < stored.from) {
+                    segments.push([query.from, firstStored ? dayOf(firstStored) : addDays(stored.from, -1)]);
+                }
+                if (query.to > stored.to) {
+                    segments.push([lastStored ? dayOf(lastStored) : addDays(stored.to, 1), query.to]);
+                }
+            }
+
+            let pages = 0;
+            let partial = false;
+            const fetched = [];
+            for (const [from, to] of segments) {
+                const result = await fetchRange(from, to);
+                pages += result.pages;
+                partial = partial || result.partial;
+                fetched.push(result.bars);
+            }
+
+            const storedCloses = new Map(overlaps ? stored.bars.map(bar => [bar.time, bar.close]) : []);
+            const rescaled = fetched.some(bars => bars.some(bar => storedCloses.has(bar.time) &&
+                Math.abs(storedCloses.get(bar.time) - bar.close) > CLOSE_TOLERANCE * Math.abs(bar.close)));
+
+            return { overlaps, segments, pages, partial, fetched, rescaled };
+        };
+
+        let fetchedPages = 0;
+        let result = await fetchMissing(record);
+        if (result.rescaled) {
+            log(`Stored bars for ${seriesKey} no longer match Polygon's; fetching the range again`);
+            record = null;
+            fetchedPages = result.pages;
+            result = await fetchMissing(null);
+        }
+        const { overlaps, segments, partial, fetched } = result;
+        const pages = fetchedPages + result.pages;
+
+        const merged = mergeBars(overlaps ? record.bars : [], ...fetched);
+        const inRange = (bar, from, to) => {
+            const day = dayOf(bar);
+            return day >= from && day <= to;
+        };
+
+        // Only closed days are persisted; today's bar can still change
+        const lastClosedDay = addDays(toDateString(new Date(), timeZone), -1);
+        const coveredFrom = overlaps && record.from < query.from ? record.from : query.from;
+        const requestedTo = query.to < lastClosedDay ? query.to : lastClosedDay;
+        const coveredTo = overlaps && record.to > requestedTo ? record.to : requestedTo;
+
+        if (segments.length > 0 && !partial && coveredFrom <= coveredTo) {
+            await writeStored({
+                key: seriesKey,
+                ticker: query.ticker,
+                multiplier: query.multiplier,
+                timespan: query.timespan,
+                adjusted: query.adjusted,
+                from: coveredFrom,
+                to: coveredTo,
+                bars: merged.filter(bar => inRange(bar, coveredFrom, coveredTo)),
+                updatedAt: Date.now()
+            });
+        }
+
+        return {
+            bars: merged.filter(bar => inRange(bar, query.from, query.to)),
+            pages,
+            partial
+        };
+    };
+
+    // Fetch aggregate bars for a ticker.
+    // `from` / `to` accept YYYY-MM-DD strings, Dates or millisecond timestamps.
+    // Resolves to { ticker, multiplier, timespan, from, to, adjusted, bars, pages, partial }
+    // with bars in the normalized shape, sorted oldest first. `partial` is true
+    // when the range could not be fetched completely. Treat the result as
+    // read-only: it is shared with every other caller through the cache.
+    const getAggregates = ({
+        ticker,
+        from,
+        to,
+        multiplier = 1,
+        timespan = 'day',
+        adjusted = true,
+        maxPages = DEFAULT_MAX_PAGES,
+        signal
+    }) => {
+        // Dates and timestamps are read on the exchange's calendar, like the bars
+        const timeZone = getExchangeTimeZone(ticker);
+        const query = {
+            ticker: ticker.toUpperCase(),
+            multiplier,
+            timespan,
+            from: toDateString(from, timeZone),
+            to: toDateString(to, timeZone),
+            adjusted
+        };
+        // A page cap can cut the range short, so callers with different caps don't share results
+        const key = ['aggs', query.ticker, `${multiplier}/${timespan}`, query.from, query.to, adjusted, maxPages].join('|');
+
+        const cached = readCache(key);
+        if (cached) {
+            return Promise.resolve(cached);
+        }
+
+        return share(key, async (requestSignal) => {
+            const { bars, pages, partial } = await loadAggregates(query, maxPages, requestSignal);
+
+            const value = { ...query, bars, pages, partial };
+
+            // Closed historical ranges never change, so keep them for the session.
+            // Partial results are only kept briefly so the next visit can retry.
+            const isHistorical = query.to < toDateString(new Date(), timeZone);
+            cache.set(key, { value, expires: isHistorical && !partial ? Infinity : Date.now() + cacheTtl });
+
+            return value;
+        }, signal);
+    };
+
+    // Snapshot of every listed option on `underlying`, following `next_url`
+    // pages. Resolves to a chain (see options.js). Needs a Polygon plan with
+    // options data; snapshots go stale like today's bars.
+    const getOptionsChain = ({ underlying, maxPages = DEFAULT_MAX_PAGES, signal }) => {
+        const symbol = underlying.toUpperCase();
+        const key = ['options', symbol].join('|');
+
+        const cached = readCache(key);
+        if (cached) {
+            return Promise.resolve(cached);
+        }
+
+        return share(key, async (requestSignal) => {
+            const results = [];
+            let nextPath = `/v3/snapshot/options/${encodeURIComponent(symbol)}`;
+            let nextParams = { limit: String(OPTIONS_PAGE_LIMIT) };
+            for (let pages = 0; nextPath && pages < maxPages; pages++) {
+                const data = await requestJson(nextPath, nextParams, requestSignal);
+                results.push(...(data.results || []));
+                nextPath = data.next_url ? toNextPath(data.next_url) : null;
+                nextParams = {};
+            }
+
+            const value = chainFromPolygonSnapshot(results, { underlying: symbol });
+            cache.set(key, { value, expires: Date.now() + cacheTtl });
+            return value;
+        }, signal);
+    };
+
+    // Every US stock's daily bar for one date (YYYY-MM-DD). Resolves to
+    // { date, bars } with bars as { ticker, ...bar }; no bars when the market
+    // was closed.
+    const getGroupedDaily = ({ date, adjusted = true, signal }) => {
+        const day = toDateString(date, DEFAULT_TIME_ZONE);
+        const key = ['grouped', day, adjusted].join('|');
+
+        const cached = readCache(key);
+        if (cached) {
+            return Promise.resolve(cached);
+        }
+
+        return share(key, async (requestSignal) => {
+            const data = await requestJson(
+                `/v2/aggs/grouped/locale/us/market/stocks/${day}`,
+                { adjusted: String(adjusted) },
+                requestSignal
+            );
+            const value = { date: day, bars: (data.results || []).map(normalizePolygonGroupedBar) };
+
+            // Past sessions never change; today's fills in as the day goes on
+            const isHistorical = day < toDateString(new Date(), DEFAULT_TIME_ZONE);
+            cache.set(key, { value, expires: isHistorical ? Infinity : Date.now() + cacheTtl });
+            return value;
+        }, signal);
+    };
+
+    // Active tickers of a market (see reference.js for the entries), following
+    // `next_url` pages. Kept for the session.
+    const listTickers = ({ market = 'stocks', maxPages = DEFAULT_MAX_PAGES, signal } = {}) => {
+        const key = ['tickers', market].join('|');
+
+        const cached = readCache(key);
+        if (cached) {
+            return Promise.resolve(cached);
+        }
+
+        return share(key, async (requestSignal) => {
+            const tickers = [];
+            let nextPath = '/v3/reference/tickers';
+            let nextParams = { market, active: 'true', limit: String(TICKERS_PAGE_LIMIT) };
+            for (let pages = 0; nextPath && pages < maxPages; pages++) {
+                const data = await requestJson(nextPath, nextParams, requestSignal);
+                tickers.push(...(data.results || []).map(normalizePolygonTickerListItem));
+                nextPath = data.next_url ? toNextPath(data.next_url) : null;
+                nextParams = {};
+            }
+
+            cache.set(key, { value: tickers, expires: Infinity });
+            return tickers;
+        }, signal);
+    };
+
+    // Reference lookup: details, or null when Polygon doesn't know the symbol.
+    // Shared like every other request, so a caller that aborts only stops its
+    // own wait. Answers (unknown included) are kept for the session; failures
+    // are not.
+    const lookupTicker = (symbol, signal) => {
+        const key = ['ticker', symbol].join('|');
+
+        const cached = readCache(key);
+        if (cached) {
+            return Promise.resolve(cached.details);
+        }
+
+        return share(key, async (requestSignal) => {
+            let details;
+            try {
+                const data = await requestJson(`/v3/reference/tickers/${encodeURIComponent(symbol)}`, {}, requestSignal);
+                details = normalizePolygonTickerDetails(data.results ?? {}, symbol);
+            } catch (err) {
+                if (err.status !== 404) {
+                    throw err;
+                }
+                details = null;
+            }
+
+            cache.set(key, { value: { details }, expires: Infinity });
+            return details;
+        }, signal);
+    };
+
+    // Whether Polygon knows the symbol at all. Used to tell an unknown ticker
+    // apart from a range with no trading when aggregates come back empty. A
+    // failed lookup answers true so the caller reports the empty range instead.
+    const tickerExists = (ticker, { signal } = {}) => lookupTicker(ticker.toUpperCase(), signal)
+        .then((details) => details !== null, (err) => {
+            if (isAbortError(err)) {
+                throw err;
+            }
+            return true;
+        });
+
+    // Name, market cap and sector of a symbol (see reference.js)
+    const getTickerDetails = async (ticker, { signal } = {}) => {
+        const symbol = ticker.toUpperCase();
+        const details = await lookupTicker(symbol, signal);
+        if (!details) {
+            throw new MarketDataError(ERROR_KINDS.UNKNOWN_TICKER, `Unknown ticker ${symbol}`, { status: 404, ticker: symbol });
+        }
+        return details;
+    };
+
+    const clearCache = () => cache.clear();
+
+    // Whether real data can be fetched: a direct API key, or a proxy that reports
+    // one. An unreachable proxy (e.g. a static deploy) counts as not configured.
+    const getStatus = async () => {
+        if (apiKey) {
+            return { configured: true, mode: 'live' };
+        }
+        try {
+            const response = await fetchImpl(`${baseUrl}/status`, { method: 'GET' });
+            if (!response.ok) {
+                return { configured: false, mode: 'live' };
+            }
+            const body = await response.json();
+            return { configured: Boolean(body.configured), mode: body.mode || 'live' };
+        } catch (err) {
+            return { configured: false, mode: 'live' };
+        }
+    };
+
+    // Summaries of the persisted series, for the cache inspector
+    const listStoredSeries = async () => (store ? store.list() : []);
+
+    // Drop one persisted series by key, or all of them when no key is given.
+    // The in-memory cache is cleared too so the next request really refetches.
+    const clearStoredSeries = async (seriesKey) => {
+        cache.clear();
+        if (!store) {
+            return;
+        }
+        await (seriesKey ? store.remove(seriesKey) : store.clear());
+    };
+
+    return {
+        getAggregates,
+        getOptionsChain,
+        getStatus,
+        tickerExists,
+        getTickerDetails,
+        getGroupedDaily,
+        listTickers,
+        clearCache,
+        hasStore: () => Boolean(store),
+        listStoredSeries,
+        clearStoredSeries
+    };
+};
+
+// Default client shared by all Finance components
+export const marketData = createMarketDataClient({ store: createIndexedDbBarStore() });
+
+export const getAggregates = (options) => marketData.getAggregates(options);
@@ -0,0 +1,195 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMarketDataClient, isAbortError } from './client.js';
+
+// fetch stand-in: every request waits until `respond(path, status, body)` and
+// rejects like fetch when its signal aborts
+const createFakeFetch = () => {
+    const pending = [];
+    const calls = [];
+    const fetchImpl = (url, { signal } = {}) => {
+        const path = new URL(url, 'http://localhost').pathname;
+        calls.push(path);
+        return new Promise((resolve, reject) => {
+            const entry = { path, resolve };
+            pending.push(entry);
+            signal?.addEventListener('abort', () => {
+                pending.splice(pending.indexOf(entry), 1);
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+            }, { once: true });
+        });
+    };
+    const respond = (path, status, body) => {
+        pending.filter(entry => entry.path.endsWith(path)).forEach(entry => {
+            pending.splice(pending.indexOf(entry), 1);
+            entry.resolve({ ok: status < 400, status, json: async () => body, headers: { get: () => null } });
+        });
+    };
+    return { fetchImpl, respond, calls };
+};
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('an aborted tickerExists caller does not cancel the others', async () => {
+    const { fetchImpl, respond, calls } = createFakeFetch();
+    const client = createMarketDataClient({ apiKey: 'test', baseUrl: '', fetchImpl });
+
+    const first = new AbortController();
+    const abandoned = client.tickerExists('zzzz', { signal: first.signal });
+    const waiting = client.tickerExists('ZZZZ', { signal: new AbortController().signal });
+    await settle();
+    first.abort();
+
+    await assert.rejects(abandoned, isAbortError);
+    respond('/v3/reference/tickers/ZZZZ', 404, { status: 'NOT_FOUND' });
+    assert.equal(await waiting, false);
+    assert.equal(calls.length, 1);
+
+    // Remembered once answered
+    assert.equal(await client.tickerExists('ZZZZ'), false);
+    assert.equal(calls.length, 1);
+});
+
+test('the lookup is only cancelled once every caller has aborted', async () => {
+    const { fetchImpl, calls } = createFakeFetch();
+    const client = createMarketDataClient({ apiKey: 'test', baseUrl: '', fetchImpl });
+
+    const controllers = [new AbortController(), new AbortController()];
+    const lookups = controllers.map(controller => client.tickerExists('ZZZZ', { signal: controller.signal }));
+    await settle();
+    controllers.forEach(controller => controller.abort());
+    await Promise.all(lookups.map(lookup => assert.rejects(lookup, isAbortError)));
+
+    // Nothing was remembered, so the next caller asks again
+    client.tickerExists('ZZZZ');
+    await settle();
+    assert.equal(calls.length, 2);
+});
+
+test('getTickerDetails shares the lookup with callers that abort', async () => {
+    const { fetchImpl, respond, calls } = createFakeFetch();
+    const client = createMarketDataClient({ apiKey: 'test', baseUrl: '', fetchImpl });
+
+    // A sector worker that gets cancelled while a scatter asks for the same symbol
+    const worker = new AbortController();
+    const cancelled = client.getTickerDetails('ACME', { signal: worker.signal });
+    const details = client.getTickerDetails('ACME', { signal: new AbortController().signal });
+    const unknown = client.getTickerDetails('ZZZZ');
+    await settle();
+    worker.abort();
+
+    await assert.rejects(cancelled, isAbortError);
+    respond('/v3/reference/tickers/ACME', 200, { results: { ticker: 'ACME', name: 'Acme Corp', sic_code: '3571' } });
+    respond('/v3/reference/tickers/ZZZZ', 404, { status: 'NOT_FOUND' });
+    assert.equal((await details).name, 'Acme Corp');
+    await assert.rejects(unknown, (err) => err.kind === 'unknown-ticker' && err.ticker === 'ZZZZ');
+
+    // tickerExists reuses the answers
+    assert.equal(await client.tickerExists('ACME'), true);
+    assert.equal(await client.tickerExists('ZZZZ'), false);
+    assert.equal(calls.length, 2);
+});
+
+test('a capped aggregates request does not stand in for a full one', async () => {
+    const pages = [
+        { results: [{ t: 1, o: 1, h: 1, l: 1, c: 1, v: 1 }], next_url: 'https://api.polygon.io/v2/aggs/cursor/2' },
+        { results: [{ t: 2, o: 2, h: 2, l: 2, c: 2, v: 2 }] }
+    ];
+    const calls = [];
+    const fetchImpl = async (url) => {
+        calls.push(url);
+        const body = new URL(url, 'http://localhost').pathname.includes('cursor') ? pages[1] : pages[0];
+        return { ok: true, status: 200, json: async () => body, headers: { get: () => null } };
+    };
+    const client = createMarketDataClient({ apiKey: 'test', baseUrl: '', fetchImpl });
+    const range = { ticker: 'ACME', from: '2020-01-01', to: '2020-01-31' };
+
+    const capped = await client.getAggregates({ ...range, maxPages: 1 });
+    assert.equal(capped.partial, true);
+    assert.equal(capped.bars.length, 1);
+
+    const full = await client.getAggregates(range);
+    assert.equal(full.partial, false);
+    assert.equal(full.bars.length, 2);
+    assert.equal(calls.length, 3);
+});
+
+// Daily bars for 2020-01-<day> at midnight New York time
+const dailyBar = (day, close) => ({ t: Date.UTC(2020, 0, day, 5), o: close, h: close, l: close, c: close, v: 100 });
+
+const createMemoryStore = (records = []) => {
+    const byKey = new Map(records.map(record => [record.key, record]));
+    return {
+        byKey,
+        read: async (key) => byKey.get(key) ?? null,
+        write: async (record) => {
+            byKey.set(record.key, record);
+        }
+    };
+};
+
+// Polygon after a 2:1 split on Jan 15: every earlier close is halved
+const splitAdjustedFetch = (calls) => async (url) => {
+    const [from, to] = new URL(url, 'http://localhost').pathname.split('/').slice(-2);
+    calls.push([from, to]);
+    const results = [];
+    for (let day = 1; day <= 20; day++) {
+        const date = `2020-01-${String(day).padStart(2, '0')}`;
+        if (date >= from && date <= to) {
+            results.push(dailyBar(day, 50));
+        }
+    }
+    return { ok: true, status: 200, json: async () => ({ results }), headers: { get: () => null } };
+};
+
+const storedRecord = (updatedAt) => ({
+    key: 'ACME|1/day|adjusted',
+    ticker: 'ACME',
+    multiplier: 1,
+    timespan: 'day',
+    adjusted: true,
+    from: '2020-01-01',
+    to: '2020-01-10',
+    bars: Array.from({ length: 10 }, (_, i) => {
+        const { t, o, h, l, c, v } = dailyBar(i + 1, 100);
+        return { time: t, open: o, high: h, low: l, close: c, volume: v, vwap: null };
+    }),
+    updatedAt
+});
+
+test('stored history is refetched when the overlapping close was re-adjusted', async () => {
+    const calls = [];
+    const store = createMemoryStore([storedRecord(Date.now())]);
+    const client = createMarketDataClient({ apiKey: 'test', baseUrl: '', fetchImpl: splitAdjustedFetch(calls), store });
+
+    const { bars } = await client.getAggregates({ ticker: 'ACME', from: '2020-01-01', to: '2020-01-20' });
+
+    // The tail reached back to Jan 10, saw 50 instead of 100 and fetched everything again
+    assert.deepEqual(calls, [['2020-01-10', '2020-01-20'], ['2020-01-01', '2020-01-20']]);
+    assert.ok(bars.every(bar => bar.close === 50));
+    assert.ok(store.byKey.get('ACME|1/day|adjusted').bars.every(bar => bar.close === 50));
+});
+
+test('stored adjusted history older than a week is not reused', async () => {
+    const calls = [];
+    const store = createMemoryStore([storedRecord(Date.now() - 8 * 24 * 60 * 60 * 1000)]);
+    const client = createMarketDataClient({ apiKey: 'test', baseUrl: '', fetchImpl: splitAdjustedFetch(calls), store });
+
+    const { bars } = await client.getAggregates({ ticker: 'ACME', from: '2020-01-01', to: '2020-01-05' });
+
+    assert.deepEqual(calls, [['2020-01-01', '2020-01-05']]);
+    assert.ok(bars.every(bar => bar.close === 50));
+});
+
+test('matching stored history only fetches the missing tail', async () => {
+    const calls = [];
+    const record = storedRecord(Date.now());
+    record.bars = record.bars.map(bar => ({ ...bar, open: 50, high: 50, low: 50, close: 50 }));
+    const store = createMemoryStore([record]);
+    const client = createMarketDataClient({ apiKey: 'test', baseUrl: '', fetchImpl: splitAdjustedFetch(calls), store });
+
+    const { bars } = await client.getAggregates({ ticker: 'ACME', from: '2020-01-01', to: '2020-01-20' });
+
+    assert.deepEqual(calls, [['2020-01-10', '2020-01-20']]);
+    assert.equal(bars.length, 20);
+});
@@ -0,0 +1,93 @@
+import { sortBars, toDateString } from './bars.js';
+import { DEFAULT_TIME_ZONE } from './exchange.js';
+
+// Pairwise return correlations for a basket of tickers.
+//
+// Closes are aligned on the dates every ticker traded and returns are taken
+// between consecutive shared dates, so a holiday on one exchange never pairs a
+// two-day return with a one-day return. Correlations are Pearson
+// correlations of daily log returns.
+
+// Calendar days of history that hold `tradingDays` sessions, with room for holidays
+export const tradingDaysToCalendarDays = (tradingDays) => Math.ceil(tradingDays * 7 / 5) + 14;
+
+// Align daily bars per ticker on their shared dates.
+// `barsByTicker` is { [ticker]: bars }. Returns { tickers, dates, closes } with
+// `closes` as [ticker][date].
+export const alignCloses = (barsByTicker, { timeZone = DEFAULT_TIME_ZONE } = {}) => {
+    const tickers = Object.keys(barsByTicker);
+    const closesByDate = tickers.map(ticker => new Map(
+        sortBars(barsByTicker[ticker])
+            .filter(bar => bar.close > 0)
+            .map(bar => [toDateString(bar.time, timeZone), bar.close])
+    ));
+    const dates = [...(closesByDate[0]?.keys() ?? [])]
+        .filter(date => closesByDate.every(closes => closes.has(date)))
+        .sort();
+    return {
+        tickers,
+        dates,
+        closes: closesByDate.map(closes => dates.map(date => closes.get(date)))
+    };
+};
+
+// Pearson correlation of `a` and `b` over indexes [from, to)
+export const pearsonCorrelation = (a, b, from = 0, to = a.length) => {
+    const n = to - from;
+    if (n < 2) {
+        return NaN;
+    }
+    let meanA = 0;
+    let meanB = 0;
+    for (let i = from; i < to; i++) {
+        meanA += a[i];
+        meanB += b[i];
+    }
+    meanA /= n;
+    meanB /= n;
+
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    for (let i = from; i < to; i++) {
+        covariance += (a[i] - meanA) * (b[i] - meanB);
+        varianceA += (a[i] - meanA) ** 2;
+        varianceB += (b[i] - meanB) ** 2;
+    }
+    // A series that never moved has no defined correlation
+    return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : NaN;
+};
+
+// Correlation matrix of `returns` ([ticker][day]) over days [from, to)
+export const correlationMatrix = (returns, from = 0, to = returns[0]?.length ?? 0) =>
+    returns.map((a, i) => returns.map((b, j) => (i === j ? 1 : pearsonCorrelation(a, b, from, to))));
+
+// Correlations over the last `lookback` returns, plus one rolling `window`
+// matrix per day of that period for animating how they evolved.
+//
+// Returns { tickers, dates, matrix, frames }: `dates` are the return dates of
+// the period, `matrix` covers all of it and `frames` is [{ date, matrix }]
+// for every date with a full window behind it (oldest first).
+export const buildCorrelationFrames = (barsByTicker, {
+    lookback = 252,
+    window = 60,
+    timeZone = DEFAULT_TIME_ZONE
+} = {}) => {
+    const { tickers, dates, closes } = alignCloses(barsByTicker, { timeZone });
+    const returns = closes.map(series => series.slice(1).map((close, i) => Math.log(close / series[i])));
+    const returnDates = dates.slice(1);
+
+    const end = returnDates.length;
+    const start = Math.max(0, end - lookback);
+    const frames = [];
+    for (let i = Math.max(start, window - 1); i < end; i++) {
+        frames.push({ date: returnDates[i], matrix: correlationMatrix(returns, i - window + 1, i + 1) });
+    }
+
+    return {
+        tickers,
+        dates: returnDates.slice(start, end),
+        matrix: correlationMatrix(returns, start, end),
+        frames
+    };
+};
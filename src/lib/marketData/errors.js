@@ -0,0 +1,131 @@
+// Typed market data errors.
+//
+// Every failure a chart can show is classified into one of a few kinds, so the
+// UI can give one consistent, actionable message instead of raw HTTP text.
+
+export const ERROR_KINDS = {
+    AUTH: 'auth',                       // Key missing or rejected
+    PLAN_RESTRICTED: 'plan-restricted', // Key is valid but the plan doesn't include this data
+    RATE_LIMITED: 'rate-limited',       // 429 and retries ran out
+    UNKNOWN_TICKER: 'unknown-ticker',   // Symbol does not exist
+    EMPTY_RANGE: 'empty-range',         // Symbol exists but has no bars in the range
+    OFFLINE: 'offline',                 // Browser offline or proxy unreachable
+    SERVER: 'server',                   // 5xx or anything else from the server
+};
+
+export class MarketDataError extends Error {
+    constructor(kind, message, { status = null, retryAfter = null, ticker = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'MarketDataError';
+        this.kind = kind;
+        this.status = status;
+        this.retryAfter = retryAfter; // Milliseconds, when the server sent a hint
+        this.ticker = ticker;
+    }
+}
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+export const parseRetryAfter = (value) => {
+    if (!value) {
+        return null;
+    }
+    const seconds = Number(value);
+    if (isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Build a MarketDataError from a non-OK response and its (possibly JSON) body
+export const errorFromResponse = (status, body, retryAfterHeader) => {
+    const message = body?.error || body?.message || `HTTP ${status}`;
+    const options = { status, retryAfter: parseRetryAfter(retryAfterHeader) };
+
+    if (status === 401) {
+        return new MarketDataError(ERROR_KINDS.AUTH, message, options);
+    }
+    if (status === 403) {
+        // Polygon answers 403 NOT_AUTHORIZED both for bad keys and for data outside the plan
+        const planIssue = /plan|entitle|upgrade/i.test(message);
+        return new MarketDataError(planIssue ? ERROR_KINDS.PLAN_RESTRICTED : ERROR_KINDS.AUTH, message, options);
+    }
+    if (status === 429) {
+        return new MarketDataError(ERROR_KINDS.RATE_LIMITED, message, options);
+    }
+    if (status === 404 && /ticker/i.test(message)) {
+        return new MarketDataError(ERROR_KINDS.UNKNOWN_TICKER, message, options);
+    }
+    return new MarketDataError(ERROR_KINDS.SERVER, message, options);
+};
+
+// fetch() rejects with a TypeError when the network or proxy is unreachable
+export const errorFromNetworkFailure = (err) =>
+    new MarketDataError(ERROR_KINDS.OFFLINE, err.message, { cause: err });
+
+// Charts need at least one bar. Turn an empty aggregates result into a typed
+// error, asking the provider (when it can) whether the symbol exists at all.
+export const requireBars = async (provider, result, { signal } = {}) => {
+    if (result.bars.length > 0) {
+        return result;
+    }
+    const exists = provider.tickerExists ? await provider.tickerExists(result.ticker, { signal }) : true;
+    if (!exists) {
+        throw new MarketDataError(ERROR_KINDS.UNKNOWN_TICKER, `Unknown ticker ${result.ticker}`, { status: 404, ticker: result.ticker });
+    }
+    throw new MarketDataError(
+        ERROR_KINDS.EMPTY_RANGE,
+        `No data for ${result.ticker} between ${result.from} and ${result.to}`,
+        { ticker: result.ticker }
+    );
+};
+
+// Friendly title/message pair for any error a chart might catch
+export const describeError = (err) => {
+    const ticker = err?.ticker ? `"${err.ticker}"` : 'this ticker';
+
+    switch (err?.kind) {
+        case ERROR_KINDS.AUTH:
+            return {
+                title: 'Market data key rejected',
+                message: 'The Polygon API key is missing or invalid. Set POLYGON_API_KEY for the data proxy and restart it.'
+            };
+        case ERROR_KINDS.PLAN_RESTRICTED:
+            return {
+                title: 'Not included in your data plan',
+                message: 'Your Polygon plan does not cover this request. Try daily bars or a more recent range.'
+            };
+        case ERROR_KINDS.RATE_LIMITED:
+            return {
+                title: 'Too many requests',
+                message: 'The data provider is rate limiting us. Wait a minute, then retry.'
+            };
+        case ERROR_KINDS.UNKNOWN_TICKER:
+            return {
+                title: `Unknown ticker ${ticker}`,
+                message: 'Check the symbol spelling, or that it is listed on a supported exchange.'
+            };
+        case ERROR_KINDS.EMPTY_RANGE:
+            return {
+                title: 'No data for this range',
+                message: `${ticker} has no bars in the selected period. Try a different year or time frame.`
+            };
+        case ERROR_KINDS.OFFLINE:
+            return {
+                title: 'Cannot reach market data',
+                message: typeof navigator !== 'undefined' && navigator.onLine === false
+                    ? 'You appear to be offline. Reconnect, then retry.'
+                    : 'The data proxy did not respond. Check that it is running, then retry.'
+            };
+        case ERROR_KINDS.SERVER:
+            return {
+                title: 'Market data request failed',
+                message: err.message
+            };
+        default:
+            return {
+                title: 'Something went wrong',
+                message: err?.message || String(err)
+            };
+    }
+};
@@ -0,0 +1,29 @@
+// Which calendar a ticker's bars belong to.
+//
+// Polygon stamps daily bars at midnight in the exchange's own time zone, so
+// bucketing them by the viewer's local calendar shifts days (and sometimes
+// months) for anyone outside that zone. Every date bucket and axis label
+// should go through the instrument's exchange time zone instead.
+
+export const DEFAULT_TIME_ZONE = 'America/New_York';
+
+// Polygon prefixes non-equity tickers by market, e.g. X:BTCUSD, C:EURUSD, I:SPX
+const MARKET_PREFIXES = {
+    'X:': 'crypto',
+    'C:': 'forex',
+    'I:': 'indices'
+};
+
+const MARKET_TIME_ZONES = {
+    stocks: DEFAULT_TIME_ZONE,
+    indices: DEFAULT_TIME_ZONE,
+    crypto: 'UTC', // Trades around the clock; Polygon's daily bars roll over at UTC midnight
+    forex: 'UTC'
+};
+
+export const getMarketType = (ticker = '') => {
+    const prefix = Object.keys(MARKET_PREFIXES).find(p => ticker.toUpperCase().startsWith(p));
+    return prefix ? MARKET_PREFIXES[prefix] : 'stocks';
+};
+
+export const getExchangeTimeZone = (ticker) => MARKET_TIME_ZONES[getMarketType(ticker)];
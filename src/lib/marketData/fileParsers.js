@@ -0,0 +1,230 @@
+// Parsers for vendor OHLCV dumps (CSV or JSON) into normalized bars.
+
+// Header names we recognise when no explicit column mapping is given.
+// Matching is case-insensitive.
+export const DEFAULT_COLUMN_ALIASES = {
+    time: ['time', 'timestamp', 'date', 'datetime', 't'],
+    open: ['open', 'o'],
+    high: ['high', 'h'],
+    low: ['low', 'l'],
+    close: ['close', 'c', 'adj close', 'adj_close'],
+    volume: ['volume', 'vol', 'v'],
+    vwap: ['vwap', 'vw'],
+    ticker: ['ticker', 'symbol', 'sym', 'T']
+};
+
+// Split CSV text into rows of cells. Handles quoted cells, escaped quotes ("")
+// and both \n and \r\n line endings.
+export const parseCsv = (text, { delimiter = ',' } = {}) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Turn CSV rows into objects keyed by the header row
+export const csvToRecords = (text, options) => {
+    const [header, ...rows] = parseCsv(text, options);
+    if (!header) {
+        return [];
+    }
+    const names = header.map(name => name.trim());
+    return rows.map(cells => Object.fromEntries(names.map((name, i) => [name, cells[i]?.trim()])));
+};
+
+// Accept the JSON layouts vendors tend to use: a bare array, Polygon's
+// `{ results: [...] }`, or `{ bars | data: [...] }`
+export const jsonToRecords = (text) => {
+    const data = typeof text === 'string' ? JSON.parse(text) : text;
+    if (Array.isArray(data)) {
+        return data;
+    }
+    const records = data.results || data.bars || data.data;
+    if (!Array.isArray(records)) {
+        throw new Error('JSON file must contain an array of bars, or an object with a results/bars/data array');
+    }
+    return records;
+};
+
+const DATE_TOKENS = {
+    YYYY: { pattern: '(\\d{4})', field: 'year' },
+    MM: { pattern: '(\\d{1,2})', field: 'month' },
+    DD: { pattern: '(\\d{1,2})', field: 'day' },
+    HH: { pattern: '(\\d{1,2})', field: 'hour' },
+    mm: { pattern: '(\\d{1,2})', field: 'minute' },
+    ss: { pattern: '(\\d{1,2})', field: 'second' }
+};
+
+// Build a parser for a pattern such as 'MM/DD/YYYY' or 'YYYYMMDD HH:mm'.
+// Parsed values are interpreted in the viewer's local time.
+const createPatternParser = (format) => {
+    const fields = [];
+    const source = format.replace(/YYYY|MM|DD|HH|mm|ss|[.*+?^${}()|[\]\\]/g, (match) => {
+        const token = DATE_TOKENS[match];
+        if (!token) {
+            return `\\${match}`;
+        }
+        fields.push(token.field);
+        // Fixed-width numeric tokens when the pattern has no separators
+        return /^(YYYY|MM|DD|HH|mm|ss){2,}/.test(format) ? `(\\d{${match.length}})` : token.pattern;
+    });
+    const regex = new RegExp(`^${source}$`);
+
+    return (value) => {
+        const match = String(value).trim().match(regex);
+        if (!match) {
+            return NaN;
+        }
+        const parts = { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0 };
+        fields.forEach((field, i) => {
+            parts[field] = Number(match[i + 1]);
+        });
+        return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second).getTime();
+    };
+};
+
+// Date formats: 'auto' (numbers as unix seconds/ms, YYYYMMDD, ISO strings, bare
+// YYYY-MM-DD as a local date), 'unix-s', 'unix-ms', 'iso', or a token pattern like 'DD/MM/YYYY'.
+export const createDateParser = (dateFormat = 'auto') => {
+    if (typeof dateFormat === 'function') {
+        return dateFormat;
+    }
+
+    switch (dateFormat) {
+        case 'unix-s':
+            return (value) => Number(value) * 1000;
+        case 'unix-ms':
+            return (value) => Number(value);
+        case 'iso':
+            return (value) => Date.parse(value);
+        case 'auto': {
+            const localDate = createPatternParser('YYYY-MM-DD');
+            const compactDate = createPatternParser('YYYYMMDD');
+            return (value) => {
+                // 8-digit integers like 20240105 are compact dates, not timestamps
+                if (/^(19|20)\d{6}$/.test(String(value).trim())) {
+                    return compactDate(value);
+                }
+                if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+                    const number = Number(value);
+                    // Anything before ~2001 in milliseconds is really seconds
+                    return number < 1e12 ? number * 1000 : number;
+                }
+                const asLocalDate = localDate(value);
+                return isNaN(asLocalDate) ? Date.parse(value) : asLocalDate;
+            };
+        }
+        default:
+            return createPatternParser(dateFormat);
+    }
+};
+
+// Resolve each bar field to a source column name, using explicit mappings first
+const resolveColumns = (sample, columns) => {
+    const keys = Object.keys(sample);
+    const resolved = {};
+    // A column can only feed one field, so Polygon's `t` (time) never doubles as `T` (ticker)
+    const used = new Set(Object.values(columns));
+
+    Object.keys(DEFAULT_COLUMN_ALIASES).forEach(field => {
+        if (columns[field]) {
+            resolved[field] = columns[field];
+            return;
+        }
+        const aliases = DEFAULT_COLUMN_ALIASES[field];
+        const available = keys.filter(key => !used.has(key));
+        // Exact-case matches first, then case-insensitive
+        resolved[field] = available.find(key => aliases.includes(key)) ||
+            available.find(key => aliases.some(alias => alias.toLowerCase() === key.toLowerCase()));
+        if (resolved[field]) {
+            used.add(resolved[field]);
+        }
+    });
+
+    ['time', 'open', 'high', 'low', 'close'].forEach(field => {
+        if (!resolved[field]) {
+            throw new Error(`Could not find a "${field}" column. Available columns: ${keys.join(', ')}`);
+        }
+    });
+
+    return resolved;
+};
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? NaN : Number(value));
+
+// Map raw records to normalized bars (plus `ticker` when the file has one).
+// Rows whose date or prices do not parse are skipped and counted.
+export const recordsToBars = (records, { columns = {}, dateFormat = 'auto' } = {}) => {
+    if (records.length === 0) {
+        return { bars: [], skipped: 0 };
+    }
+
+    const resolved = resolveColumns(records[0], columns);
+    const parseDate = createDateParser(dateFormat);
+    const bars = [];
+    let skipped = 0;
+
+    records.forEach(record => {
+        const bar = {
+            time: parseDate(record[resolved.time]),
+            open: toNumber(record[resolved.open]),
+            high: toNumber(record[resolved.high]),
+            low: toNumber(record[resolved.low]),
+            close: toNumber(record[resolved.close]),
+            volume: resolved.volume ? toNumber(record[resolved.volume]) || 0 : 0,
+            vwap: resolved.vwap ? toNumber(record[resolved.vwap]) : null
+        };
+
+        if ([bar.time, bar.open, bar.high, bar.low, bar.close].some(value => !isFinite(value))) {
+            skipped++;
+            return;
+        }
+        if (bar.vwap !== null && !isFinite(bar.vwap)) {
+            bar.vwap = null;
+        }
+        if (resolved.ticker) {
+            bar.ticker = String(record[resolved.ticker]).toUpperCase();
+        }
+        bars.push(bar);
+    });
+
+    return { bars, skipped };
+};
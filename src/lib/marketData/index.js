@@ -0,0 +1,206 @@
+import { normalizePolygonBar, sortBars, mergeBars, combineBars, formatDate, toDateString, addDays } from './bars.js';
+import { TIME_LABEL_UNITS, TIME_LABEL_STEPS, createTradingTimeScale, tradingTimeTicks, labelUnitForSpan, formatTimeLabel } from './tradingTime.js';
+import { BAR_INTERVALS, getBarInterval, isIntradayInterval, aggregateBars, getBarsAtInterval } from './barIntervals.js';
+import { buildSeriesKey, createIndexedDbBarStore } from './barStore.js';
+import { parseCsv, csvToRecords, jsonToRecords, createDateParser, recordsToBars } from './fileParsers.js';
+import { createPolygonProvider, polygonProvider } from './providers/polygonProvider.js';
+import { createFileProvider } from './providers/fileProvider.js';
+import { createAutoProvider, defaultProvider } from './providers/autoProvider.js';
+import { createOptionsFixtureProvider, sampleOptionsProvider } from './providers/optionsFixtureProvider.js';
+import { generateDailyBars, createSyntheticProvider, syntheticProvider, DEFAULT_SYNTHETIC_OPTIONS } from './synthetic.js';
+import { getTimeZoneOffset, zonedTimeToUtc, getZonedParts, formatZonedDate } from './timezone.js';
+import { DEFAULT_TIME_ZONE, getMarketType, getExchangeTimeZone } from './exchange.js';
+import { createMarketDataClient, marketData, getAggregates, createAbortError, isAbortError } from './client.js';
+import { GRID_MONTHS, GRID_DAYS, GRID_LAYOUTS, FILL_STRATEGIES, FILL_STRATEGY_LABELS, WEEKDAY_NAMES, daysInMonth, gridCellDate, buildCalendarGrid } from './calendarGrid.js';
+import {
+    INTRADAY_INTERVALS,
+    getIntradayInterval,
+    intervalMinutes,
+    formatClockTime,
+    buildIntradayGrid
+} from './intradayGrid.js';
+import { fetchYearRange, yearOfBar, buildMultiYearGrid } from './multiYearGrid.js';
+import { VOLATILITY_WINDOWS, TRADING_DAYS_PER_YEAR, volatilityLookbackDays, rollingVolatility, buildVolatilityGrid } from './volatility.js';
+import {
+    DEFAULT_RISK_FREE_RATE,
+    blackScholesPrice,
+    impliedVolatility,
+    normalizePolygonOption,
+    chainFromPolygonSnapshot,
+    optionMidPrice,
+    daysToExpiry,
+    estimateSpotFromParity,
+    chainVolatilities,
+    buildImpliedVolatilityGrid
+} from './options.js';
+import {
+    tradingDaysToCalendarDays,
+    alignCloses,
+    pearsonCorrelation,
+    correlationMatrix,
+    buildCorrelationFrames
+} from './correlation.js';
+import { SIC_SECTORS, sectorFromSic, EXCHANGE_NAMES, exchangeName, normalizePolygonTickerDetails, normalizePolygonTickerListItem } from './reference.js';
+import { sma, ema, wma, bollingerBands, vwap, rsi, macd, stochastic, atr, INDICATORS, createIndicator, computeIndicator } from './indicators.js';
+import { DEFAULT_PROFILE_BINS, DEFAULT_VALUE_AREA_PERCENT, volumeProfile } from './volumeProfile.js';
+import { CHART_TYPES, DEFAULT_PNF_REVERSAL, heikinAshi, suggestBoxSize, renkoBricks, pointAndFigure, placeWithinBars } from './chartTypes.js';
+import { BREADTH_GROUPINGS, normalizePolygonGroupedBar, buildBreadthRows, layoutBarCity } from './breadth.js';
+import { RISK_RETURN_METRICS, formatCompactNumber, formatCompactDollars, formatRiskReturnValue, computeRiskReturn } from './riskReturn.js';
+import { SURFACE_METRICS, getSurfaceMetric, formatMetricValue, createMetricAccessor } from './surfaceMetrics.js';
+import {
+    createTradingCalendar,
+    nyseHolidays,
+    nyseEarlyCloses,
+    NYSE_SPECIAL_CLOSURES,
+    NYSE_CALENDAR,
+    NASDAQ_CALENDAR,
+    CRYPTO_CALENDAR,
+    FOREX_CALENDAR,
+    getTradingCalendar
+} from './tradingCalendar.js';
+import { ERROR_KINDS, MarketDataError, parseRetryAfter, errorFromResponse, errorFromNetworkFailure, requireBars, describeError } from './errors.js';
+
+export {
+    normalizePolygonBar,
+    sortBars,
+    mergeBars,
+    combineBars,
+    formatDate,
+    toDateString,
+    addDays,
+    BAR_INTERVALS,
+    getBarInterval,
+    isIntradayInterval,
+    aggregateBars,
+    getBarsAtInterval,
+    TIME_LABEL_UNITS,
+    TIME_LABEL_STEPS,
+    createTradingTimeScale,
+    tradingTimeTicks,
+    labelUnitForSpan,
+    formatTimeLabel,
+    buildSeriesKey,
+    createIndexedDbBarStore,
+    createMarketDataClient,
+    marketData,
+    getAggregates,
+    createAbortError,
+    isAbortError,
+    GRID_MONTHS,
+    GRID_DAYS,
+    GRID_LAYOUTS,
+    FILL_STRATEGIES,
+    FILL_STRATEGY_LABELS,
+    WEEKDAY_NAMES,
+    daysInMonth,
+    gridCellDate,
+    buildCalendarGrid,
+    INTRADAY_INTERVALS,
+    getIntradayInterval,
+    intervalMinutes,
+    formatClockTime,
+    buildIntradayGrid,
+    fetchYearRange,
+    yearOfBar,
+    buildMultiYearGrid,
+    SURFACE_METRICS,
+    getSurfaceMetric,
+    formatMetricValue,
+    createMetricAccessor,
+    VOLATILITY_WINDOWS,
+    TRADING_DAYS_PER_YEAR,
+    volatilityLookbackDays,
+    rollingVolatility,
+    buildVolatilityGrid,
+    DEFAULT_RISK_FREE_RATE,
+    blackScholesPrice,
+    impliedVolatility,
+    normalizePolygonOption,
+    chainFromPolygonSnapshot,
+    optionMidPrice,
+    daysToExpiry,
+    estimateSpotFromParity,
+    chainVolatilities,
+    buildImpliedVolatilityGrid,
+    tradingDaysToCalendarDays,
+    alignCloses,
+    pearsonCorrelation,
+    correlationMatrix,
+    buildCorrelationFrames,
+    SIC_SECTORS,
+    sectorFromSic,
+    EXCHANGE_NAMES,
+    exchangeName,
+    normalizePolygonTickerDetails,
+    normalizePolygonTickerListItem,
+    BREADTH_GROUPINGS,
+    normalizePolygonGroupedBar,
+    buildBreadthRows,
+    layoutBarCity,
+    sma,
+    ema,
+    wma,
+    bollingerBands,
+    vwap,
+    rsi,
+    macd,
+    stochastic,
+    atr,
+    INDICATORS,
+    createIndicator,
+    computeIndicator,
+    DEFAULT_PROFILE_BINS,
+    DEFAULT_VALUE_AREA_PERCENT,
+    volumeProfile,
+    CHART_TYPES,
+    DEFAULT_PNF_REVERSAL,
+    heikinAshi,
+    suggestBoxSize,
+    renkoBricks,
+    pointAndFigure,
+    placeWithinBars,
+    RISK_RETURN_METRICS,
+    formatCompactNumber,
+    formatCompactDollars,
+    formatRiskReturnValue,
+    computeRiskReturn,
+    createTradingCalendar,
+    nyseHolidays,
+    nyseEarlyCloses,
+    NYSE_SPECIAL_CLOSURES,
+    NYSE_CALENDAR,
+    NASDAQ_CALENDAR,
+    CRYPTO_CALENDAR,
+    FOREX_CALENDAR,
+    getTradingCalendar,
+    ERROR_KINDS,
+    MarketDataError,
+    parseRetryAfter,
+    errorFromResponse,
+    errorFromNetworkFailure,
+    requireBars,
+    describeError,
+    parseCsv,
+    csvToRecords,
+    jsonToRecords,
+    createDateParser,
+    recordsToBars,
+    createPolygonProvider,
+    polygonProvider,
+    createFileProvider,
+    createAutoProvider,
+    defaultProvider,
+    createOptionsFixtureProvider,
+    sampleOptionsProvider,
+    generateDailyBars,
+    createSyntheticProvider,
+    syntheticProvider,
+    DEFAULT_SYNTHETIC_OPTIONS,
+    getTimeZoneOffset,
+    zonedTimeToUtc,
+    getZonedParts,
+    formatZonedDate,
+    DEFAULT_TIME_ZONE,
+    getMarketType,
+    getExchangeTimeZone,
+};
@@ -0,0 +1,330 @@
+import { toDateString } from './bars.js';
+import { DEFAULT_TIME_ZONE } from './exchange.js';
+
+// Technical indicators as pure functions.
+//
+// Every function returns arrays aligned with its input (one value per bar),
+// with NaN where there isn't enough history yet, so results can be plotted
+// against the bars' times without any bookkeeping. `values` are plain
+// numbers (usually closes); functions that need highs, lows or volume take
+// bars. Smoothing follows the usual charting-package definitions, e.g.
+// Wilder's smoothing for RSI and ATR.
+
+const blank = (length) => new Array(length).fill(NaN);
+
+// Simple moving average
+export const sma = (values, period) => {
+    const result = blank(values.length);
+    let sum = 0;
+    values.forEach((value, i) => {
+        sum += value;
+        if (i >= period) {
+            sum -= values[i - period];
+        }
+        if (i >= period - 1) {
+            result[i] = sum / period;
+        }
+    });
+    return result;
+};
+
+// Exponential moving average, seeded with the SMA of the first `period` values.
+// NaN inputs (e.g. another indicator's warm-up) are skipped.
+export const ema = (values, period) => {
+    const result = blank(values.length);
+    const alpha = 2 / (period + 1);
+    const start = values.findIndex(value => !isNaN(value));
+    if (start === -1 || values.length - start < period) {
+        return result;
+    }
+    let average = values.slice(start, start + period).reduce((sum, value) => sum + value, 0) / period;
+    result[start + period - 1] = average;
+    for (let i = start + period; i < values.length; i++) {
+        average += alpha * (values[i] - average);
+        result[i] = average;
+    }
+    return result;
+};
+
+// Weighted moving average: weights 1..period, newest heaviest
+export const wma = (values, period) => {
+    const result = blank(values.length);
+    const weightSum = period * (period + 1) / 2;
+    for (let i = period - 1; i < values.length; i++) {
+        let sum = 0;
+        for (let j = 0; j < period; j++) {
+            sum += values[i - j] * (period - j);
+        }
+        result[i] = sum / weightSum;
+    }
+    return result;
+};
+
+// Wilder's smoothing (an EMA with alpha = 1 / period), seeded with an SMA
+const wilder = (values, period, from = 0) => {
+    const result = blank(values.length);
+    if (values.length - from < period) {
+        return result;
+    }
+    let average = values.slice(from, from + period).reduce((sum, value) => sum + value, 0) / period;
+    result[from + period - 1] = average;
+    for (let i = from + period; i < values.length; i++) {
+        average = (average * (period - 1) + values[i]) / period;
+        result[i] = average;
+    }
+    return result;
+};
+
+// Middle band = SMA, outer bands = SMA ± multiplier × population std dev
+export const bollingerBands = (values, period = 20, multiplier = 2) => {
+    const middle = sma(values, period);
+    const upper = blank(values.length);
+    const lower = blank(values.length);
+    for (let i = period - 1; i < values.length; i++) {
+        let variance = 0;
+        for (let j = i - period + 1; j <= i; j++) {
+            variance += (values[j] - middle[i]) ** 2;
+        }
+        const deviation = Math.sqrt(variance / period);
+        upper[i] = middle[i] + multiplier * deviation;
+        lower[i] = middle[i] - multiplier * deviation;
+    }
+    return { middle, upper, lower };
+};
+
+// Volume-weighted average price from each bar's VWAP (typical price when a
+// bar has none). `anchor: 'session'` restarts it every trading day, for
+// intraday bars; `anchor: 'start'` accumulates from the first bar.
+export const vwap = (bars, { anchor = 'start', timeZone = DEFAULT_TIME_ZONE } = {}) => {
+    const result = blank(bars.length);
+    let day = null;
+    let priceVolume = 0;
+    let volume = 0;
+    bars.forEach((bar, i) => {
+        if (anchor === 'session') {
+            const barDay = toDateString(bar.time, timeZone);
+            if (barDay !== day) {
+                day = barDay;
+                priceVolume = 0;
+                volume = 0;
+            }
+        }
+        const price = bar.vwap ?? (bar.high + bar.low + bar.close) / 3;
+        priceVolume += price * bar.volume;
+        volume += bar.volume;
+        result[i] = volume > 0 ? priceVolume / volume : price;
+    });
+    return result;
+};
+
+// Relative strength index (0-100) with Wilder's smoothing
+export const rsi = (values, period = 14) => {
+    const result = blank(values.length);
+    if (values.length <= period) {
+        return result;
+    }
+    const changes = values.map((value, i) => (i === 0 ? 0 : value - values[i - 1]));
+    const gains = wilder(changes.map(change => Math.max(change, 0)), period, 1);
+    const losses = wilder(changes.map(change => Math.max(-change, 0)), period, 1);
+    for (let i = period; i < values.length; i++) {
+        result[i] = losses[i] === 0 ? (gains[i] === 0 ? 50 : 100) : 100 - 100 / (1 + gains[i] / losses[i]);
+    }
+    return result;
+};
+
+// MACD line (fast EMA - slow EMA), its signal EMA and the histogram between them
+export const macd = (values, fast = 12, slow = 26, signalPeriod = 9) => {
+    const fastEma = ema(values, fast);
+    const slowEma = ema(values, slow);
+    const line = values.map((value, i) => fastEma[i] - slowEma[i]);
+    const signal = ema(line, signalPeriod);
+    return {
+        macd: line,
+        signal,
+        histogram: line.map((value, i) => value - signal[i])
+    };
+};
+
+// Stochastic oscillator (0-100): %K is the close's place in the `kPeriod`
+// high-low range, smoothed over `kSmoothing` bars (1 = fast stochastic);
+// %D is the SMA of %K over `dPeriod` bars.
+export const stochastic = (bars, kPeriod = 14, kSmoothing = 3, dPeriod = 3) => {
+    const raw = blank(bars.length);
+    for (let i = kPeriod - 1; i < bars.length; i++) {
+        let high = -Infinity;
+        let low = Infinity;
+        for (let j = i - kPeriod + 1; j <= i; j++) {
+            high = Math.max(high, bars[j].high);
+            low = Math.min(low, bars[j].low);
+        }
+        raw[i] = high > low ? (bars[i].close - low) / (high - low) * 100 : 50;
+    }
+    const smoothed = (values, period) => {
+        const start = values.findIndex(value => !isNaN(value));
+        if (start === -1) {
+            return values;
+        }
+        return [...blank(start), ...sma(values.slice(start), period)];
+    };
+    const k = smoothed(raw, kSmoothing);
+    return { k, d: smoothed(k, dPeriod) };
+};
+
+// Average true range with Wilder's smoothing
+export const atr = (bars, period = 14) => {
+    const trueRanges = bars.map((bar, i) => {
+        if (i === 0) {
+            return bar.high - bar.low;
+        }
+        const previousClose = bars[i - 1].close;
+        return Math.max(bar.high - bar.low, Math.abs(bar.high - previousClose), Math.abs(bar.low - previousClose));
+    });
+    return wilder(trueRanges, period);
+};
+
+const closes = (bars) => bars.map(bar => bar.close);
+
+// Chart-facing catalogue. Each type describes its parameters, the lines it
+// draws (key, label, default color, and `style: 'column'` for histograms),
+// whether it overlays the price pane or gets a pane of its own, and
+// `compute(bars, params, { timeZone })` returning { [line key]: values }.
+// Oscillators may give a fixed `range` and guide `levels`.
+export const INDICATORS = {
+    sma: {
+        label: 'SMA',
+        pane: 'price',
+        params: [{ id: 'period', label: 'Period', default: 20, min: 1, max: 500 }],
+        lines: [{ key: 'value', label: 'SMA', color: '#87CEEB' }],
+        describe: (params) => `SMA ${params.period}`,
+        compute: (bars, params) => ({ value: sma(closes(bars), params.period) })
+    },
+    ema: {
+        label: 'EMA',
+        pane: 'price',
+        params: [{ id: 'period', label: 'Period', default: 20, min: 1, max: 500 }],
+        lines: [{ key: 'value', label: 'EMA', color: '#F59E0B' }],
+        describe: (params) => `EMA ${params.period}`,
+        compute: (bars, params) => ({ value: ema(closes(bars), params.period) })
+    },
+    wma: {
+        label: 'WMA',
+        pane: 'price',
+        params: [{ id: 'period', label: 'Period', default: 20, min: 1, max: 500 }],
+        lines: [{ key: 'value', label: 'WMA', color: '#A78BFA' }],
+        describe: (params) => `WMA ${params.period}`,
+        compute: (bars, params) => ({ value: wma(closes(bars), params.period) })
+    },
+    bollinger: {
+        label: 'Bollinger Bands',
+        pane: 'price',
+        params: [
+            { id: 'period', label: 'Period', default: 20, min: 2, max: 500 },
+            { id: 'multiplier', label: 'Std devs', default: 2, min: 0.5, max: 5, step: 0.5 }
+        ],
+        lines: [
+            { key: 'upper', label: 'Upper', color: '#60A5FA' },
+            { key: 'middle', label: 'Middle', color: '#9CA3AF' },
+            { key: 'lower', label: 'Lower', color: '#60A5FA' }
+        ],
+        describe: (params) => `BB ${params.period}, ${params.multiplier}`,
+        compute: (bars, params) => bollingerBands(closes(bars), params.period, params.multiplier)
+    },
+    vwap: {
+        label: 'VWAP',
+        pane: 'price',
+        params: [],
+        lines: [{ key: 'value', label: 'VWAP', color: '#F472B6' }],
+        describe: () => 'VWAP',
+        // Daily and longer bars accumulate from the first bar; intraday bars restart every session
+        compute: (bars, params, { timeZone } = {}) => {
+            const intraday = bars.length > 1 && bars[1].time - bars[0].time < 24 * 60 * 60 * 1000;
+            return { value: vwap(bars, { anchor: intraday ? 'session' : 'start', timeZone }) };
+        }
+    },
+    rsi: {
+        label: 'RSI',
+        pane: 'own',
+        params: [{ id: 'period', label: 'Period', default: 14, min: 2, max: 100 }],
+        lines: [{ key: 'value', label: 'RSI', color: '#A78BFA' }],
+        range: [0, 100],
+        levels: [30, 70],
+        describe: (params) => `RSI ${params.period}`,
+        compute: (bars, params) => ({ value: rsi(closes(bars), params.period) })
+    },
+    macd: {
+        label: 'MACD',
+        pane: 'own',
+        params: [
+            { id: 'fast', label: 'Fast', default: 12, min: 1, max: 100 },
+            { id: 'slow', label: 'Slow', default: 26, min: 2, max: 200 },
+            { id: 'signal', label: 'Signal', default: 9, min: 1, max: 100 }
+        ],
+        lines: [
+            { key: 'histogram', label: 'Histogram', color: '#6B7280', style: 'column' },
+            { key: 'macd', label: 'MACD', color: '#3B82F6' },
+            { key: 'signal', label: 'Signal', color: '#F97316' }
+        ],
+        levels: [0],
+        describe: (params) => `MACD ${params.fast}, ${params.slow}, ${params.signal}`,
+        compute: (bars, params) => macd(closes(bars), params.fast, params.slow, params.signal)
+    },
+    stochastic: {
+        label: 'Stochastic',
+        pane: 'own',
+        params: [
+            { id: 'kPeriod', label: '%K', default: 14, min: 1, max: 100 },
+            { id: 'kSmoothing', label: 'Smooth', default: 3, min: 1, max: 20 },
+            { id: 'dPeriod', label: '%D', default: 3, min: 1, max: 20 }
+        ],
+        lines: [
+            { key: 'k', label: '%K', color: '#22C55E' },
+            { key: 'd', label: '%D', color: '#EF4444' }
+        ],
+        range: [0, 100],
+        levels: [20, 80],
+        describe: (params) => `Stoch ${params.kPeriod}, ${params.kSmoothing}, ${params.dPeriod}`,
+        compute: (bars, params) => stochastic(bars, params.kPeriod, params.kSmoothing, params.dPeriod)
+    },
+    atr: {
+        label: 'ATR',
+        pane: 'own',
+        params: [{ id: 'period', label: 'Period', default: 14, min: 1, max: 100 }],
+        lines: [{ key: 'value', label: 'ATR', color: '#14B8A6' }],
+        describe: (params) => `ATR ${params.period}`,
+        compute: (bars, params) => ({ value: atr(bars, params.period) })
+    }
+};
+
+let nextIndicatorId = 1;
+
+// A configured indicator: { id, type, params, colors } with `colors` keyed by
+// line. Anything not given takes the type's defaults.
+export const createIndicator = (type, { params = {}, colors = {} } = {}) => {
+    const definition = INDICATORS[type];
+    if (!definition) {
+        throw new Error(`Unknown indicator ${type}`);
+    }
+    return {
+        id: `${type}-${nextIndicatorId++}`,
+        type,
+        params: {
+            ...Object.fromEntries(definition.params.map(param => [param.id, param.default])),
+            ...params
+        },
+        colors: {
+            ...Object.fromEntries(definition.lines.map(line => [line.key, line.color])),
+            ...colors
+        }
+    };
+};
+
+// Lines of a configured indicator for `bars`: [{ key, label, color, style, values }]
+export const computeIndicator = (indicator, bars, options) => {
+    const definition = INDICATORS[indicator.type];
+    const values = definition.compute(bars, indicator.params, options);
+    return definition.lines.map(line => ({
+        ...line,
+        color: indicator.colors[line.key] ?? line.color,
+        values: values[line.key]
+    }));
+};
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sma, ema, wma, rsi, macd, atr } from './indicators.js';
+
+// Expected values are worked out by hand on short series
+
+const assertSeries = (actual, expected) => {
+    assert.equal(actual.length, expected.length);
+    expected.forEach((value, i) => {
+        if (isNaN(value)) {
+            assert.ok(isNaN(actual[i]), `expected NaN at ${i}, got ${actual[i]}`);
+        } else {
+            assert.ok(Math.abs(actual[i] - value) < 1e-9, `expected ${value} at ${i}, got ${actual[i]}`);
+        }
+    });
+};
+
+test('sma is NaN until a full period', () => {
+    assertSeries(sma([1, 2, 3, 4, 5], 3), [NaN, NaN, 2, 3, 4]);
+});
+
+test('ema is seeded with the first period\'s sma', () => {
+    // alpha = 2 / (3 + 1) = 0.5
+    assertSeries(ema([2, 4, 6, 8, 4], 3), [NaN, NaN, 4, 6, 5]);
+});
+
+test('ema skips leading NaNs', () => {
+    assertSeries(ema([NaN, 2, 4, 6, 8], 3), [NaN, NaN, NaN, 4, 6]);
+});
+
+test('wma weights the newest value heaviest', () => {
+    assertSeries(wma([1, 2, 3, 4], 3), [NaN, NaN, 14 / 6, 20 / 6]);
+});
+
+test('rsi uses wilder smoothing', () => {
+    // Gains 1, 1, 0, 2 and losses 0, 0, 1, 0 after the first close;
+    // average gain 1 -> 0.5 -> 1.25, average loss 0 -> 0.5 -> 0.25
+    assertSeries(rsi([1, 2, 3, 2, 4], 2), [NaN, NaN, 100, 50, 100 - 100 / 6]);
+});
+
+test('macd signal starts once the macd line has a full signal period', () => {
+    const { macd: line, signal, histogram } = macd([1, 3, 2, 6, 4], 2, 3, 2);
+    // EMA(2): 2, 2, 14/3, 38/9 from index 1; EMA(3): 2, 4, 4 from index 2
+    assertSeries(line, [NaN, NaN, 0, 2 / 3, 2 / 9]);
+    assertSeries(signal, [NaN, NaN, NaN, 1 / 3, 7 / 27]);
+    assertSeries(histogram, [NaN, NaN, NaN, 1 / 3, 2 / 9 - 7 / 27]);
+});
+
+test('atr uses true range across gaps', () => {
+    const bars = [
+        { high: 10, low: 8, close: 9 },
+        { high: 12, low: 11, close: 11.5 }, // Gap up: true range 12 - 9 = 3
+        { high: 13, low: 10, close: 12 },
+        { high: 12, low: 9, close: 10 }
+    ];
+    // True ranges 2, 3, 3, 3
+    assertSeries(atr(bars, 2), [NaN, 2.5, 2.75, 2.875]);
+});
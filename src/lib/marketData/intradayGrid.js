@@ -0,0 +1,158 @@
+import { getZonedParts, formatZonedDate } from './timezone.js';
+import { FILL_STRATEGIES, fillSequence } from './calendarGrid.js';
+import { NYSE_CALENDAR } from './tradingCalendar.js';
+
+// Intraday grids: trading day × time of day.
+//
+// Rows are trading days (oldest first), columns are fixed-size slots of the
+// regular session in the exchange's time zone, so the same column is the same
+// clock time on every row. Slots are aligned to the clock (an hourly grid runs
+// 09:00, 10:00, ...), matching how Polygon buckets minute and hour aggregates.
+// Pre- and post-market bars are dropped.
+//
+// Cell statuses:
+//   'trading'  a bar exists for that slot
+//   'gap'      the session was open but there is no bar
+//   'closed'   after an early close
+//   'future'   the slot hasn't started yet (today's session)
+//
+// Fill strategies are the calendar grid's, applied along each day separately
+// so one session's close never leaks into the next morning.
+
+export const INTRADAY_INTERVALS = [
+    { id: '1m', label: '1 min', multiplier: 1, timespan: 'minute' },
+    { id: '5m', label: '5 min', multiplier: 5, timespan: 'minute' },
+    { id: '15m', label: '15 min', multiplier: 15, timespan: 'minute' },
+    { id: '30m', label: '30 min', multiplier: 30, timespan: 'minute' },
+    { id: '1h', label: '1 hour', multiplier: 1, timespan: 'hour' }
+];
+
+export const getIntradayInterval = (id) => {
+    const interval = INTRADAY_INTERVALS.find(candidate => candidate.id === id);
+    if (!interval) {
+        throw new Error(`Unknown intraday interval "${id}". Expected one of: ${INTRADAY_INTERVALS.map(i => i.id).join(', ')}`);
+    }
+    return interval;
+};
+
+// Length of one bar in minutes
+export const intervalMinutes = ({ multiplier, timespan }) => multiplier * (timespan === 'hour' ? 60 : 1);
+
+// "HH:MM" for a minute of the day
+export const formatClockTime = (minuteOfDay) => {
+    const hours = Math.floor(minuteOfDay / 60) % 24;
+    const minutes = minuteOfDay % 60;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+const minuteOfDay = (timestamp, timeZone) => {
+    const { hour, minute } = getZonedParts(timestamp, timeZone);
+    return hour * 60 + minute;
+};
+
+// Build the grid from minute/hour bars for `days` (YYYY-MM-DD trading days on
+// `calendar`). `interval` is { multiplier, timespan }, `value` picks what each
+// bar contributes and `missing` is the value of an open slot without a bar
+// (NaN, i.e. a gap, unless the metric says otherwise; see surfaceMetrics.js).
+//
+// Returns { rows, cols, days, slotMinutes, stepMinutes, values, status, filled,
+// min, max }: `values`, `status` and `filled` are [day][slot] arrays and
+// `slotMinutes[col]` is the slot's start as minutes after midnight.
+export const buildIntradayGrid = (bars, {
+    days,
+    interval,
+    calendar = NYSE_CALENDAR,
+    fill = 'forward',
+    value = (bar) => bar.close,
+    missing = NaN,
+    now = Date.now()
+}) => {
+    if (!FILL_STRATEGIES.includes(fill)) {
+        throw new Error(`Unknown fill strategy "${fill}". Expected one of: ${FILL_STRATEGIES.join(', ')}`);
+    }
+
+    const timeZone = calendar.timeZone;
+    const step = intervalMinutes(interval);
+    const sessions = days.map(day => calendar.getSession(day));
+
+    // Columns span the longest session in the range, aligned to the clock
+    let firstMinute = Infinity;
+    let lastMinute = -Infinity;
+    sessions.forEach(session => {
+        if (!session) return;
+        firstMinute = Math.min(firstMinute, minuteOfDay(session.open, timeZone));
+        lastMinute = Math.max(lastMinute, minuteOfDay(session.open, timeZone) + (session.close - session.open) / 60000);
+    });
+    if (!isFinite(firstMinute)) {
+        throw new Error('None of the requested days is a trading day');
+    }
+    const startMinute = Math.floor(firstMinute / step) * step;
+    const cols = Math.ceil((lastMinute - startMinute) / step);
+    const slotMinutes = Array.from({ length: cols }, (_, col) => startMinute + col * step);
+
+    const rowOfDay = new Map(days.map((day, row) => [day, row]));
+    const values = days.map(() => slotMinutes.map(() => NaN));
+    const filled = days.map(() => slotMinutes.map(() => false));
+    const status = days.map((day, row) => slotMinutes.map(slotStart => {
+        const session = sessions[row];
+        if (!session) return 'closed';
+        const sessionStart = minuteOfDay(session.open, timeZone);
+        const sessionEnd = sessionStart + (session.close - session.open) / 60000;
+        // A slot belongs to the session when the two overlap
+        if (slotStart + step <= sessionStart || slotStart >= sessionEnd) return 'closed';
+        return session.open + (slotStart - sessionStart) * 60000 > now ? 'future' : 'gap';
+    }));
+
+    bars.forEach(bar => {
+        const row = rowOfDay.get(formatZonedDate(bar.time, timeZone));
+        if (row === undefined) return;
+        const col = Math.floor((minuteOfDay(bar.time, timeZone) - startMinute) / step);
+        const barValue = value(bar);
+        // Extended-hours bars fall outside the session's slots
+        if (col < 0 || col >= cols || status[row][col] === 'closed' || barValue === null || barValue === undefined || isNaN(barValue)) {
+            return;
+        }
+        values[row][col] = barValue;
+        status[row][col] = 'trading';
+    });
+
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach((rowValues, row) => {
+        // Only open slots take part in filling; after an early close stays NaN
+        const open = [];
+        rowValues.forEach((cellValue, col) => {
+            if (status[row][col] === 'gap' && !isNaN(missing)) {
+                rowValues[col] = missing;
+            }
+            if (status[row][col] === 'trading' || status[row][col] === 'gap') {
+                open.push(col);
+            }
+        });
+        const sequence = open.map(col => rowValues[col]);
+        fillSequence(sequence, fill);
+        open.forEach((col, i) => {
+            if (status[row][col] === 'gap' && isNaN(rowValues[col]) && !isNaN(sequence[i])) {
+                filled[row][col] = true;
+            }
+            rowValues[col] = sequence[i];
+            if (!isNaN(sequence[i])) {
+                min = Math.min(min, sequence[i]);
+                max = Math.max(max, sequence[i]);
+            }
+        });
+    });
+
+    return {
+        rows: days.length,
+        cols,
+        days,
+        slotMinutes,
+        stepMinutes: step,
+        values,
+        status,
+        filled,
+        min: isFinite(min) ? min : NaN,
+        max: isFinite(max) ? max : NaN
+    };
+};
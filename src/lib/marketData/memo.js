@@ -0,0 +1,21 @@
+// Memo that forgets its least recently used entry once it holds `maxEntries`,
+// so long sessions can't grow it without bound. Call it with a key and a
+// function computing the value on a miss.
+export const createMemo = (maxEntries) => {
+    const entries = new Map();
+    return (key, compute) => {
+        if (entries.has(key)) {
+            const value = entries.get(key);
+            // Map keeps insertion order; re-inserting marks the entry as recently used
+            entries.delete(key);
+            entries.set(key, value);
+            return value;
+        }
+        const value = compute();
+        entries.set(key, value);
+        if (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+        return value;
+    };
+};
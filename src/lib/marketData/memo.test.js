@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemo } from './memo.js';
+
+test('createMemo drops the least recently used entry', () => {
+    const memo = createMemo(2);
+    const computed = [];
+    const get = (key) => memo(key, () => {
+        computed.push(key);
+        return key.toUpperCase();
+    });
+
+    assert.equal(get('a'), 'A');
+    get('b');
+    get('a'); // Now more recent than b
+    get('c'); // Evicts b
+    get('a');
+    assert.deepEqual(computed, ['a', 'b', 'c']);
+
+    assert.equal(get('b'), 'B');
+    assert.deepEqual(computed, ['a', 'b', 'c', 'b']);
+});
@@ -0,0 +1,134 @@
+import { toDateString, mergeBars } from './bars.js';
+import { DEFAULT_TIME_ZONE } from './exchange.js';
+import { FILL_STRATEGIES, fillSequence } from './calendarGrid.js';
+import { NYSE_CALENDAR } from './tradingCalendar.js';
+
+// Multi-year grids: trading day of the year × year.
+//
+// Rows are years (oldest first) and column N is the N-th session the exchange
+// held that year, so the same column lines up "day 100" across years no matter
+// where weekends and holidays fell. Years have slightly different session
+// counts; cells past a year's last session are 'invalid'. Other statuses match
+// the calendar grid: 'trading', 'gap' (session without a bar) and 'future'.
+//
+// To compare years at very different price levels, use the cumulative return
+// metric with one period per year (see surfaceMetrics.js and yearOfBar).
+
+// Fetch daily bars for every year from `fromYear` to `toYear` (inclusive) and
+// stitch them into one result. One request per year keeps each year cacheable
+// on its own, so a single-year chart and this one share downloads. Years
+// before a ticker listed simply come back empty.
+export const fetchYearRange = async (provider, { ticker, fromYear, toYear, signal }) => {
+    const years = [];
+    for (let year = fromYear; year <= toYear; year++) {
+        years.push(year);
+    }
+    const results = await Promise.all(years.map(year => provider.getAggregates({
+        ticker,
+        from: `${year}-01-01`,
+        to: `${year}-12-31`,
+        signal
+    })));
+
+    return {
+        ticker: results[0].ticker,
+        from: `${fromYear}-01-01`,
+        to: `${toYear}-12-31`,
+        bars: mergeBars(...results.map(result => result.bars)),
+        partial: results.some(result => result.partial),
+        simulated: results.some(result => result.simulated)
+    };
+};
+
+// Period key for createMetricAccessor so cumulative returns restart every year
+export const yearOfBar = (timeZone) => (bar) => toDateString(bar.time, timeZone).slice(0, 4);
+
+// Build the grid. `value` picks what each bar contributes (close by default).
+// Returns { layout: 'multi-year', rows, cols, years, values,
+// status, filled, dates, min, max }: `values`, `status`, `filled` and `dates`
+// are [year][session] arrays like the calendar grid's.
+export const buildMultiYearGrid = (bars, {
+    fromYear,
+    toYear,
+    fill = 'forward',
+    value = (bar) => bar.close,
+    timeZone = DEFAULT_TIME_ZONE,
+    calendar = NYSE_CALENDAR
+}) => {
+    if (!FILL_STRATEGIES.includes(fill)) {
+        throw new Error(`Unknown fill strategy "${fill}". Expected one of: ${FILL_STRATEGIES.join(', ')}`);
+    }
+
+    const years = [];
+    for (let year = fromYear; year <= toYear; year++) {
+        years.push(year);
+    }
+    const sessions = years.map(year => calendar.tradingDaysBetween(`${year}-01-01`, `${year}-12-31`));
+    const cols = Math.max(...sessions.map(days => days.length));
+    const today = toDateString(Date.now(), timeZone);
+
+    const cells = new Map(); // date -> [row, col]
+    const dates = sessions.map((days, row) => Array.from({ length: cols }, (_, col) => {
+        const date = days[col] || null;
+        if (date) {
+            cells.set(date, [row, col]);
+        }
+        return date;
+    }));
+    const values = dates.map(row => row.map(() => NaN));
+    const filled = dates.map(row => row.map(() => false));
+    const status = dates.map(row => row.map(date => {
+        if (!date) return 'invalid';
+        return date > today ? 'future' : 'gap';
+    }));
+
+    bars.forEach(bar => {
+        const cell = cells.get(toDateString(bar.time, timeZone));
+        const barValue = value(bar);
+        if (!cell || barValue === null || barValue === undefined || isNaN(barValue)) {
+            return;
+        }
+        const [row, col] = cell;
+        values[row][col] = barValue;
+        status[row][col] = 'trading';
+    });
+
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach((rowValues, row) => {
+        // Fill each year on its own
+        const open = [];
+        rowValues.forEach((_, col) => {
+            if (status[row][col] === 'trading' || status[row][col] === 'gap') {
+                open.push(col);
+            }
+        });
+        const sequence = open.map(col => rowValues[col]);
+        fillSequence(sequence, fill);
+
+        open.forEach((col, i) => {
+            const cellValue = sequence[i];
+            if (status[row][col] === 'gap' && !isNaN(cellValue)) {
+                filled[row][col] = true;
+            }
+            rowValues[col] = cellValue;
+            if (!isNaN(cellValue)) {
+                min = Math.min(min, cellValue);
+                max = Math.max(max, cellValue);
+            }
+        });
+    });
+
+    return {
+        layout: 'multi-year',
+        rows: years.length,
+        cols,
+        years,
+        values,
+        status,
+        filled,
+        dates,
+        min: isFinite(min) ? min : NaN,
+        max: isFinite(max) ? max : NaN
+    };
+};
@@ -0,0 +1,330 @@
+import { zonedTimeToUtc } from './timezone.js';
+import { DEFAULT_TIME_ZONE } from './exchange.js';
+
+// Options chains and implied volatility.
+//
+// A chain is { underlying, asOf, underlyingPrice, contracts } where `asOf` is
+// the snapshot time in milliseconds and every contract is
+//   { ticker, type ('call' | 'put'), strike, expiration (YYYY-MM-DD), bid, ask, last, iv, openInterest }
+// `iv` is the provider's implied volatility as a fraction, or null. Otherwise
+// it is solved from the mid price with Black-Scholes: European exercise and a
+// continuous dividend yield, the usual approximation for US equity options
+// once deep in-the-money contracts (where early exercise matters) are left out.
+
+export const DEFAULT_RISK_FREE_RATE = 0.045;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_VOLATILITY = 1e-4;
+const MAX_VOLATILITY = 5;
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error below 1.5e-7)
+const normalCdf = (x) => {
+    const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-x * x / 2);
+    return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+const normalPdf = (x) => Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+
+// Discounted spot and strike plus d1/d2 for one option
+const blackScholesTerms = ({ spot, strike, years, volatility, rate, dividendYield }) => {
+    const sqrtYears = Math.sqrt(years);
+    const d1 = (Math.log(spot / strike) + (rate - dividendYield + volatility * volatility / 2) * years) / (volatility * sqrtYears);
+    return {
+        d1,
+        d2: d1 - volatility * sqrtYears,
+        sqrtYears,
+        forwardSpot: spot * Math.exp(-dividendYield * years),
+        presentStrike: strike * Math.exp(-rate * years)
+    };
+};
+
+// European option price. `years` is the time to expiry and `volatility` is a
+// fraction (0.25 = 25%).
+export const blackScholesPrice = ({
+    type,
+    spot,
+    strike,
+    years,
+    volatility,
+    rate = DEFAULT_RISK_FREE_RATE,
+    dividendYield = 0
+}) => {
+    if (years <= 0 || volatility <= 0) {
+        return Math.max(0, type === 'call' ? spot - strike : strike - spot);
+    }
+    const { d1, d2, forwardSpot, presentStrike } = blackScholesTerms({ spot, strike, years, volatility, rate, dividendYield });
+    return type === 'call'
+        ? forwardSpot * normalCdf(d1) - presentStrike * normalCdf(d2)
+        : presentStrike * normalCdf(-d2) - forwardSpot * normalCdf(-d1);
+};
+
+// Volatility (a fraction) at which Black-Scholes reproduces `price`, or NaN
+// when the price is outside what any volatility can produce. Newton steps
+// fall back to bisection whenever they would leave the bracket.
+export const impliedVolatility = ({
+    price,
+    type,
+    spot,
+    strike,
+    years,
+    rate = DEFAULT_RISK_FREE_RATE,
+    dividendYield = 0
+}) => {
+    const option = { type, spot, strike, years, rate, dividendYield };
+    if (!(price > 0) || !(years > 0) || !(spot > 0) || !(strike > 0)) {
+        return NaN;
+    }
+    const priceAt = (volatility) => blackScholesPrice({ ...option, volatility });
+    if (price <= priceAt(MIN_VOLATILITY) || price >= priceAt(MAX_VOLATILITY)) {
+        return NaN;
+    }
+
+    let low = MIN_VOLATILITY;
+    let high = MAX_VOLATILITY;
+    let volatility = 0.3;
+    for (let i = 0; i < 100; i++) {
+        const diff = priceAt(volatility) - price;
+        if (Math.abs(diff) < 1e-8) {
+            break;
+        }
+        if (diff > 0) {
+            high = volatility;
+        } else {
+            low = volatility;
+        }
+        const { d1, sqrtYears, forwardSpot } = blackScholesTerms({ spot, strike, years, volatility, rate, dividendYield });
+        const vega = forwardSpot * normalPdf(d1) * sqrtYears;
+        let next = volatility - diff / vega;
+        if (!(next > low && next < high)) {
+            next = (low + high) / 2;
+        }
+        if (Math.abs(next - volatility) < 1e-10) {
+            volatility = next;
+            break;
+        }
+        volatility = next;
+    }
+    return volatility;
+};
+
+// Convert one result of Polygon's options chain snapshot
+// (/v3/snapshot/options/{underlying}) into a normalized contract
+export const normalizePolygonOption = (raw) => ({
+    ticker: raw.details?.ticker ?? null,
+    type: raw.details?.contract_type,
+    strike: raw.details?.strike_price,
+    expiration: raw.details?.expiration_date,
+    bid: raw.last_quote?.bid ?? null,
+    ask: raw.last_quote?.ask ?? null,
+    last: raw.last_trade?.price ?? raw.day?.close ?? null,
+    iv: raw.implied_volatility ?? null,
+    openInterest: raw.open_interest ?? 0
+});
+
+// Build a chain from snapshot results. The snapshot time defaults to the
+// newest quote in it, so a recorded chain keeps its own "today" and its days
+// to expiry don't drift as it ages.
+export const chainFromPolygonSnapshot = (results, { underlying = null, asOf = null, underlyingPrice = null } = {}) => {
+    const nanos = results.flatMap(raw => [raw.last_quote?.last_updated, raw.day?.last_updated]).filter(Boolean);
+    const withUnderlying = results.find(raw => raw.underlying_asset?.ticker);
+    const withPrice = results.find(raw => raw.underlying_asset?.price > 0);
+    return {
+        underlying: (underlying ?? withUnderlying?.underlying_asset.ticker ?? '').toUpperCase(),
+        asOf: asOf ?? (nanos.length > 0 ? Math.max(...nanos) / 1e6 : Date.now()),
+        underlyingPrice: underlyingPrice ?? withPrice?.underlying_asset.price ?? null,
+        contracts: results.map(normalizePolygonOption).filter(contract =>
+            (contract.type === 'call' || contract.type === 'put') && contract.strike > 0 && contract.expiration)
+    };
+};
+
+// Mid of a two-sided quote, else the last trade
+export const optionMidPrice = ({ bid, ask, last }) => {
+    if (bid > 0 && ask >= bid) {
+        return (bid + ask) / 2;
+    }
+    return last > 0 ? last : NaN;
+};
+
+// Calendar days from `asOf` to the 16:00 close on the expiration date
+export const daysToExpiry = (expiration, asOf, timeZone = DEFAULT_TIME_ZONE) =>
+    (zonedTimeToUtc(expiration, 16, 0, timeZone) - asOf) / DAY_MS;
+
+// Underlying price implied by put-call parity at the nearest expiry, for
+// snapshots that don't carry it (C - P = S - K·e^(-rT), ignoring dividends)
+export const estimateSpotFromParity = (chain, { rate = DEFAULT_RISK_FREE_RATE, timeZone = DEFAULT_TIME_ZONE } = {}) => {
+    const pairs = new Map(); // expiration|strike -> { call, put }
+    chain.contracts.forEach(contract => {
+        const key = `${contract.expiration}|${contract.strike}`;
+        pairs.set(key, { ...pairs.get(key), [contract.type]: optionMidPrice(contract) });
+    });
+
+    let best = null;
+    pairs.forEach(({ call, put }, key) => {
+        const [expiration, strike] = key.split('|');
+        const days = daysToExpiry(expiration, chain.asOf, timeZone);
+        if (!(call > 0) || !(put > 0) || days <= 0) {
+            return;
+        }
+        // Nearest expiry first, then the strike where call and put are closest (at the money)
+        const score = [days, Math.abs(call - put)];
+        if (!best || score[0] < best.score[0] || (score[0] === best.score[0] && score[1] < best.score[1])) {
+            best = { score, spot: call - put + Number(strike) * Math.exp(-rate * days / 365) };
+        }
+    });
+    return best ? best.spot : NaN;
+};
+
+// Implied volatility of every usable contract: out-of-the-money calls and
+// puts only (their prices carry the volatility; in-the-money ones are mostly
+// intrinsic value and early exercise), unexpired, with a price the model can
+// match. Returns [{ expiration, days, strike, moneyness, iv, source }] with
+// `source` 'provider' or 'model'.
+export const chainVolatilities = (chain, {
+    spot,
+    rate = DEFAULT_RISK_FREE_RATE,
+    dividendYield = 0,
+    useProviderIv = true,
+    timeZone = DEFAULT_TIME_ZONE
+}) => chain.contracts
+    .filter(contract => (contract.type === 'call') === (contract.strike >= spot))
+    .map(contract => {
+        const days = daysToExpiry(contract.expiration, chain.asOf, timeZone);
+        const providerIv = useProviderIv && contract.iv > 0 ? contract.iv : null;
+        const iv = providerIv ?? impliedVolatility({
+            price: optionMidPrice(contract),
+            type: contract.type,
+            spot,
+            strike: contract.strike,
+            years: days / 365,
+            rate,
+            dividendYield
+        });
+        return {
+            expiration: contract.expiration,
+            days,
+            strike: contract.strike,
+            moneyness: contract.strike / spot,
+            iv,
+            source: providerIv ? 'provider' : 'model'
+        };
+    })
+    .filter(point => point.days > 0 && point.iv > 0);
+
+// Linear interpolation of `ys` over sorted `xs`, flat beyond either end
+const interpolate = (xs, ys, x) => {
+    if (x <= xs[0]) return ys[0];
+    if (x >= xs[xs.length - 1]) return ys[ys.length - 1];
+    let i = 1;
+    while (xs[i] < x) i++;
+    const t = (x - xs[i - 1]) / (xs[i] - xs[i - 1]);
+    return ys[i - 1] + t * (ys[i] - ys[i - 1]);
+};
+
+// Implied volatility surface on a regular moneyness × days-to-expiry grid,
+// which is what a uniform 3D mesh needs. Quotes are interpolated linearly
+// along moneyness within each expiry, then between expiries in total variance
+// (iv² · T), which keeps the term structure free of calendar arbitrage.
+// Cells outside an expiry's quoted strikes take its nearest quote and are
+// marked 'extrapolated'.
+//
+// Returns { rows, cols, moneyness, strikes, daysToExpiry, expiries, values,
+// status, min, max, underlying, underlyingPrice, asOf, quotes }: rows are days
+// to expiry (nearest first), columns are moneyness (strike / spot), `values`
+// is IV in percent as [row][col] and `expiries` lists the quoted expirations.
+export const buildImpliedVolatilityGrid = (chain, {
+    moneynessRange = [0.8, 1.2],
+    strikeSteps = 17,
+    expirySteps = 12,
+    rate = DEFAULT_RISK_FREE_RATE,
+    dividendYield = 0,
+    useProviderIv = true,
+    timeZone = DEFAULT_TIME_ZONE
+} = {}) => {
+    const spot = chain.underlyingPrice > 0 ? chain.underlyingPrice : estimateSpotFromParity(chain, { rate, timeZone });
+    if (!(spot > 0)) {
+        throw new Error(`Cannot tell the price of ${chain.underlying || 'the underlying'} from its options chain`);
+    }
+
+    const points = chainVolatilities(chain, { spot, rate, dividendYield, useProviderIv, timeZone });
+    const byExpiry = new Map();
+    points.forEach(point => {
+        if (!byExpiry.has(point.expiration)) {
+            byExpiry.set(point.expiration, []);
+        }
+        byExpiry.get(point.expiration).push(point);
+    });
+    // A smile needs at least two strikes to interpolate along
+    const expiries = [...byExpiry.entries()]
+        .filter(([, quotes]) => quotes.length >= 2)
+        .map(([expiration, quotes]) => {
+            const sorted = [...quotes].sort((a, b) => a.moneyness - b.moneyness);
+            return {
+                expiration,
+                days: sorted[0].days,
+                moneyness: sorted.map(quote => quote.moneyness),
+                iv: sorted.map(quote => quote.iv)
+            };
+        })
+        .sort((a, b) => a.days - b.days);
+    if (expiries.length < 2) {
+        throw new Error(`The ${chain.underlying || 'options'} chain needs quotes on at least two expirations to build a surface`);
+    }
+
+    // Don't stretch the grid past the strikes anyone quotes
+    const fromMoneyness = Math.max(moneynessRange[0], Math.min(...expiries.map(expiry => expiry.moneyness[0])));
+    const toMoneyness = Math.min(moneynessRange[1], Math.max(...expiries.map(expiry => expiry.moneyness[expiry.moneyness.length - 1])));
+    const moneyness = Array.from({ length: strikeSteps }, (_, col) =>
+        fromMoneyness + (toMoneyness - fromMoneyness) * col / (strikeSteps - 1));
+    const firstDay = expiries[0].days;
+    const lastDay = expiries[expiries.length - 1].days;
+    const daysToExpiryAxis = Array.from({ length: expirySteps }, (_, row) =>
+        firstDay + (lastDay - firstDay) * row / (expirySteps - 1));
+
+    // Each expiry's smile resampled onto the moneyness columns
+    const smiles = expiries.map(expiry => moneyness.map(m => ({
+        iv: interpolate(expiry.moneyness, expiry.iv, m),
+        quoted: m >= expiry.moneyness[0] && m <= expiry.moneyness[expiry.moneyness.length - 1]
+    })));
+
+    let min = Infinity;
+    let max = -Infinity;
+    const status = [];
+    const values = daysToExpiryAxis.map((days, row) => {
+        // Bracketing expiries; rounding can put the last row a hair past the last expiry
+        const found = expiries.findIndex(expiry => expiry.days >= days);
+        const next = found === -1 ? expiries.length - 1 : Math.max(found, 1);
+        const previous = next - 1;
+        const t = (days - expiries[previous].days) / (expiries[next].days - expiries[previous].days);
+        status.push([]);
+        return moneyness.map((_, col) => {
+            const before = smiles[previous][col];
+            const after = smiles[next][col];
+            const variance = (1 - t) * before.iv * before.iv * expiries[previous].days +
+                t * after.iv * after.iv * expiries[next].days;
+            const iv = Math.sqrt(Math.max(variance, 0) / days) * 100;
+            status[row].push((t < 1 && !before.quoted) || (t > 0 && !after.quoted) ? 'extrapolated' : 'quoted');
+            min = Math.min(min, iv);
+            max = Math.max(max, iv);
+            return iv;
+        });
+    });
+
+    return {
+        rows: expirySteps,
+        cols: strikeSteps,
+        moneyness,
+        strikes: moneyness.map(m => m * spot),
+        daysToExpiry: daysToExpiryAxis,
+        expiries: expiries.map(({ expiration, days }) => ({ expiration, days })),
+        values,
+        status,
+        min: isFinite(min) ? min : NaN,
+        max: isFinite(max) ? max : NaN,
+        underlying: chain.underlying,
+        underlyingPrice: spot,
+        asOf: chain.asOf,
+        quotes: points.length
+    };
+};
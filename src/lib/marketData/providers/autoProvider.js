@@ -0,0 +1,77 @@
+import { marketData } from '../client.js';
+import { ERROR_KINDS } from '../errors.js';
+import { syntheticProvider } from '../synthetic.js';
+import { polygonProvider } from './polygonProvider.js';
+import { sampleOptionsProvider } from './optionsFixtureProvider.js';
+
+// Uses Polygon when the proxy has a key configured and falls back to the
+// synthetic market otherwise, so a fresh checkout shows working charts.
+// The check runs once and is shared by every chart. Options chains come from
+// `optionsFallback` (the sample chain), marked simulated, when the chosen
+// provider has none or the key's plan doesn't cover options.
+export const createAutoProvider = ({
+    primary = polygonProvider,
+    fallback = syntheticProvider,
+    optionsFallback = sampleOptionsProvider,
+    checkStatus = () => marketData.getStatus()
+} = {}) => {
+    let resolved = null;
+    let resolving = null;
+
+    const resolve = () => {
+        if (!resolving) {
+            resolving = checkStatus().then(({ configured }) => {
+                resolved = configured ? primary : fallback;
+                if (!configured) {
+                    console.info('No market data key configured; using simulated data.');
+                }
+                return resolved;
+            });
+        }
+        return resolving;
+    };
+
+    return {
+        id: 'auto',
+        get label() {
+            return resolved ? resolved.label : primary.label;
+        },
+        get simulated() {
+            return Boolean(resolved?.simulated);
+        },
+        getAggregates: async (options) => (await resolve()).getAggregates(options),
+        tickerExists: async (ticker, options) => {
+            const provider = await resolve();
+            return provider.tickerExists ? provider.tickerExists(ticker, options) : true;
+        },
+        getOptionsChain: async (options) => {
+            const provider = await resolve();
+            if (provider.getOptionsChain) {
+                try {
+                    return await provider.getOptionsChain(options);
+                } catch (err) {
+                    if (err.kind !== ERROR_KINDS.PLAN_RESTRICTED && err.kind !== ERROR_KINDS.AUTH) {
+                        throw err;
+                    }
+                }
+            }
+            return { ...(await optionsFallback.getOptionsChain(options)), simulated: true };
+        },
+        // Resolves to null when the chosen provider has no reference data
+        getTickerDetails: async (ticker, options) => {
+            const provider = await resolve();
+            return provider.getTickerDetails ? provider.getTickerDetails(ticker, options) : null;
+        },
+        // An empty list and no bars when the chosen provider has no market-wide data
+        listTickers: async (options) => {
+            const provider = await resolve();
+            return provider.listTickers ? provider.listTickers(options) : [];
+        },
+        getGroupedDaily: async (options) => {
+            const provider = await resolve();
+            return provider.getGroupedDaily ? provider.getGroupedDaily(options) : { date: options.date, bars: [] };
+        }
+    };
+};
+
+export const defaultProvider = createAutoProvider();
@@ -0,0 +1,146 @@
+import { sortBars, toDateString } from '../bars.js';
+import { createAbortError } from '../client.js';
+import { getExchangeTimeZone } from '../exchange.js';
+import { csvToRecords, jsonToRecords, recordsToBars } from '../fileParsers.js';
+
+const detectFormat = (name = '', text = '') => {
+    if (/\.json$/i.test(name)) {
+        return 'json';
+    }
+    if (/\.(csv|tsv|txt)$/i.test(name)) {
+        return 'csv';
+    }
+    return /^\s*[[{]/.test(text) ? 'json' : 'csv';
+};
+
+// Read a source into text. Accepts a File/Blob (from an <input type="file">),
+// a URL string, or an object `{ text, name }` with the contents inline.
+export const readSource = async (source) => {
+    if (typeof Blob !== 'undefined' && source instanceof Blob) {
+        return { text: await source.text(), name: source.name };
+    }
+    if (typeof source === 'string') {
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`Could not load ${source}: ${response.status} ${response.statusText}`);
+        }
+        return { text: await response.text(), name: source };
+    }
+    if (source && typeof source.text === 'string') {
+        return source;
+    }
+    throw new Error('File provider source must be a File, a URL or { text, name }');
+};
+
+// Data provider for local CSV/JSON OHLCV dumps.
+//
+// Options:
+//   source      File/Blob, URL, or { text, name }
+//   format      'csv' | 'json' | 'auto' (from the file name, then the contents)
+//   delimiter   CSV delimiter, e.g. ';' or '\t' (default ',')
+//   columns     explicit mapping, e.g. { time: 'Date', close: 'Last' }
+//   dateFormat  'auto' | 'unix-s' | 'unix-ms' | 'iso' | pattern like 'DD/MM/YYYY'
+//   ticker      ticker the file holds when it has no ticker column; when omitted
+//               the bars are served for whichever ticker a chart asks for
+//
+// The file is parsed once and served for any date range. Bars are returned at
+// the file's own resolution; `multiplier`/`timespan` are not resampled.
+export const createFileProvider = ({
+    source,
+    format = 'auto',
+    delimiter = ',',
+    columns = {},
+    dateFormat = 'auto',
+    ticker = null,
+    label = null
+}) => {
+    let loading = null;
+
+    const load = () => {
+        if (!loading) {
+            loading = (async () => {
+                const { text, name } = await readSource(source);
+                const resolvedFormat = format === 'auto' ? detectFormat(name, text) : format;
+                const records = resolvedFormat === 'json'
+                    ? jsonToRecords(text)
+                    : csvToRecords(text, { delimiter });
+                const { bars, skipped } = recordsToBars(records, { columns, dateFormat });
+
+                if (skipped > 0) {
+                    console.warn(`Skipped ${skipped} unparseable row(s) in ${name || 'data file'}`);
+                }
+
+                return sortBars(bars);
+            })();
+            // Let a later call retry after a failed load
+            loading.catch(() => {
+                loading = null;
+            });
+        }
+        return loading;
+    };
+
+    const getAggregates = async ({ ticker: requested, from, to, multiplier = 1, timespan = 'day', adjusted = true, signal }) => {
+        const allBars = await load();
+        if (signal?.aborted) {
+            throw createAbortError();
+        }
+
+        const symbol = requested.toUpperCase();
+        const timeZone = getExchangeTimeZone(symbol);
+        const fromDate = toDateString(from, timeZone);
+        const toDate = toDateString(to, timeZone);
+        const fileHasTickers = allBars.some(bar => bar.ticker);
+
+        // Without a ticker column, the `ticker` option (if any) says which symbol the file holds
+        const holdsSymbol = fileHasTickers || !ticker || ticker.toUpperCase() === symbol;
+
+        const bars = allBars
+            .filter(bar => holdsSymbol && (!fileHasTickers || bar.ticker === symbol))
+            .filter(bar => {
+                const day = toDateString(bar.time, timeZone);
+                return day >= fromDate && day <= toDate;
+            })
+            .map(({ ticker: _ticker, ...bar }) => bar);
+
+        return {
+            ticker: symbol,
+            multiplier,
+            timespan,
+            from: fromDate,
+            to: toDate,
+            adjusted,
+            bars,
+            pages: 0,
+            partial: false
+        };
+    };
+
+    // What the file contains, so a UI can pick a sensible ticker and year
+    const getCoverage = async () => {
+        const allBars = await load();
+        const tickers = [...new Set(allBars.map(bar => bar.ticker).filter(Boolean))];
+        const coveredTickers = tickers.length > 0 ? tickers : (ticker ? [ticker.toUpperCase()] : []);
+        const timeZone = getExchangeTimeZone(coveredTickers[0]);
+        return {
+            tickers: coveredTickers,
+            from: allBars.length > 0 ? toDateString(allBars[0].time, timeZone) : null,
+            to: allBars.length > 0 ? toDateString(allBars[allBars.length - 1].time, timeZone) : null,
+            barCount: allBars.length
+        };
+    };
+
+    // A file without a ticker column (and no `ticker` option) serves any symbol
+    const tickerExists = async (requested) => {
+        const { tickers } = await getCoverage();
+        return tickers.length === 0 || tickers.includes(requested.toUpperCase());
+    };
+
+    return {
+        id: 'file',
+        label: label || (source?.name ? `File: ${source.name}` : 'Local file'),
+        getAggregates,
+        getCoverage,
+        tickerExists
+    };
+};
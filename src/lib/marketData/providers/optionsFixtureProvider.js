@@ -0,0 +1,74 @@
+import { createAbortError } from '../client.js';
+import { chainFromPolygonSnapshot } from '../options.js';
+import { readSource } from './fileProvider.js';
+
+// Where the sample chain lives; Vite serves public/ from the site root
+const SAMPLE_CHAIN_URL = '/fixtures/options/AAPL.json';
+
+// Options chain provider backed by a JSON file, so the IV surface works
+// without a live options subscription.
+//
+// The file is Polygon's options chain snapshot in any of the shapes it is
+// likely to be saved in: the raw response `{ results: [...] }`, a fixture
+// recorded by the proxy (`{ request, status, body: { results } }`) or just the
+// results array. An `asOf` (ISO date or milliseconds) or `underlyingPrice` at
+// the top level overrides what is read from the quotes, and `simulated: true`
+// marks generated data.
+//
+// Options:
+//   source  File/Blob, URL, or { text, name }
+//   label   name shown in the UI
+export const createOptionsFixtureProvider = ({ source, label = null }) => {
+    let loading = null;
+
+    const load = () => {
+        if (!loading) {
+            loading = (async () => {
+                const { text, name } = await readSource(source);
+                const data = JSON.parse(text);
+                const response = data.body ?? data;
+                const results = Array.isArray(response) ? response : response.results;
+                if (!Array.isArray(results)) {
+                    throw new Error(`${name || 'Options chain file'} is not an options chain snapshot`);
+                }
+                return {
+                    ...chainFromPolygonSnapshot(results, {
+                        asOf: data.asOf ? new Date(data.asOf).getTime() : null,
+                        underlyingPrice: data.underlyingPrice ?? null
+                    }),
+                    simulated: Boolean(data.simulated)
+                };
+            })();
+            // Let a later call retry after a failed load
+            loading.catch(() => {
+                loading = null;
+            });
+        }
+        return loading;
+    };
+
+    // Resolves to the file's chain. A file holds one underlying, so asking
+    // for any other is an error rather than someone else's surface.
+    const getOptionsChain = async ({ underlying, signal }) => {
+        const chain = await load();
+        if (signal?.aborted) {
+            throw createAbortError();
+        }
+        if (chain.underlying && chain.underlying !== underlying.toUpperCase()) {
+            throw new Error(`The options chain file only covers ${chain.underlying}, not ${underlying.toUpperCase()}`);
+        }
+        return chain;
+    };
+
+    return {
+        id: 'options-file',
+        label: label || (source?.name ? `File: ${source.name}` : 'Options chain file'),
+        getOptionsChain
+    };
+};
+
+// Generated AAPL chain shipped with the app
+export const sampleOptionsProvider = createOptionsFixtureProvider({
+    source: SAMPLE_CHAIN_URL,
+    label: 'Sample AAPL options chain'
+});
@@ -0,0 +1,27 @@
+import { marketData } from '../client.js';
+
+// Data provider backed by Polygon.io through the shared market data client.
+//
+// Every provider exposes the same shape:
+//   { id, label, getAggregates({ ticker, from, to, multiplier, timespan, adjusted, signal }) }
+// and resolves aggregates to { ticker, from, to, bars, partial, ... } with
+// normalized bars, so charts never need to know where data comes from.
+// Providers may also implement `tickerExists(ticker, { signal })` so an empty
+// result can be reported as an unknown ticker rather than an empty range.
+// Providers with options data implement `getOptionsChain({ underlying, signal })`
+// too (see options.js for the chain shape), providers with reference data
+// `getTickerDetails(ticker, { signal })` and `listTickers({ signal })` (see
+// reference.js), and providers with market-wide bars
+// `getGroupedDaily({ date, signal })` (see breadth.js).
+export const createPolygonProvider = ({ client = marketData } = {}) => ({
+    id: 'polygon',
+    label: 'Polygon.io',
+    getAggregates: (options) => client.getAggregates(options),
+    tickerExists: (ticker, options) => client.tickerExists(ticker, options),
+    getOptionsChain: (options) => client.getOptionsChain(options),
+    getTickerDetails: (ticker, options) => client.getTickerDetails(ticker, options),
+    listTickers: (options) => client.listTickers(options),
+    getGroupedDaily: (options) => client.getGroupedDaily(options)
+});
+
+export const polygonProvider = createPolygonProvider();
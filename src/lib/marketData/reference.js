@@ -0,0 +1,62 @@
+// Ticker reference data: name, market cap, sector and exchange.
+//
+// Details are { ticker, name, marketCap, sicCode, industry, sector,
+// primaryExchange } with null for anything the source doesn't know. Polygon has no sector field, so
+// the sector is the SIC division of the company's SIC code and `industry` is
+// the SIC description (e.g. "ELECTRONIC COMPUTERS").
+
+// SIC divisions by the first code of each range
+export const SIC_SECTORS = [
+    { from: 100, sector: 'Agriculture' },
+    { from: 1000, sector: 'Mining' },
+    { from: 1500, sector: 'Construction' },
+    { from: 2000, sector: 'Manufacturing' },
+    { from: 4000, sector: 'Transportation & Utilities' },
+    { from: 5000, sector: 'Wholesale Trade' },
+    { from: 5200, sector: 'Retail Trade' },
+    { from: 6000, sector: 'Finance' },
+    { from: 7000, sector: 'Services' },
+    { from: 9100, sector: 'Public Administration' },
+    { from: 9900, sector: 'Nonclassifiable' }
+];
+
+export const sectorFromSic = (sicCode) => {
+    const code = Number(sicCode);
+    if (!code || code < SIC_SECTORS[0].from) {
+        return null;
+    }
+    return SIC_SECTORS.filter(division => code >= division.from).pop().sector;
+};
+
+// Primary exchanges by MIC code, as Polygon reports them
+export const EXCHANGE_NAMES = {
+    XNYS: 'NYSE',
+    XNAS: 'Nasdaq',
+    XASE: 'NYSE American',
+    ARCX: 'NYSE Arca',
+    BATS: 'Cboe BZX',
+    IEXG: 'IEX'
+};
+
+export const exchangeName = (mic) => (mic ? EXCHANGE_NAMES[mic] ?? mic : null);
+
+// Convert the `results` of Polygon's /v3/reference/tickers/{ticker}
+export const normalizePolygonTickerDetails = (raw, ticker = raw.ticker) => ({
+    ticker: (ticker || '').toUpperCase(),
+    name: raw.name ?? null,
+    marketCap: raw.market_cap ?? null,
+    sicCode: raw.sic_code ?? null,
+    industry: raw.sic_description ?? null,
+    sector: sectorFromSic(raw.sic_code),
+    primaryExchange: raw.primary_exchange ?? null
+});
+
+// Convert one entry of Polygon's /v3/reference/tickers list. The list has no
+// SIC code, so `sector` is only known to sources that fill it in.
+export const normalizePolygonTickerListItem = (raw) => ({
+    ticker: (raw.ticker || '').toUpperCase(),
+    name: raw.name ?? null,
+    type: raw.type ?? null,
+    primaryExchange: raw.primary_exchange ?? null,
+    sector: null
+});
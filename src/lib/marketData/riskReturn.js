@@ -0,0 +1,90 @@
+import { sortBars } from './bars.js';
+import { TRADING_DAYS_PER_YEAR } from './volatility.js';
+
+// Risk/return statistics of one ticker over a period of daily bars, for
+// comparing a watchlist at a glance.
+
+export const RISK_RETURN_METRICS = {
+    annualizedReturn: { label: 'Annualized return', unit: '%' },
+    volatility: { label: 'Volatility', unit: '%' },
+    dollarVolume: { label: 'Avg daily $ volume', unit: '$' },
+    marketCap: { label: 'Market cap', unit: '$' },
+    returnPerRisk: { label: 'Return / volatility', unit: '' },
+    maxDrawdown: { label: 'Max drawdown', unit: '%' }
+};
+
+// "1.23T", "456.7M", "12.3K", "950"
+export const formatCompactNumber = (value) => {
+    const steps = [[1e12, 'T'], [1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+    const [divisor, suffix] = steps.find(([size]) => Math.abs(value) >= size) ?? [1, ''];
+    const scaled = value / divisor;
+    return `${scaled.toFixed(Math.abs(scaled) >= 100 || !suffix ? 0 : Math.abs(scaled) >= 10 ? 1 : 2)}${suffix}`;
+};
+
+// "$1.23T", "$456.7M", "$12.3K", "$950"
+export const formatCompactDollars = (value) => `$${formatCompactNumber(value)}`;
+
+export const formatRiskReturnValue = (id, value) => {
+    if (value === null || value === undefined || isNaN(value)) {
+        return '—';
+    }
+    switch (RISK_RETURN_METRICS[id]?.unit) {
+        case '$':
+            return formatCompactDollars(value);
+        case '%':
+            return `${value.toFixed(2)}%`;
+        default:
+            return value.toFixed(2);
+    }
+};
+
+// Stats for `bars` (any order). Returns { annualizedReturn, volatility,
+// dollarVolume, returnPerRisk, maxDrawdown, firstClose, lastClose, days }:
+//   annualizedReturn  compound annual growth of the close, in percent
+//   volatility        annualized standard deviation of daily log returns, in percent
+//   dollarVolume      average of volume × VWAP (close when there is no VWAP)
+//   maxDrawdown       worst fall from a previous closing high, in percent (<= 0)
+// Market cap comes from reference data, not bars (see reference.js).
+export const computeRiskReturn = (bars, { tradingDaysPerYear = TRADING_DAYS_PER_YEAR } = {}) => {
+    const sorted = sortBars(bars).filter(bar => bar.close > 0);
+    const days = sorted.length - 1;
+    if (days < 2) {
+        return {
+            annualizedReturn: NaN,
+            volatility: NaN,
+            dollarVolume: NaN,
+            returnPerRisk: NaN,
+            maxDrawdown: NaN,
+            firstClose: sorted[0]?.close ?? NaN,
+            lastClose: sorted[sorted.length - 1]?.close ?? NaN,
+            days: Math.max(days, 0)
+        };
+    }
+
+    const returns = sorted.slice(1).map((bar, i) => Math.log(bar.close / sorted[i].close));
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+
+    let peak = -Infinity;
+    let maxDrawdown = 0;
+    sorted.forEach(bar => {
+        peak = Math.max(peak, bar.close);
+        maxDrawdown = Math.min(maxDrawdown, (bar.close / peak - 1) * 100);
+    });
+
+    const firstClose = sorted[0].close;
+    const lastClose = sorted[sorted.length - 1].close;
+    const annualizedReturn = ((lastClose / firstClose) ** (tradingDaysPerYear / days) - 1) * 100;
+    const volatility = Math.sqrt(variance * tradingDaysPerYear) * 100;
+
+    return {
+        annualizedReturn,
+        volatility,
+        dollarVolume: sorted.reduce((sum, bar) => sum + bar.volume * (bar.vwap ?? bar.close), 0) / sorted.length,
+        returnPerRisk: volatility > 0 ? annualizedReturn / volatility : NaN,
+        maxDrawdown,
+        firstClose,
+        lastClose,
+        days
+    };
+};
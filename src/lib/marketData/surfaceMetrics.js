@@ -0,0 +1,80 @@
+import { sortBars } from './bars.js';
+
+// Per-bar metrics the 3D charts can map to height or color.
+//
+// Some metrics depend on neighbouring bars (a return needs the previous close,
+// a cumulative return needs the first close of the period), so they are
+// computed over the whole series up front. createMetricAccessor returns a
+// `(bar) => number` that plugs into the grid builders' `value` option.
+
+export const SURFACE_METRICS = {
+    close: { label: 'Close', axisTitle: 'Price ($)', unit: '$' },
+    return: { label: '% return', axisTitle: 'Return (%)', unit: '%' },
+    cumulative: { label: 'Cumulative return', axisTitle: 'Cumulative Return (%)', unit: '%' },
+    range: { label: 'High–low range', axisTitle: 'High-Low Range ($)', unit: '$' },
+    // An intraday slot without a bar had no trades, so it is a real 0
+    volume: { label: 'Volume', axisTitle: 'Volume', unit: '', missing: 0 },
+    vwap: { label: 'VWAP', axisTitle: 'VWAP ($)', unit: '$' }
+};
+
+export const getSurfaceMetric = (id) => {
+    const metric = SURFACE_METRICS[id];
+    if (!metric) {
+        throw new Error(`Unknown metric "${id}". Expected one of: ${Object.keys(SURFACE_METRICS).join(', ')}`);
+    }
+    return metric;
+};
+
+// "$123.45", "-1.20%" or "1,234,567"
+export const formatMetricValue = (id, value) => {
+    if (value === null || value === undefined || isNaN(value)) {
+        return '—';
+    }
+    switch (getSurfaceMetric(id).unit) {
+        case '$':
+            return `$${value.toFixed(2)}`;
+        case '%':
+            return `${value.toFixed(2)}%`;
+        default:
+            return Math.round(value).toLocaleString('en-US');
+    }
+};
+
+// Accessor for `metric` over `bars`. `periodOf(bar)` groups bars for the
+// cumulative return, which restarts at 0 on the first bar of every period
+// (e.g. every year of a multi-year surface); by default the whole series is
+// one period. `return` is the change from the previous bar's close, so on
+// daily bars it is the daily return.
+export const createMetricAccessor = (bars, metric, { periodOf = () => 0 } = {}) => {
+    getSurfaceMetric(metric);
+
+    switch (metric) {
+        case 'close':
+            return (bar) => bar.close;
+        case 'range':
+            return (bar) => bar.high - bar.low;
+        case 'volume':
+            return (bar) => bar.volume;
+        case 'vwap':
+            return (bar) => bar.vwap ?? NaN;
+        default:
+            break;
+    }
+
+    const byTime = new Map();
+    const periodBase = new Map();
+    let previous = null;
+    sortBars(bars).forEach(bar => {
+        if (metric === 'return') {
+            byTime.set(bar.time, previous ? (bar.close / previous.close - 1) * 100 : NaN);
+        } else {
+            const period = periodOf(bar);
+            if (!periodBase.has(period)) {
+                periodBase.set(period, bar.close);
+            }
+            byTime.set(bar.time, (bar.close / periodBase.get(period) - 1) * 100);
+        }
+        previous = bar;
+    });
+    return (bar) => byTime.get(bar.time) ?? NaN;
+};
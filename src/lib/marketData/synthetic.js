@@ -0,0 +1,366 @@
+import { addDays, toDateString, combineBars } from './bars.js';
+import { createAbortError } from './client.js';
+import { zonedTimeToUtc } from './timezone.js';
+import { createMemo } from './memo.js';
+import { DEFAULT_TIME_ZONE } from './exchange.js';
+import { NYSE_CALENDAR } from './tradingCalendar.js';
+import { SIC_SECTORS } from './reference.js';
+
+// Deterministic synthetic market.
+//
+// Prices follow a seeded geometric Brownian motion with Poisson jumps, so the
+// same ticker always produces the same history, and different tickers get
+// different (but stable) drift, volatility and price levels. A weak pull
+// towards the drift trend keeps decades of history at believable price levels.
+// Used as demo data when no Polygon key is configured.
+
+const EXCHANGE_TIME_ZONE = DEFAULT_TIME_ZONE; // Simulated sessions follow NYSE hours for every ticker
+const HISTORY_START = '2000-01-01';
+const TRADING_DAYS_PER_YEAR = 252;
+const MAX_CACHED_HISTORIES = 32; // Each holds every trading day since HISTORY_START
+
+export const DEFAULT_SYNTHETIC_OPTIONS = {
+    seed: 1,
+    drift: 0.08,            // Annualized expected return
+    volatility: 0.25,       // Annualized volatility
+    jumpIntensity: 3,       // Expected jumps per year
+    jumpMean: -0.02,        // Mean log jump size
+    jumpVolatility: 0.05,   // Std dev of log jump size
+    baseVolume: 5000000,    // Typical shares per day
+    meanReversion: 0.5      // Annual pull of log price back to the drift trend
+};
+
+// FNV-1a: stable 32-bit hash for seeding
+const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+// mulberry32 PRNG with a Box-Muller normal sampler
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    const uniform = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const normal = () => {
+        const u = uniform() || Number.EPSILON;
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * uniform());
+    };
+    return { uniform, normal };
+};
+
+const groupBy = (bars, keyOf) => {
+    const groups = new Map();
+    bars.forEach(bar => {
+        const key = keyOf(bar);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(bar);
+    });
+    return [...groups.values()].map(combineBars);
+};
+
+const chunk = (bars, size) => {
+    const chunks = [];
+    for (let i = 0; i < bars.length; i += size) {
+        chunks.push(combineBars(bars.slice(i, i + size)));
+    }
+    return chunks;
+};
+
+// Per-ticker parameters derived from the ticker so each symbol looks different
+const resolveParams = (ticker, options) => {
+    const random = createRandom(hashString(`${ticker}:${options.seed}:params`));
+    return {
+        ...options,
+        drift: options.drift + (random.uniform() - 0.5) * 0.1,
+        volatility: options.volatility * (0.7 + 0.6 * random.uniform()),
+        startPrice: 2 + random.uniform() * 20,
+        baseVolume: options.baseVolume * (0.3 + 1.7 * random.uniform())
+    };
+};
+
+const dailyHistories = createMemo(MAX_CACHED_HISTORIES);
+
+// Full daily history for a ticker from HISTORY_START up to today
+export const generateDailyBars = (ticker, overrides = {}) => {
+    const options = { ...DEFAULT_SYNTHETIC_OPTIONS, ...overrides };
+    const symbol = ticker.toUpperCase();
+    const today = toDateString(new Date(), EXCHANGE_TIME_ZONE);
+
+    // Memoized per day, so every chart of the ticker shares one history
+    return dailyHistories(`${symbol}|${JSON.stringify(options)}|${today}`, () => {
+        const params = resolveParams(symbol, options);
+        const random = createRandom(hashString(`${symbol}:${options.seed}:daily`));
+        const dt = 1 / TRADING_DAYS_PER_YEAR;
+        const dailyVol = params.volatility * Math.sqrt(dt);
+        const bars = [];
+        let price = params.startPrice;
+        let trend = Math.log(params.startPrice);
+
+        for (let day = HISTORY_START; day <= today; day = addDays(day, 1)) {
+            // Weekends and NYSE holidays have no bars, like the real feed
+            if (!NYSE_CALENDAR.isTradingDay(day)) {
+                continue;
+            }
+
+            trend += params.drift * dt;
+            const open = price * Math.exp(dailyVol * 0.2 * random.normal());
+            const pull = params.meanReversion * (trend - Math.log(open)) * dt;
+            let logReturn = (params.drift - params.volatility ** 2 / 2) * dt + pull + dailyVol * random.normal();
+            if (random.uniform() < params.jumpIntensity * dt) {
+                logReturn += params.jumpMean + params.jumpVolatility * random.normal();
+            }
+            const close = open * Math.exp(logReturn);
+            const high = Math.max(open, close) * Math.exp(Math.abs(random.normal()) * dailyVol * 0.5);
+            const low = Math.min(open, close) * Math.exp(-Math.abs(random.normal()) * dailyVol * 0.5);
+            // Busier on big moves
+            const volume = Math.round(params.baseVolume * Math.exp(0.3 * random.normal()) * (1 + 8 * Math.abs(logReturn)));
+
+            bars.push({
+                time: zonedTimeToUtc(day, 0, 0, EXCHANGE_TIME_ZONE),
+                open,
+                high,
+                low,
+                close,
+                volume,
+                vwap: (high + low + close) / 3
+            });
+            price = close;
+        }
+
+        return bars;
+    });
+};
+
+// Minute bars for one session, bridged from the day's open to its close so
+// intraday and daily views of the same ticker agree
+const generateSessionMinutes = (ticker, dayBar, options) => {
+    const day = toDateString(dayBar.time, EXCHANGE_TIME_ZONE);
+    const random = createRandom(hashString(`${ticker}:${options.seed}:${day}`));
+    // 09:30 - 16:00, or 13:00 on early-close days
+    const session = NYSE_CALENDAR.getSession(day);
+    const sessionOpen = session.open;
+    const sessionMinutes = Math.round((session.close - session.open) / 60000);
+    const stepVol = (dayBar.high / dayBar.low - 1) / Math.sqrt(sessionMinutes);
+
+    const walk = [0];
+    for (let i = 1; i <= sessionMinutes; i++) {
+        walk.push(walk[i - 1] + stepVol * random.normal());
+    }
+
+    const logOpen = Math.log(dayBar.open);
+    const logMove = Math.log(dayBar.close) - logOpen;
+    const prices = walk.map((w, i) => {
+        const fraction = i / sessionMinutes;
+        return Math.exp(logOpen + fraction * logMove + (w - fraction * walk[sessionMinutes]));
+    });
+
+    const bars = [];
+    for (let i = 0; i < sessionMinutes; i++) {
+        const open = prices[i];
+        const close = prices[i + 1];
+        const high = Math.max(open, close) * (1 + Math.abs(random.normal()) * stepVol * 0.3);
+        const low = Math.min(open, close) * (1 - Math.abs(random.normal()) * stepVol * 0.3);
+        // U-shaped intraday volume: heavy at the open and close
+        const shape = 1 + 2 * ((i / sessionMinutes - 0.5) * 2) ** 2;
+        bars.push({
+            time: sessionOpen + i * 60 * 1000,
+            open,
+            high,
+            low,
+            close,
+            volume: Math.round((dayBar.volume / sessionMinutes) * shape / 2),
+            vwap: (high + low + close) / 3
+        });
+    }
+    return bars;
+};
+
+// Made-up symbols for the market-wide views, stable for a seed
+const UNIVERSE_SIZE = 300;
+const SYNTHETIC_EXCHANGES = ['XNYS', 'XNAS', 'XNAS', 'ARCX']; // Weighted towards Nasdaq
+const universeCache = new Map(); // seed -> symbols
+
+const syntheticUniverse = (options) => {
+    if (!universeCache.has(options.seed)) {
+        const random = createRandom(hashString(`universe:${options.seed}`));
+        const symbols = new Set();
+        while (symbols.size < UNIVERSE_SIZE) {
+            const length = random.uniform() < 0.4 ? 3 : 4;
+            let symbol = '';
+            for (let i = 0; i < length; i++) {
+                symbol += String.fromCharCode(65 + Math.floor(random.uniform() * 26));
+            }
+            symbols.add(symbol);
+        }
+        universeCache.set(options.seed, [...symbols].sort());
+    }
+    return universeCache.get(options.seed);
+};
+
+// Reference data every synthetic view agrees on
+const resolveReference = (symbol, options) => {
+    const random = createRandom(hashString(`${symbol}:${options.seed}:details`));
+    return {
+        shares: 10 ** (8 + random.uniform() * 2.3),
+        sector: SIC_SECTORS[Math.floor(random.uniform() * SIC_SECTORS.length)].sector,
+        primaryExchange: SYNTHETIC_EXCHANGES[Math.floor(random.uniform() * SYNTHETIC_EXCHANGES.length)]
+    };
+};
+
+// Close of a universe ticker on `day`: a stable price level moved by that
+// day's market-wide shock (scaled by the ticker's beta) and its own shock.
+// Consecutive days are independent, so there is no need to generate history.
+const groupedClose = (symbol, day, params, options) => {
+    const market = createRandom(hashString(`market:${options.seed}:${day}`)).normal();
+    const own = createRandom(hashString(`${symbol}:${options.seed}:${day}`)).normal();
+    return params.level * Math.exp(0.01 * params.beta * market + params.dailyVol * own);
+};
+
+const generateGroupedBar = (symbol, day, previousDay, options) => {
+    const random = createRandom(hashString(`${symbol}:${options.seed}:grouped`));
+    const params = {
+        level: 10 ** (0.5 + random.uniform() * 2.5), // $3 to $1000
+        beta: 0.5 + random.uniform() * 1.2,
+        dailyVol: 0.008 + random.uniform() * 0.02,
+        baseVolume: 10 ** (4.5 + random.uniform() * 2.5)
+    };
+    const previousClose = groupedClose(symbol, previousDay, params, options);
+    const close = groupedClose(symbol, day, params, options);
+    const noise = createRandom(hashString(`${symbol}:${options.seed}:${day}:bar`));
+    const open = previousClose * Math.exp(params.dailyVol * 0.3 * noise.normal());
+    const high = Math.max(open, close) * Math.exp(Math.abs(noise.normal()) * params.dailyVol * 0.5);
+    const low = Math.min(open, close) * Math.exp(-Math.abs(noise.normal()) * params.dailyVol * 0.5);
+    return {
+        ticker: symbol,
+        time: zonedTimeToUtc(day, 0, 0, EXCHANGE_TIME_ZONE),
+        open,
+        high,
+        low,
+        close,
+        // Busier on big moves, like the daily history
+        volume: Math.round(params.baseVolume * Math.exp(0.3 * noise.normal()) * (1 + 8 * Math.abs(Math.log(close / previousClose)))),
+        vwap: (high + low + close) / 3
+    };
+};
+
+// Data provider serving synthetic bars for any ticker.
+// Supports minute, hour, day, week and month timespans with any multiplier.
+export const createSyntheticProvider = (overrides = {}) => {
+    const options = { ...DEFAULT_SYNTHETIC_OPTIONS, ...overrides };
+
+    const getAggregates = async ({ ticker, from, to, multiplier = 1, timespan = 'day', adjusted = true, signal }) => {
+        if (signal?.aborted) {
+            throw createAbortError();
+        }
+
+        const symbol = ticker.toUpperCase();
+        const fromDate = toDateString(from, EXCHANGE_TIME_ZONE);
+        const toDate = toDateString(to, EXCHANGE_TIME_ZONE);
+        const dayOf = (bar) => toDateString(bar.time, EXCHANGE_TIME_ZONE);
+        const days = generateDailyBars(symbol, options).filter(bar => {
+            const day = dayOf(bar);
+            return day >= fromDate && day <= toDate;
+        });
+
+        let bars;
+        if (timespan === 'minute' || timespan === 'hour') {
+            const size = timespan === 'hour' ? 60 * multiplier : multiplier;
+            // Chunk each session separately so bars never span two sessions
+            bars = days.flatMap(day => chunk(generateSessionMinutes(symbol, day, options), size));
+        } else if (timespan === 'week') {
+            const weekStart = (bar) => {
+                const date = new Date(`${dayOf(bar)}T00:00:00Z`);
+                return addDays(dayOf(bar), -((date.getUTCDay() + 6) % 7));
+            };
+            bars = chunk(groupBy(days, weekStart), multiplier);
+        } else if (timespan === 'month') {
+            bars = chunk(groupBy(days, bar => dayOf(bar).slice(0, 7)), multiplier);
+        } else {
+            bars = multiplier > 1 ? chunk(days, multiplier) : days;
+        }
+
+        return {
+            ticker: symbol,
+            multiplier,
+            timespan,
+            from: fromDate,
+            to: toDate,
+            adjusted,
+            bars,
+            pages: 0,
+            partial: false,
+            simulated: true
+        };
+    };
+
+    // Made-up but stable reference data: a sector and a share count that
+    // gives a market cap at the latest simulated close
+    const getTickerDetails = async (ticker, { signal } = {}) => {
+        if (signal?.aborted) {
+            throw createAbortError();
+        }
+        const symbol = ticker.toUpperCase();
+        const { shares, sector, primaryExchange } = resolveReference(symbol, options);
+        const bars = generateDailyBars(symbol, options);
+        return {
+            ticker: symbol,
+            name: `${symbol} (simulated)`,
+            marketCap: bars.length > 0 ? bars[bars.length - 1].close * shares : null,
+            sicCode: null,
+            industry: null,
+            sector,
+            primaryExchange
+        };
+    };
+
+    const listTickers = async ({ signal } = {}) => {
+        if (signal?.aborted) {
+            throw createAbortError();
+        }
+        return syntheticUniverse(options).map(symbol => {
+            const { sector, primaryExchange } = resolveReference(symbol, options);
+            return { ticker: symbol, name: `${symbol} (simulated)`, type: 'CS', primaryExchange, sector };
+        });
+    };
+
+    // Every universe ticker's bar for one date; no bars on market holidays,
+    // weekends and days that haven't happened yet
+    const getGroupedDaily = async ({ date, signal }) => {
+        if (signal?.aborted) {
+            throw createAbortError();
+        }
+        const day = toDateString(date, EXCHANGE_TIME_ZONE);
+        if (!NYSE_CALENDAR.isTradingDay(day) || day > toDateString(new Date(), EXCHANGE_TIME_ZONE)) {
+            return { date: day, bars: [], simulated: true };
+        }
+        const previousDay = NYSE_CALENDAR.recentTradingDays(addDays(day, -1), 1)[0];
+        return {
+            date: day,
+            bars: syntheticUniverse(options).map(symbol => generateGroupedBar(symbol, day, previousDay, options)),
+            simulated: true
+        };
+    };
+
+    return {
+        id: 'synthetic',
+        label: 'Simulated data',
+        simulated: true,
+        getAggregates,
+        getTickerDetails,
+        listTickers,
+        getGroupedDaily
+    };
+};
+
+export const syntheticProvider = createSyntheticProvider();
@@ -0,0 +1,74 @@
+import { createMemo } from './memo.js';
+
+// Time zone helpers built on Intl, so no tz database has to be bundled.
+
+const MAX_MEMO_ENTRIES = 20000; // Per memo below: a couple of years of hourly offsets
+
+const formatters = new Map();
+
+// Creating Intl formatters is expensive, so keep one per time zone
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+// Offset of `timeZone` from UTC at the instant `timestamp`, in milliseconds
+export const getTimeZoneOffset = (timestamp, timeZone) => {
+    const parts = getFormatter(timeZone).formatToParts(new Date(timestamp));
+    const get = (type) => Number(parts.find(part => part.type === type).value);
+    const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+const zonedTimes = createMemo(MAX_MEMO_ENTRIES);
+
+// Convert a wall-clock time in `timeZone` (YYYY-MM-DD plus hours/minutes) to a UTC timestamp.
+// Results are memoized: charts convert the same session boundaries over and over.
+export const zonedTimeToUtc = (dateString, hours, minutes, timeZone) =>
+    zonedTimes(`${timeZone}|${dateString}|${hours}:${minutes}`, () => {
+        const [year, month, day] = dateString.split('-').map(Number);
+        const guess = Date.UTC(year, month - 1, day, hours, minutes);
+        // Two passes settle the offset even when the guess straddles a DST change
+        const first = guess - getTimeZoneOffset(guess, timeZone);
+        return guess - getTimeZoneOffset(first, timeZone);
+    });
+
+// Offsets only change on the hour in every zone the charts use, so cache them
+// per UTC hour. Bucketing thousands of bars then costs one Intl call per hour.
+const hourlyOffsets = createMemo(MAX_MEMO_ENTRIES);
+
+const getCachedOffset = (timestamp, timeZone) => {
+    const hour = Math.floor(timestamp / 3600000);
+    return hourlyOffsets(`${timeZone}|${hour}`, () => getTimeZoneOffset(hour * 3600000, timeZone));
+};
+
+// Wall-clock fields of `timestamp` in `timeZone`. `month` is 1-12 and
+// `weekday` is 0 (Sunday) to 6, matching Date#getDay.
+export const getZonedParts = (timestamp, timeZone) => {
+    const shifted = new Date(timestamp + getCachedOffset(timestamp, timeZone));
+    return {
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth() + 1,
+        day: shifted.getUTCDate(),
+        hour: shifted.getUTCHours(),
+        minute: shifted.getUTCMinutes(),
+        weekday: shifted.getUTCDay()
+    };
+};
+
+// YYYY-MM-DD of `timestamp` on the calendar of `timeZone`
+export const formatZonedDate = (timestamp, timeZone) => {
+    const { year, month, day } = getZonedParts(timestamp, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { zonedTimeToUtc, getZonedParts, formatZonedDate } from './timezone.js';
+
+const NEW_YORK = 'America/New_York';
+
+test('zonedTimeToUtc follows daylight saving time', () => {
+    assert.equal(zonedTimeToUtc('2021-01-04', 9, 30, NEW_YORK), Date.UTC(2021, 0, 4, 14, 30));
+    assert.equal(zonedTimeToUtc('2021-07-06', 9, 30, NEW_YORK), Date.UTC(2021, 6, 6, 13, 30));
+});
+
+test('answers stay right after the memos drop old entries', () => {
+    const open = zonedTimeToUtc('2021-03-15', 9, 30, NEW_YORK);
+    assert.equal(getZonedParts(open, NEW_YORK).hour, 9);
+
+    // Four years of hourly bars and session opens, more than either memo keeps
+    const start = Date.UTC(2018, 0, 1);
+    for (let hour = 0; hour < 4 * 366 * 24; hour++) {
+        const time = start + hour * 3600000;
+        getZonedParts(time, NEW_YORK);
+        if (hour % 24 === 0) {
+            zonedTimeToUtc(formatZonedDate(time, NEW_YORK), 9, 30, NEW_YORK);
+        }
+    }
+
+    assert.equal(zonedTimeToUtc('2021-03-15', 9, 30, NEW_YORK), open);
+    assert.deepEqual(
+        getZonedParts(open, NEW_YORK),
+        { year: 2021, month: 3, day: 15, hour: 9, minute: 30, weekday: 1 }
+    );
+});
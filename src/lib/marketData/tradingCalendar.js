@@ -0,0 +1,256 @@
+import { addDays } from './bars.js';
+import { zonedTimeToUtc } from './timezone.js';
+import { DEFAULT_TIME_ZONE, getMarketType } from './exchange.js';
+
+// Exchange trading calendars.
+//
+// Tells a day the market was closed (weekend, holiday) apart from a day it was
+// open but we have no bar for (a data gap), and knows about early closes.
+// Holidays are computed from rules rather than a fixed table so any year works.
+// Each exchange is a plain config object, so adding one is just new rules:
+//
+//   createTradingCalendar({
+//       id, name, timeZone,
+//       sessionOpen: [9, 30], sessionClose: [16, 0], earlyClose: [13, 0],
+//       weekendDays: [0, 6],              // Date#getDay numbers
+//       holidays: (year) => [{ date, name }],
+//       earlyCloses: (year) => [{ date, name }],
+//       closures: [{ date, name }]        // one-off closures
+//   })
+
+const pad = (n) => String(n).padStart(2, '0');
+const toIso = (year, month, day) => `${year}-${pad(month)}-${pad(day)}`;
+const weekdayOf = (dateString) => new Date(`${dateString}T00:00:00Z`).getUTCDay();
+
+// nth (1-based) `weekday` of a month; n = -1 for the last one
+const nthWeekday = (year, month, weekday, n) => {
+    if (n > 0) {
+        const first = weekdayOf(toIso(year, month, 1));
+        return toIso(year, month, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+    }
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const last = weekdayOf(toIso(year, month, lastDay));
+    return toIso(year, month, lastDay - ((last - weekday + 7) % 7));
+};
+
+// Gregorian Easter Sunday (anonymous Gregorian algorithm)
+const easterSunday = (year) => {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return toIso(year, month, day);
+};
+
+// Fixed-date holidays move to Friday when they fall on a Saturday and to
+// Monday when they fall on a Sunday
+const observed = (dateString) => {
+    const weekday = weekdayOf(dateString);
+    if (weekday === 6) return addDays(dateString, -1);
+    if (weekday === 0) return addDays(dateString, 1);
+    return dateString;
+};
+
+// NYSE holiday rules (NASDAQ follows the same schedule)
+export const nyseHolidays = (year) => {
+    const holidays = [];
+    const newYear = toIso(year, 1, 1);
+    // New Year's Day on a Saturday is not made up on the previous Friday
+    if (weekdayOf(newYear) !== 6) {
+        holidays.push({ date: observed(newYear), name: "New Year's Day" });
+    }
+    if (year >= 1998) {
+        holidays.push({ date: nthWeekday(year, 1, 1, 3), name: 'Martin Luther King Jr. Day' });
+    }
+    holidays.push({ date: nthWeekday(year, 2, 1, 3), name: "Washington's Birthday" });
+    holidays.push({ date: addDays(easterSunday(year), -2), name: 'Good Friday' });
+    holidays.push({ date: nthWeekday(year, 5, 1, -1), name: 'Memorial Day' });
+    if (year >= 2022) {
+        holidays.push({ date: observed(toIso(year, 6, 19)), name: 'Juneteenth' });
+    }
+    holidays.push({ date: observed(toIso(year, 7, 4)), name: 'Independence Day' });
+    holidays.push({ date: nthWeekday(year, 9, 1, 1), name: 'Labor Day' });
+    holidays.push({ date: nthWeekday(year, 11, 4, 4), name: 'Thanksgiving Day' });
+    holidays.push({ date: observed(toIso(year, 12, 25)), name: 'Christmas Day' });
+    return holidays;
+};
+
+// 1 p.m. closes: the day before Independence Day, the day after Thanksgiving
+// and Christmas Eve, whenever those are regular weekdays
+export const nyseEarlyCloses = (year) => {
+    const closes = [];
+    const july3 = toIso(year, 7, 3);
+    if (weekdayOf(july3) >= 1 && weekdayOf(july3) <= 4) {
+        closes.push({ date: july3, name: 'Independence Day eve' });
+    }
+    closes.push({ date: addDays(nthWeekday(year, 11, 4, 4), 1), name: 'Day after Thanksgiving' });
+    const christmasEve = toIso(year, 12, 24);
+    if (weekdayOf(christmasEve) >= 1 && weekdayOf(christmasEve) <= 4) {
+        closes.push({ date: christmasEve, name: 'Christmas Eve' });
+    }
+    return closes;
+};
+
+// Unscheduled NYSE closures since 2000
+export const NYSE_SPECIAL_CLOSURES = [
+    { date: '2001-09-11', name: 'September 11 attacks' },
+    { date: '2001-09-12', name: 'September 11 attacks' },
+    { date: '2001-09-13', name: 'September 11 attacks' },
+    { date: '2001-09-14', name: 'September 11 attacks' },
+    { date: '2004-06-11', name: 'National Day of Mourning (Reagan)' },
+    { date: '2007-01-02', name: 'National Day of Mourning (Ford)' },
+    { date: '2012-10-29', name: 'Hurricane Sandy' },
+    { date: '2012-10-30', name: 'Hurricane Sandy' },
+    { date: '2018-12-05', name: 'National Day of Mourning (G. H. W. Bush)' },
+    { date: '2025-01-09', name: 'National Day of Mourning (Carter)' }
+];
+
+export const createTradingCalendar = ({
+    id,
+    name = id,
+    timeZone = DEFAULT_TIME_ZONE,
+    sessionOpen = [9, 30],
+    sessionClose = [16, 0],
+    earlyClose = [13, 0],
+    weekendDays = [0, 6],
+    holidays = () => [],
+    earlyCloses = () => [],
+    closures = []
+}) => {
+    const years = new Map(); // year -> { closed: Map(date -> name), early: Map(date -> name) }
+    const closureMap = new Map(closures.map(closure => [closure.date, closure.name]));
+
+    const rulesFor = (year) => {
+        if (!years.has(year)) {
+            years.set(year, {
+                closed: new Map(holidays(year).map(holiday => [holiday.date, holiday.name])),
+                early: new Map(earlyCloses(year).map(close => [close.date, close.name]))
+            });
+        }
+        return years.get(year);
+    };
+
+    // { status: 'open' | 'early-close' | 'weekend' | 'holiday', name?, open?, close? }
+    // for a YYYY-MM-DD date. `open`/`close` are [hours, minutes] in `timeZone`.
+    const getDayInfo = (dateString) => {
+        if (weekendDays.includes(weekdayOf(dateString))) {
+            return { status: 'weekend' };
+        }
+        const rules = rulesFor(Number(dateString.slice(0, 4)));
+        const holiday = rules.closed.get(dateString) || closureMap.get(dateString);
+        if (holiday) {
+            return { status: 'holiday', name: holiday };
+        }
+        if (rules.early.has(dateString)) {
+            return { status: 'early-close', name: rules.early.get(dateString), open: sessionOpen, close: earlyClose };
+        }
+        return { status: 'open', open: sessionOpen, close: sessionClose };
+    };
+
+    const isTradingDay = (dateString) => {
+        const { status } = getDayInfo(dateString);
+        return status === 'open' || status === 'early-close';
+    };
+
+    // Session bounds as UTC timestamps, or null when the market is closed
+    const getSession = (dateString) => {
+        const info = getDayInfo(dateString);
+        if (!info.open) {
+            return null;
+        }
+        return {
+            open: zonedTimeToUtc(dateString, info.open[0], info.open[1], timeZone),
+            close: zonedTimeToUtc(dateString, info.close[0], info.close[1], timeZone),
+            early: info.status === 'early-close'
+        };
+    };
+
+    // Every trading day from `from` to `to` inclusive (YYYY-MM-DD strings)
+    const tradingDaysBetween = (from, to) => {
+        const days = [];
+        for (let day = from; day <= to; day = addDays(day, 1)) {
+            if (isTradingDay(day)) {
+                days.push(day);
+            }
+        }
+        return days;
+    };
+
+    // The last `count` trading days up to and including `endDate`, oldest first
+    const recentTradingDays = (endDate, count) => {
+        const days = [];
+        for (let day = endDate; days.length < count; day = addDays(day, -1)) {
+            if (isTradingDay(day)) {
+                days.unshift(day);
+            }
+        }
+        return days;
+    };
+
+    return {
+        id,
+        name,
+        timeZone,
+        getDayInfo,
+        isTradingDay,
+        getSession,
+        tradingDaysBetween,
+        recentTradingDays
+    };
+};
+
+export const NYSE_CALENDAR = createTradingCalendar({
+    id: 'XNYS',
+    name: 'New York Stock Exchange',
+    holidays: nyseHolidays,
+    earlyCloses: nyseEarlyCloses,
+    closures: NYSE_SPECIAL_CLOSURES
+});
+
+export const NASDAQ_CALENDAR = createTradingCalendar({
+    id: 'XNAS',
+    name: 'Nasdaq',
+    holidays: nyseHolidays,
+    earlyCloses: nyseEarlyCloses,
+    closures: NYSE_SPECIAL_CLOSURES
+});
+
+// Crypto never closes
+export const CRYPTO_CALENDAR = createTradingCalendar({
+    id: 'CRYPTO',
+    name: 'Crypto (24/7)',
+    timeZone: 'UTC',
+    sessionOpen: [0, 0],
+    sessionClose: [24, 0],
+    weekendDays: []
+});
+
+// Forex trades around the clock on weekdays
+export const FOREX_CALENDAR = createTradingCalendar({
+    id: 'FOREX',
+    name: 'Forex',
+    timeZone: 'UTC',
+    sessionOpen: [0, 0],
+    sessionClose: [24, 0]
+});
+
+const MARKET_CALENDARS = {
+    stocks: NYSE_CALENDAR,
+    indices: NYSE_CALENDAR,
+    crypto: CRYPTO_CALENDAR,
+    forex: FOREX_CALENDAR
+};
+
+// Calendar for a ticker. US listings share the NYSE/NASDAQ schedule, so the
+// market type is enough; pass a calendar explicitly for anything else.
+export const getTradingCalendar = (ticker) => MARKET_CALENDARS[getMarketType(ticker)];
@@ -0,0 +1,185 @@
+import { addDays } from './bars.js';
+import { zonedTimeToUtc, getZonedParts, formatZonedDate } from './timezone.js';
+
+// Trading-time axes: bars are plotted at their index instead of their time,
+// so nights, weekends and holidays take no room. A fractional index sits
+// between two bars (Renko bricks formed on the same bar, for instance).
+//
+// Ticks go on the first bar of each calendar period (year, month, day, or a
+// clock step within the day) with the step picked from the zoom, and labels
+// name the period: "2021", "Mar", "Mar 5", "10:30". A tick that also starts a
+// coarser period is labelled with that instead ("2021" for January).
+
+export const TIME_LABEL_UNITS = ['year', 'month', 'day', 'time']; // Coarsest first
+
+const DAY = 86400000;
+
+// Candidate tick steps from finest to coarsest, with a rough length so the
+// zoom can rule most of them out without enumerating their boundaries
+export const TIME_LABEL_STEPS = [
+    ...[1, 5, 15, 30, 60, 120, 240].map(minutes => ({ unit: 'time', minutes, ms: minutes * 60000 })),
+    { unit: 'day', days: 1, ms: DAY },
+    { unit: 'day', days: 7, ms: 7 * DAY },
+    ...[1, 3, 6].map(months => ({ unit: 'month', months, ms: months * 30.44 * DAY })),
+    ...[1, 2, 5, 10, 25].map(years => ({ unit: 'year', years, ms: years * 365.25 * DAY }))
+];
+
+// Index <-> time for chronological `times`. Both interpolate linearly between
+// neighbouring bars and extrapolate past the ends at the edge bars' spacing;
+// indexOf is a binary search and timeAt is constant time.
+export const createTradingTimeScale = (times) => {
+    const last = times.length - 1;
+    const spacing = (i) => (last > 0 ? times[Math.min(i + 1, last)] - times[Math.min(i + 1, last) - 1] : 0);
+
+    // Index of the last bar at or before `time` (-1 before the first)
+    const floorIndex = (time) => {
+        let low = 0;
+        let high = last;
+        let found = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (times[mid] <= time) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found;
+    };
+
+    const indexOf = (time) => {
+        if (last < 0) {
+            return 0;
+        }
+        const i = Math.min(Math.max(floorIndex(time), 0), Math.max(last - 1, 0));
+        const step = spacing(i);
+        return step > 0 ? i + (time - times[i]) / step : i;
+    };
+
+    const timeAt = (index) => {
+        if (last < 0) {
+            return 0;
+        }
+        const i = Math.min(Math.max(Math.floor(index), 0), Math.max(last - 1, 0));
+        return times[i] + (index - i) * spacing(i);
+    };
+
+    // First bar at or after `time` (times.length when there is none)
+    const ceilIndex = (time) => {
+        const i = floorIndex(time);
+        return i >= 0 && times[i] === time ? i : i + 1;
+    };
+
+    return { times, indexOf, timeAt, ceilIndex };
+};
+
+// Start times of every `step` period overlapping `from`..`to`, on the calendar
+// and clock of `timeZone`
+const periodStarts = (step, from, to, timeZone) => {
+    const starts = [];
+    const firstDay = formatZonedDate(from, timeZone);
+    const lastDay = formatZonedDate(to, timeZone);
+    if (step.unit === 'time') {
+        for (let day = firstDay; day <= lastDay; day = addDays(day, 1)) {
+            const midnight = zonedTimeToUtc(day, 0, 0, timeZone);
+            for (let minute = 0; minute < 1440; minute += step.minutes) {
+                const time = midnight + minute * 60000;
+                if (time > to) {
+                    break;
+                }
+                if (time + step.ms > from) {
+                    starts.push(time);
+                }
+            }
+        }
+    } else if (step.unit === 'day') {
+        for (let day = firstDay; day <= lastDay; day = addDays(day, 1)) {
+            const time = zonedTimeToUtc(day, 0, 0, timeZone);
+            // Weekly ticks on Mondays
+            if (step.days === 1 || getZonedParts(time + 12 * 3600000, timeZone).weekday === 1) {
+                starts.push(time);
+            }
+        }
+    } else {
+        // Months counted from year 0, so both units step through one sequence
+        const first = getZonedParts(from, timeZone);
+        const end = getZonedParts(to, timeZone);
+        const every = step.unit === 'year' ? 12 * step.years : step.months;
+        const firstMonth = first.year * 12 + first.month - 1;
+        for (let month = firstMonth - firstMonth % every; month <= end.year * 12 + end.month - 1; month += every) {
+            const date = `${Math.floor(month / 12)}-${String(month % 12 + 1).padStart(2, '0')}-01`;
+            starts.push(zonedTimeToUtc(date, 0, 0, timeZone));
+        }
+    }
+    return starts;
+};
+
+// Major ticks for a trading-time axis showing indexes `min`..`max`: the
+// finest step that puts at most `maxTicks` ticks in view. Returns
+// { unit, ticks } with ticks as bar indexes.
+export const tradingTimeTicks = (scale, min, max, { timeZone, maxTicks = 8 } = {}) => {
+    const { times } = scale;
+    if (times.length === 0 || !(max > min)) {
+        return { unit: 'day', ticks: [] };
+    }
+    const first = Math.max(Math.ceil(min), 0);
+    const last = Math.min(Math.floor(max), times.length - 1);
+    if (first > last) {
+        return { unit: 'day', ticks: [] };
+    }
+    const from = times[first];
+    const to = times[last];
+
+    let fallback = null;
+    for (const step of TIME_LABEL_STEPS) {
+        // Calendar time includes the gaps, so this only rules out steps that are far too fine
+        if ((to - from) / step.ms > maxTicks * 4) {
+            continue;
+        }
+        const ticks = [];
+        periodStarts(step, from, to, timeZone).forEach(start => {
+            const index = scale.ceilIndex(start);
+            if (index >= first && index <= last && index !== ticks[ticks.length - 1]) {
+                ticks.push(index);
+            }
+        });
+        fallback = { unit: step.unit, ticks };
+        if (ticks.length <= maxTicks) {
+            return fallback;
+        }
+    }
+    return fallback || { unit: 'year', ticks: [] };
+};
+
+// Label unit for a calendar-time axis spanning `spanMs`
+export const labelUnitForSpan = (spanMs, maxTicks = 8) => {
+    const step = TIME_LABEL_STEPS.find(candidate => spanMs / candidate.ms <= maxTicks);
+    return step ? step.unit : 'year';
+};
+
+const LABEL_FIELDS = {
+    year: { year: 'numeric' },
+    month: { month: 'short' },
+    day: { month: 'short', day: 'numeric' },
+    time: { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }
+};
+
+// Label for a tick at `time` in `unit`, promoted to the coarsest period that
+// changed since `previousTime` (the bar before it) when that is coarser
+export const formatTimeLabel = (time, unit, { previousTime = null, timeZone } = {}) => {
+    let shown = unit;
+    if (previousTime !== null) {
+        const current = getZonedParts(time, timeZone);
+        const previous = getZonedParts(previousTime, timeZone);
+        const changed = current.year !== previous.year
+            ? 'year'
+            : current.month !== previous.month
+                ? 'month'
+                : current.day !== previous.day ? 'day' : 'time';
+        if (TIME_LABEL_UNITS.indexOf(changed) < TIME_LABEL_UNITS.indexOf(unit)) {
+            shown = changed;
+        }
+    }
+    return new Date(time).toLocaleString('en-US', { ...LABEL_FIELDS[shown], timeZone });
+};
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTradingTimeScale, tradingTimeTicks, formatTimeLabel, labelUnitForSpan } from './tradingTime.js';
+
+const NEW_YORK = 'America/New_York';
+
+// Hourly bars 09:30-15:30 New York time (EST) on Wed 2024-01-03 to Mon 2024-01-08
+const SESSIONS = [3, 4, 5, 8];
+const HOURLY = SESSIONS.flatMap(day => Array.from({ length: 7 }, (_, hour) => Date.UTC(2024, 0, day, 14 + hour, 30)));
+
+test('the scale interpolates between bars and extrapolates past the ends', () => {
+    const scale = createTradingTimeScale([0, 10, 20, 40]);
+    assert.equal(scale.indexOf(15), 1.5);
+    assert.equal(scale.indexOf(30), 2.5);
+    assert.equal(scale.indexOf(50), 3.5);
+    assert.equal(scale.indexOf(-10), -1);
+    assert.equal(scale.timeAt(1.5), 15);
+    assert.equal(scale.timeAt(3.5), 50);
+    assert.deepEqual([scale.ceilIndex(10), scale.ceilIndex(11), scale.ceilIndex(41)], [1, 2, 4]);
+});
+
+test('ticks land on the first bar after each period starts, skipping gaps', () => {
+    const scale = createTradingTimeScale(HOURLY);
+
+    // Four-hour clock periods: 09:30 and 12:30 each session, nothing overnight
+    assert.deepEqual(tradingTimeTicks(scale, 0, HOURLY.length - 1, { timeZone: NEW_YORK, maxTicks: 8 }), {
+        unit: 'time',
+        ticks: [0, 3, 7, 10, 14, 17, 21, 24]
+    });
+
+    // Days: the weekend adds no ticks of its own, Monday gets one
+    assert.deepEqual(tradingTimeTicks(scale, 0, HOURLY.length - 1, { timeZone: NEW_YORK, maxTicks: 4 }), {
+        unit: 'day',
+        ticks: [0, 7, 14, 21]
+    });
+
+    // Only the bars in view count
+    assert.deepEqual(tradingTimeTicks(scale, 8.5, 20.2, { timeZone: NEW_YORK, maxTicks: 2 }).ticks, [14]);
+    assert.deepEqual(tradingTimeTicks(scale, 5, 5, { timeZone: NEW_YORK }).ticks, []);
+});
+
+test('labels are promoted to the coarsest period that changed', () => {
+    const options = (previousTime) => ({ previousTime, timeZone: NEW_YORK });
+    assert.equal(formatTimeLabel(HOURLY[1], 'time', options(HOURLY[0])), '10:30');
+    assert.equal(formatTimeLabel(HOURLY[21], 'time', options(HOURLY[20])), 'Jan 8');
+    assert.equal(formatTimeLabel(Date.UTC(2024, 0, 2, 5), 'day', options(Date.UTC(2023, 11, 29, 5))), '2024');
+    assert.equal(formatTimeLabel(HOURLY[7], 'day', { timeZone: NEW_YORK }), 'Jan 4');
+});
+
+test('calendar axes pick a label unit from their span', () => {
+    const day = 24 * 60 * 60 * 1000;
+    assert.equal(labelUnitForSpan(6 * 60 * 60 * 1000), 'time');
+    assert.equal(labelUnitForSpan(5 * day), 'day');
+    assert.equal(labelUnitForSpan(180 * day), 'month');
+    assert.equal(labelUnitForSpan(20 * 365 * day), 'year');
+});
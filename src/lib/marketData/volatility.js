@@ -0,0 +1,83 @@
+import { toDateString, sortBars } from './bars.js';
+import { DEFAULT_TIME_ZONE } from './exchange.js';
+
+// Rolling realized volatility.
+//
+// Volatility for a window of N days is the sample standard deviation of the
+// last N daily log returns, annualized with sqrt(252) and expressed in percent.
+// The first N bars of a series have no value (NaN), so callers should fetch
+// enough history before the dates they want to show (see volatilityLookbackDays).
+
+export const VOLATILITY_WINDOWS = [5, 10, 20, 60, 120];
+
+export const TRADING_DAYS_PER_YEAR = 252;
+
+// Calendar days of history to fetch ahead of the first shown date so the
+// longest window is already filled (about 7 calendar days per 5 sessions,
+// plus room for holidays)
+export const volatilityLookbackDays = (windows = VOLATILITY_WINDOWS) =>
+    Math.ceil(Math.max(...windows) * 7 / 5) + 14;
+
+// Annualized volatility (%) at every index of `closes` for one window length
+export const rollingVolatility = (closes, window) => {
+    // Prefix sums of log returns and their squares make every window O(1)
+    const sums = [0];
+    const squares = [0];
+    for (let i = 1; i < closes.length; i++) {
+        const r = Math.log(closes[i] / closes[i - 1]);
+        sums.push(sums[i - 1] + r);
+        squares.push(squares[i - 1] + r * r);
+    }
+
+    return closes.map((_, i) => {
+        if (i < window || window < 2) {
+            return NaN;
+        }
+        const sum = sums[i] - sums[i - window];
+        const sumOfSquares = squares[i] - squares[i - window];
+        const variance = (sumOfSquares - (sum * sum) / window) / (window - 1);
+        return Math.sqrt(Math.max(variance, 0) * TRADING_DAYS_PER_YEAR) * 100;
+    });
+};
+
+// Window × date grid of annualized volatility for the bars dated `from`..`to`
+// (YYYY-MM-DD on the exchange calendar). Earlier bars only feed the windows.
+//
+// Returns { rows, cols, windows, dates, values, min, max }: rows are windows
+// (shortest first), columns are trading days and `values` is [window][date].
+export const buildVolatilityGrid = (bars, {
+    from,
+    to,
+    windows = VOLATILITY_WINDOWS,
+    timeZone = DEFAULT_TIME_ZONE
+}) => {
+    const sorted = sortBars(bars).filter(bar => !isNaN(bar.close) && bar.close > 0);
+    const closes = sorted.map(bar => bar.close);
+    const barDates = sorted.map(bar => toDateString(bar.time, timeZone));
+    const shown = barDates
+        .map((date, i) => ({ date, i }))
+        .filter(({ date }) => date >= from && date <= to);
+
+    let min = Infinity;
+    let max = -Infinity;
+    const values = windows.map(window => {
+        const series = rollingVolatility(closes, window);
+        return shown.map(({ i }) => {
+            if (!isNaN(series[i])) {
+                min = Math.min(min, series[i]);
+                max = Math.max(max, series[i]);
+            }
+            return series[i];
+        });
+    });
+
+    return {
+        rows: windows.length,
+        cols: shown.length,
+        windows,
+        dates: shown.map(({ date }) => date),
+        values,
+        min: isFinite(min) ? min : NaN,
+        max: isFinite(max) ? max : NaN
+    };
+};
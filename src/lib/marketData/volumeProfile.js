@@ -0,0 +1,69 @@
+// Volume at price over a run of bars.
+//
+// Each bar's volume is spread evenly over its high-low range and split
+// between the price bins that range overlaps. The point of control (POC) is
+// the busiest bin; the value area grows out from it, one neighbouring bin at
+// a time (the busier side first), until it holds `valueAreaPercent` of the
+// volume.
+
+export const DEFAULT_PROFILE_BINS = 24;
+export const DEFAULT_VALUE_AREA_PERCENT = 70;
+
+// Returns { bins, totalVolume, poc, pocPrice, valueAreaLow, valueAreaHigh }
+// with bins as [{ low, high, volume }] from the lowest price up and `poc` as
+// a bin index, or null when the bars traded nothing.
+export const volumeProfile = (bars, {
+    bins: binCount = DEFAULT_PROFILE_BINS,
+    valueAreaPercent = DEFAULT_VALUE_AREA_PERCENT
+} = {}) => {
+    const traded = bars.filter(bar => bar.volume > 0);
+    if (traded.length === 0) {
+        return null;
+    }
+    const low = Math.min(...traded.map(bar => bar.low));
+    const high = Math.max(...traded.map(bar => bar.high));
+    // A flat range still gets bins of some height
+    const size = high > low ? (high - low) / binCount : Math.max(high * 0.001, 0.01);
+    const bins = Array.from({ length: binCount }, (_, i) => ({ low: low + i * size, high: low + (i + 1) * size, volume: 0 }));
+    const binOf = (price) => Math.min(Math.max(Math.floor((price - low) / size), 0), binCount - 1);
+
+    traded.forEach(bar => {
+        if (bar.high <= bar.low) {
+            bins[binOf(bar.close)].volume += bar.volume;
+            return;
+        }
+        for (let i = binOf(bar.low); i <= binOf(bar.high); i++) {
+            const overlap = Math.min(bar.high, bins[i].high) - Math.max(bar.low, bins[i].low);
+            if (overlap > 0) {
+                bins[i].volume += bar.volume * overlap / (bar.high - bar.low);
+            }
+        }
+    });
+
+    const totalVolume = bins.reduce((sum, bin) => sum + bin.volume, 0);
+    const poc = bins.reduce((best, bin, i) => (bin.volume > bins[best].volume ? i : best), 0);
+
+    let from = poc;
+    let to = poc;
+    let inArea = bins[poc].volume;
+    while (inArea < totalVolume * valueAreaPercent / 100 && (from > 0 || to < binCount - 1)) {
+        const below = from > 0 ? bins[from - 1].volume : -1;
+        const above = to < binCount - 1 ? bins[to + 1].volume : -1;
+        if (above >= below) {
+            to++;
+            inArea += above;
+        } else {
+            from--;
+            inArea += below;
+        }
+    }
+
+    return {
+        bins,
+        totalVolume,
+        poc,
+        pocPrice: (bins[poc].low + bins[poc].high) / 2,
+        valueAreaLow: bins[from].low,
+        valueAreaHigh: bins[to].high
+    };
+};
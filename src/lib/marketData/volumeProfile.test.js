@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { volumeProfile } from './volumeProfile.js';
+
+test('volume is spread over each bar\'s range', () => {
+    const profile = volumeProfile([
+        { low: 10, high: 14, close: 12, volume: 400 },
+        { low: 12, high: 13, close: 12.5, volume: 100 }
+    ], { bins: 4 });
+
+    assert.deepEqual(profile.bins.map(bin => bin.volume), [100, 100, 200, 100]);
+    assert.deepEqual(profile.bins.map(bin => bin.low), [10, 11, 12, 13]);
+    assert.equal(profile.totalVolume, 500);
+    assert.equal(profile.poc, 2);
+    assert.equal(profile.pocPrice, 12.5);
+});
+
+test('the value area grows from the poc, upwards on a tie', () => {
+    const profile = volumeProfile([
+        { low: 10, high: 14, close: 12, volume: 400 },
+        { low: 12, high: 13, close: 12.5, volume: 100 }
+    ], { bins: 4, valueAreaPercent: 70 });
+
+    // 200 at the poc, then 100 above (tie), then 100 below reaches 400 of 500
+    assert.equal(profile.valueAreaLow, 11);
+    assert.equal(profile.valueAreaHigh, 14);
+});
+
+test('flat bars land in their close\'s bin and no volume means no profile', () => {
+    const profile = volumeProfile([
+        { low: 10, high: 12, close: 11, volume: 100 },
+        { low: 11.5, high: 11.5, close: 11.5, volume: 50 }
+    ], { bins: 2 });
+    assert.deepEqual(profile.bins.map(bin => bin.volume), [50, 100]);
+
+    assert.equal(volumeProfile([{ low: 10, high: 12, close: 11, volume: 0 }]), null);
+    assert.equal(volumeProfile([]), null);
+});
@@ -1,31 +1,64 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 import { viteStaticCopy } from 'vite-plugin-static-copy'
+import { createPolygonProxy } from './server/polygonProxy.js'
 
+// Serve the market data proxy from the dev and preview servers so the
+// Polygon key stays in the Node process and never reaches the browser
+const marketDataProxy = (env) => {
+  const middleware = () => createPolygonProxy({
+    // VITE_POLYGON_API_KEY is still read for older .env files; the front-end no longer references it
+    apiKey: env.POLYGON_API_KEY || env.VITE_POLYGON_API_KEY,
+    requestsPerMinute: Number(env.POLYGON_REQUESTS_PER_MINUTE) || undefined,
+    // MARKET_DATA_MODE=record|replay captures or serves fixtures for offline repros and UI tests
+    mode: env.MARKET_DATA_MODE || undefined,
+    fixturesDir: env.MARKET_DATA_FIXTURES || undefined
+  });
+
+  return {
+    name: 'market-data-proxy',
+    configureServer(server) {
+      server.middlewares.use(middleware());
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(middleware());
+    }
+  };
+};
 
 // https://vitejs.dev/config/
-export default defineConfig({
-  plugins: [
-    react(),
-    viteStaticCopy({
-      targets: [
-        {
-          src: 'node_modules/scichart/_wasm/scichart2d.data',
-          dest: '/'
-        },
-        {
-          src: 'node_modules/scichart/_wasm/scichart2d.wasm',
-          dest: '/'
-        },
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd(), '');
+
+  return {
+    define: {
+      // Defined explicitly so the bundle only ever contains this one value and
+      // never a copy of the whole env object (which could hold a stale VITE_ key)
+      'import.meta.env.VITE_MARKET_DATA_URL': JSON.stringify(env.VITE_MARKET_DATA_URL || '/api'),
+    },
+    plugins: [
+      react(),
+      marketDataProxy(env),
+      viteStaticCopy({
+        targets: [
+          {
+            src: 'node_modules/scichart/_wasm/scichart2d.data',
+            dest: '/'
+          },
+          {
+            src: 'node_modules/scichart/_wasm/scichart2d.wasm',
+            dest: '/'
+          },
 
-        {
-          src: 'node_modules/scichart/_wasm/scichart3d.data',
-          dest: '/'
-        },
-        {
-          src: 'node_modules/scichart/_wasm/scichart3d.wasm',
-          dest: '/'
-        },
-      ]
-    })],
+          {
+            src: 'node_modules/scichart/_wasm/scichart3d.data',
+            dest: '/'
+          },
+          {
+            src: 'node_modules/scichart/_wasm/scichart3d.wasm',
+            dest: '/'
+          },
+        ]
+      })],
+  }
 })